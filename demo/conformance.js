@@ -0,0 +1,338 @@
+import { Box3, MemoryMapBackend, SqlJsMapBackend, Vector3, asyncFrom } from "./mapper/index.js";
+
+/** Behavioural checks that every MapBackend implementation must pass, in the order they are run.
+ * Each check gets a freshly loaded backend and throws an Error describing the first mismatch.
+ * Checks call the backend directly rather than going through cached references.
+ */
+const mapBackendConformanceChecks = [
+	{
+		name: "version numbers",
+		async run(backend, expect) {
+			expect(backend.getBackendVersionNumber() > 0, "backend version number must be greater than zero");
+			expect(backend.getVersionNumber() === backend.getBackendVersionNumber(), "a loaded backend must be at the latest version");
+		},
+	},
+	{
+		name: "entities",
+		async run(backend, expect) {
+			const entityRef = await backend.createEntity("test");
+			expect(typeof entityRef.id === "number", "createEntity must return a reference with a numeric ID");
+			expect(await backend.entityExists(entityRef.id), "created entity must exist");
+			expect(await backend.entityValid(entityRef.id), "created entity must be valid");
+			expect(!(await backend.entityExists(entityRef.id + 1000000)), "unknown entity must not exist");
+			expect(!(await backend.entityValid(entityRef.id + 1000000)), "unknown entity must not be valid");
+
+			await backend.removeEntity(entityRef.id);
+			expect(await backend.entityExists(entityRef.id), "removed entity must still exist");
+			expect(!(await backend.entityValid(entityRef.id)), "removed entity must not be valid");
+
+			await backend.unremoveEntity(entityRef.id);
+			expect(await backend.entityValid(entityRef.id), "unremoved entity must be valid again");
+
+			expect(backend.global && await backend.entityExists(backend.global.id), "backend must have a global entity");
+		},
+	},
+	{
+		name: "properties",
+		async run(backend, expect) {
+			const id = (await backend.createEntity("test")).id;
+
+			expect(await backend.getPString(id, "missing") === undefined, "missing string property must be undefined");
+
+			await backend.setPString(id, "name", "Test");
+			expect(await backend.getPString(id, "name") === "Test", "string property must round-trip");
+			await backend.setPString(id, "name", "");
+			expect(await backend.getPString(id, "name") === "", "empty string property must round-trip");
+
+			await backend.setPNumber(id, "radius", 2.5);
+			expect(await backend.getPNumber(id, "radius") === 2.5, "number property must round-trip");
+			await backend.setPNumber(id, "radius", 0);
+			expect(await backend.getPNumber(id, "radius") === 0, "number property must be replaced");
+
+			await backend.setPVector3(id, "center", new Vector3(1, -2, 3.5));
+			const v = await backend.getPVector3(id, "center");
+			expect(v instanceof Vector3 && v.x === 1 && v.y === -2 && v.z === 3.5, "Vector3 property must round-trip");
+
+			const otherId = (await backend.createEntity("test")).id;
+			expect(await backend.getPString(otherId, "name") === undefined, "properties must not leak between entities");
+
+			const properties = await backend.getProperties(id);
+			expect(Object.keys(properties).length === 3 && properties.name === "" && properties.radius === 0, "getProperties must return every property with its value");
+			expect(properties.center instanceof Vector3 && properties.center.y === -2, "getProperties must return Vector3 properties as Vector3");
+			expect(Object.keys(await backend.getProperties(otherId)).length === 0, "getProperties must only return the entity's own properties");
+		},
+	},
+	{
+		name: "nodes",
+		async run(backend, expect) {
+			const parent = await backend.createNode(null, "object");
+			const child = await backend.createNode(parent.id, "point");
+			const other = await backend.createNode(undefined, "object");
+
+			expect(await backend.getNodeType(parent.id) === "object", "node type must be stored");
+			expect(await backend.getNodeType(child.id) === "point", "node type must be stored");
+			expect(await backend.getNodeParent(parent.id) === null, "node without a parent must have a null parent");
+			expect((await backend.getNodeParent(child.id)).id === parent.id, "child node must know its parent");
+
+			let children = await asyncFrom(backend.getNodeChildren(parent.id), nodeRef => nodeRef.id);
+			expect(children.length === 1 && children[0] === child.id, "getNodeChildren must yield direct children");
+			expect(await backend.nodeHasChildren(parent.id), "node with a child must have children");
+			expect(!(await backend.nodeHasChildren(other.id)), "node without children must not have children");
+
+			await backend.setNodeParent(child.id, other.id);
+			expect((await backend.getNodeParent(child.id)).id === other.id, "setNodeParent must change the parent");
+			children = await asyncFrom(backend.getNodeChildren(other.id), nodeRef => nodeRef.id);
+			expect(children.length === 1 && children[0] === child.id, "getNodeChildren must follow setNodeParent");
+			expect(!(await backend.nodeHasChildren(parent.id)), "old parent must lose the child");
+		},
+	},
+	{
+		name: "node removal",
+		async run(backend, expect) {
+			const parent = await backend.createNode(null, "object");
+			const child = await backend.createNode(parent.id, "object");
+			const grandchild = await backend.createNode(child.id, "point");
+			const sibling = await backend.createNode(parent.id, "point");
+
+			await backend.removeEntity(sibling.id);
+			const children = await asyncFrom(backend.getNodeChildren(parent.id), nodeRef => nodeRef.id);
+			expect(children.length === 1 && children[0] === child.id, "getNodeChildren must not yield removed nodes");
+
+			await backend.removeNode(parent.id);
+			expect(!(await backend.entityValid(child.id)), "removing a node must remove its children");
+			expect(!(await backend.entityValid(grandchild.id)), "removing a node must remove all of its descendants");
+			expect((await backend.getNodeParent(child.id)).id === parent.id, "getNodeParent must yield removed parents");
+
+			await backend.unremoveEntity(parent.id);
+			expect(await backend.entityValid(parent.id), "unremoved node must be valid again");
+			expect(!(await backend.entityValid(child.id)), "unremoving a node must not unremove its children");
+			expect((await asyncFrom(backend.getNodeChildren(parent.id))).length === 0, "getNodeChildren must not yield children that are still removed");
+		},
+	},
+	{
+		name: "compaction",
+		async run(backend, expect) {
+			const kept = await backend.createNode(null, "object");
+			const removed = await backend.createNode(null, "object");
+			await backend.removeNode(kept.id);
+			await backend.removeNode(removed.id);
+
+			await backend.compact([kept.id]);
+			expect(await backend.entityExists(kept.id), "compact must keep the entities it is asked to keep");
+
+			const created = await backend.createEntity("node");
+			expect(created.id > removed.id, "entity IDs must not be reused after compacting");
+		},
+	},
+	{
+		name: "edges",
+		async run(backend, expect) {
+			const a = await backend.createNode(null, "object");
+			const b = await backend.createNode(null, "object");
+			const c = await backend.createNode(null, "object");
+			const edge = await backend.createEdge(a.id, b.id);
+
+			const edgeNodes = await asyncFrom(backend.getEdgeNodes(edge.id), nodeRef => nodeRef.id);
+			expect(edgeNodes.length === 2 && edgeNodes.includes(a.id) && edgeNodes.includes(b.id), "getEdgeNodes must yield both nodes");
+			expect((await backend.getEdgeOtherNode(edge.id, a.id)).id === b.id, "getEdgeOtherNode must yield the other node");
+			expect((await backend.getEdgeOtherNode(edge.id, b.id)).id === a.id, "getEdgeOtherNode must yield the other node");
+
+			const dirEdges = await asyncFrom(backend.getNodeEdges(b.id));
+			expect(dirEdges.length === 1 && dirEdges[0].id === edge.id && dirEdges[0].startId === b.id, "getNodeEdges must yield edges starting from the node");
+			expect((await asyncFrom(backend.getNodeEdges(c.id))).length === 0, "getNodeEdges must not yield unrelated edges");
+
+			expect((await backend.getEdgeBetween(a.id, b.id)).id === edge.id, "getEdgeBetween must find the edge");
+			expect((await backend.getEdgeBetween(b.id, a.id)).id === edge.id, "getEdgeBetween must not depend on node order");
+			expect(await backend.getEdgeBetween(a.id, c.id) === null, "getEdgeBetween must be null if there is no edge");
+		},
+	},
+	{
+		name: "edge removal",
+		async run(backend, expect) {
+			const a = await backend.createNode(null, "object");
+			const b = await backend.createNode(null, "object");
+			const edge = await backend.createEdge(a.id, b.id);
+
+			await backend.removeEdge(edge.id);
+			expect(!(await backend.entityValid(edge.id)), "removed edge must not be valid");
+			expect((await asyncFrom(backend.getNodeEdges(a.id))).length === 0, "getNodeEdges must not yield removed edges");
+			expect(await backend.getEdgeBetween(a.id, b.id) === null, "getEdgeBetween must not find removed edges");
+
+			await backend.unremoveEntity(edge.id);
+			expect((await asyncFrom(backend.getNodeEdges(a.id))).length === 1, "getNodeEdges must yield unremoved edges");
+
+			await backend.removeNode(b.id);
+			expect(await backend.entityValid(edge.id), "removing a node must not remove its edges");
+			expect((await asyncFrom(backend.getNodeEdges(a.id))).length === 0, "getNodeEdges must not yield edges to removed nodes");
+			expect((await asyncFrom(backend.getEdgeNodes(edge.id))).length === 2, "getEdgeNodes must yield removed nodes");
+			expect((await backend.getEdgeBetween(a.id, b.id)).id === edge.id, "getEdgeBetween must find valid edges to removed nodes");
+
+			await backend.unremoveEntity(b.id);
+			expect((await asyncFrom(backend.getNodeEdges(a.id))).length === 1, "getNodeEdges must yield edges to unremoved nodes");
+		},
+	},
+	{
+		name: "spatial queries",
+		async run(backend, expect) {
+			const place = async (nodeType, x, y, radius) => {
+				const nodeRef = await backend.createNode(null, nodeType);
+				await backend.setPVector3(nodeRef.id, "center", new Vector3(x, y, 0));
+				await backend.setPNumber(nodeRef.id, "radius", radius);
+				return nodeRef.id;
+			};
+
+			const inside = await place("object", 5, 5, 1);
+			const near = await place("point", 14, 5, 5);
+			const far = await place("object", 100, 100, 5);
+			const large = await place("object", 500, 500, 1000);
+			const removed = await place("object", 5, 5, 1);
+			await backend.removeEntity(removed);
+
+			// Move a node after creation to check that the spatial query follows property updates.
+			const moved = await place("object", 1000, 1000, 1);
+			await backend.setPVector3(moved, "center", new Vector3(6, 6, 0));
+
+			const box = new Box3(new Vector3(0, 0, 0), new Vector3(10, 10, 0));
+
+			const touching = await asyncFrom(backend.getNodesTouchingArea(box, 0), nodeRef => nodeRef.id);
+			for(const id of [inside, near, large, moved]) {
+				expect(touching.includes(id), `getNodesTouchingArea must yield node ${id}`);
+			}
+			expect(!touching.includes(far), "getNodesTouchingArea must not yield far away nodes");
+			expect(!touching.includes(removed), "getNodesTouchingArea must not yield removed nodes");
+			expect(new Set(touching).size === touching.length, "getNodesTouchingArea must yield each node once");
+
+			const touchingLarge = await asyncFrom(backend.getNodesTouchingArea(box, 2), nodeRef => nodeRef.id);
+			expect(touchingLarge.length === 2 && touchingLarge.includes(near) && touchingLarge.includes(large), "getNodesTouchingArea must respect the minimum radius");
+
+			const objects = await asyncFrom(backend.getObjectNodesTouchingArea(box, 0), nodeRef => nodeRef.id);
+			expect(objects.length === 3 && !objects.includes(near), "getObjectNodesTouchingArea must only yield object nodes");
+		},
+	},
+	{
+		name: "images",
+		async run(backend, expect) {
+			const data = new Uint8Array([137, 80, 78, 71, 0, 255]);
+			await backend.setImageData("test", data);
+			expect((await backend.getImageNames()).includes("test"), "stored image must be listed");
+
+			const stored = await backend.getImageData("test");
+			expect(stored instanceof Uint8Array && stored.length === data.length && stored.every((value, i) => value === data[i]), "stored image data must be returned unchanged");
+
+			await backend.setImageData("test", new Uint8Array([1]));
+			expect((await backend.getImageData("test")).length === 1, "storing an image with the same name must replace it");
+
+			await backend.setImageData("test", undefined);
+			expect(!(await backend.getImageNames()).includes("test"), "deleted image must not be listed");
+			expect(await backend.getImageData("test") === undefined, "deleted image must not have data");
+		},
+	},
+	{
+		name: "transactions",
+		async run(backend, expect) {
+			const outsideId = (await backend.createEntity("test")).id;
+			await backend.setPString(outsideId, "name", "before");
+
+			let insideId;
+			let outsideWrite;
+			const rolledBack = await backend.transaction(async (transaction) => {
+				const nodeRef = await backend.createNode(null, "object", transaction);
+				insideId = nodeRef.id;
+				await backend.setPVector3(insideId, "center", new Vector3(5, 5, 0), transaction);
+				await backend.setPNumber(insideId, "radius", 1, transaction);
+				await backend.setPString(outsideId, "name", "inside", transaction);
+
+				// Not awaited: it must wait for the transaction instead of becoming part of it.
+				outsideWrite = backend.setPString(outsideId, "other", "outside");
+
+				await backend.createEntity("test", transaction);
+				throw new Error("rollback");
+			}).then(() => false, (error) => error.message === "rollback");
+
+			expect(rolledBack, "transaction must rethrow the error of its function");
+			await outsideWrite;
+			expect(!(await backend.entityExists(insideId)), "entities created in a failed transaction must be rolled back");
+			expect(await backend.getPString(outsideId, "name") === "before", "properties set in a failed transaction must be rolled back");
+			expect(await backend.getPString(outsideId, "other") === "outside", "changes from outside a failed transaction must be kept");
+
+			const box = new Box3(new Vector3(0, 0, 0), new Vector3(10, 10, 0));
+			expect(!(await asyncFrom(backend.getNodesTouchingArea(box, 0), nodeRef => nodeRef.id)).includes(insideId), "spatial queries must not yield nodes of a failed transaction");
+
+			const keptId = await backend.transaction(async (transaction) => (await backend.createNode(null, "object", transaction)).id);
+			expect(await backend.entityValid(keptId), "entities created in a successful transaction must be kept");
+		},
+	},
+];
+
+/** Run the MapBackend conformance checks against a backend implementation.
+ * Useful when writing a new MapBackend subclass: add it to the backends below.
+ * @param createBackend {function} Returns a new, unloaded backend (or a promise resolving to one). Called once per check.
+ * @returns {Array.<Object>} The result of each check, with name {string}, passed {boolean}, and error {Error|undefined} keys.
+ */
+async function checkMapBackendConformance(createBackend) {
+	const expect = (condition, message) => {
+		if(!condition) {
+			throw new Error(message);
+		}
+	};
+
+	const results = [];
+	for(const check of mapBackendConformanceChecks) {
+		try {
+			const backend = await createBackend();
+			await backend.load();
+			await check.run(backend, expect);
+			results.push({name: check.name, passed: true});
+		}
+		catch(error) {
+			results.push({name: check.name, passed: false, error: error});
+		}
+	}
+	return results;
+}
+
+// The backends to check, with a function creating a new, unloaded instance of each.
+const backends = [
+	{name: "SqlJsMapBackend", create: () => new SqlJsMapBackend()},
+	{name: "MemoryMapBackend", create: () => new MemoryMapBackend()},
+];
+
+/** Run the conformance checks against each backend and show the results on the page.
+ * Failures are also logged to the console.
+ * @returns {number} the number of failed checks
+ */
+async function run() {
+	const resultsDiv = document.getElementById("results");
+	let failures = 0;
+
+	for(const backend of backends) {
+		const heading = document.createElement("h2");
+		heading.innerText = backend.name;
+		resultsDiv.appendChild(heading);
+
+		const list = document.createElement("ul");
+		resultsDiv.appendChild(list);
+
+		for(const result of await checkMapBackendConformance(backend.create)) {
+			const item = document.createElement("li");
+			item.setAttribute("class", result.passed ? "passed" : "failed");
+			item.innerText = result.passed ? `✓ ${result.name}` : `✗ ${result.name}: ${result.error}`;
+			list.appendChild(item);
+
+			if(!result.passed) {
+				failures++;
+				console.error(`${backend.name} failed the ${result.name} check:`, result.error);
+			}
+		}
+	}
+
+	return failures;
+}
+
+run().then(failures => {
+	const summary = document.getElementById("summary");
+	summary.setAttribute("class", (failures === 0) ? "passed" : "failed");
+	summary.innerText = (failures === 0) ? "All checks passed." : `${failures} check${(failures === 1) ? "" : "s"} failed; see below.`;
+}).catch(error => {
+	document.getElementById("summary").innerText = `Could not run the checks: ${error}`;
+});
@@ -1,18 +1,160 @@
-import { Mapper, SqlJsMapBackend } from "./mapper/index.js";
+import { IndexedDbMapStore, Mapper, SqlJsMapBackend, Vector3 } from "./mapper/index.js";
+
+// Maps are kept in the browser so that work survives closing the tab.
+const store = new IndexedDbMapStore();
 
 let renderedMap;
+let mapper;
+let stopAutosave;
+// The UUID of the displayed map (see Mapper#getUuid()), which deep links name.
+let currentMapUuid;
+// A deep link to a map that was not open or stored, followed once a map with its UUID is opened, e.g. from a file.
+let pendingDeepLink = null;
+// Whether maps can be kept in the browser; if IndexedDB is unavailable, maps are only kept until the page is closed.
+let storeAvailable = true;
+
+store.hooks.add("autosave_failed", (id, error) => {
+	alert(`Could not save the map in the browser: ${error}`);
+});
+
+/** Stop keeping maps in the browser after the store could not be opened.
+ * @param error {Error} the error of the store
+ */
+function disableStore(error) {
+	storeAvailable = false;
+	alert(`Maps cannot be kept in this browser (${error}), so changes will not be saved automatically. Download the map to keep it.`);
+}
+
+/** Make a deep link to a place in a map.
+ * The fragment of the link is either "map=<map UUID>&node=<node ID>" to show a node,
+ * or "map=<map UUID>&x=<x>&y=<y>&zoom=<zoom level>" to show a point of the map.
+ * The map is named by its UUID, so the link works in any browser that has the map stored or opens a copy of it.
+ * @param mapUuid {string} the UUID of the map, from Mapper#getUuid()
+ * @param view {Object} either {node: ...} or {x: ..., y: ..., zoom: ...}
+ * @returns {string} the link
+ */
+function makeDeepLink(mapUuid, view) {
+	const params = new URLSearchParams({map: mapUuid});
+	if(view.node !== undefined) {
+		params.set("node", view.node);
+	}
+	else {
+		params.set("x", Math.round(view.x));
+		params.set("y", Math.round(view.y));
+		params.set("zoom", view.zoom);
+	}
+
+	const url = new URL(window.location.href);
+	url.hash = params.toString();
+	return url.href;
+}
+
+/** Parse the fragment of a deep link made by makeDeepLink().
+ * @param hash {string} the fragment, such as window.location.hash
+ * @returns {Object|null} an object with the keys mapUuid and view, or null if the fragment is not a deep link
+ */
+function parseDeepLink(hash) {
+	const params = new URLSearchParams(hash.replace(/^#/, ""));
+	const mapUuid = params.get("map");
+	if(!mapUuid) {
+		return null;
+	}
+
+	if(params.has("node")) {
+		const node = parseInt(params.get("node"));
+		return isNaN(node) ? null : {mapUuid: mapUuid, view: {node: node}};
+	}
 
-function loadMap(map, failToBlank) {
-	map.load().then(function() {
+	const view = {x: parseFloat(params.get("x")), y: parseFloat(params.get("y")), zoom: parseFloat(params.get("zoom"))};
+	return (isNaN(view.x) || isNaN(view.y) || isNaN(view.zoom)) ? {mapUuid: mapUuid, view: null} : {mapUuid: mapUuid, view: view};
+}
+
+/** Tell the user that a deep link cannot be followed yet. */
+function alertDeepLinkPending() {
+	const where = storeAvailable ? "stored in this browser" : "open";
+	alert(`The map of this link is not ${where}. Open the map file to go to the linked place.`);
+}
+
+/** Show a place of the displayed map.
+ * @param view {Object} either {node: ...} or {x: ..., y: ..., zoom: ...}, as from parseDeepLink()
+ */
+async function showView(view) {
+	if(view.node !== undefined) {
+		const nodeRef = mapper.backend.getNodeRef(view.node);
+		// Only nodes have a node type; other entities such as edges cannot be shown. Points are shown as their object.
+		if(await nodeRef.valid() && (await nodeRef.getPString("type")) !== undefined) {
+			await renderedMap.jumpToNode(await renderedMap.objectNode(nodeRef));
+		}
+		else {
+			alert(`Node #${view.node} does not exist in this map.`);
+		}
+	}
+	else {
+		await renderedMap.jumpToPoint(new Vector3(view.x, view.y, 0), view.zoom);
+	}
+}
+
+/** Load a map and display it.
+ * @param map {SqlJsMapBackend} the map to load
+ * @param localMap {Object} either {id: ...} to keep saving into an existing local map, or {name: ...} to store the map as a new local map (or only to name it, if maps cannot be kept in the browser)
+ * @param failToBlank {boolean} open a blank map if the map cannot be loaded
+ * @param view {Object|null} a place to show once the map is displayed, as from parseDeepLink()
+ */
+function loadMap(map, localMap, failToBlank, view) {
+	map.load().then(async function() {
 		if(renderedMap) {
+			await stopAutosave();
 			renderedMap.disconnect();
 		}
 
-		const mapper = new Mapper(map);
+		let mapId = null;
+		if(storeAvailable) {
+			try {
+				mapId = (localMap.id !== undefined) ? localMap.id : await store.createMap(localMap.name, await map.getData());
+				await store.setLastMapId(mapId);
+			}
+			catch(error) {
+				// Still show the map, only without saving it automatically; other maps may still be kept.
+				alert(`This map cannot be kept in this browser (${error}), so changes will not be saved automatically. Download the map to keep it.`);
+				mapId = null;
+			}
+		}
+
+		mapper = new Mapper(map);
+		stopAutosave = (mapId === null) ? async () => {} : store.autosave(mapper, mapId);
+
+		// Maps from before UUIDs get one here, which is then autosaved.
+		const mapUuid = await mapper.getUuid();
+		currentMapUuid = mapUuid;
+		if(mapId !== null) {
+			await store.setMapUuid(mapId, mapUuid);
+		}
+
+		if(pendingDeepLink !== null && pendingDeepLink.mapUuid === mapUuid) {
+			view = view || pendingDeepLink.view;
+			pendingDeepLink = null;
+		}
+
+		// Do not leave a link to another map in the address bar.
+		const deepLink = parseDeepLink(window.location.hash);
+		if(deepLink !== null && deepLink.mapUuid !== mapUuid) {
+			window.history.replaceState(null, "", window.location.pathname + window.location.search);
+		}
+
 		renderedMap = mapper.render(document.getElementById("mapper"));
 
 		const systemButtons = document.createElement("div");
-		systemButtons.setAttribute("class", "mapper1024_zoom_row");
+
+		const fileButtons = document.createElement("div");
+		fileButtons.setAttribute("class", "mapper1024_zoom_row");
+		systemButtons.appendChild(fileButtons);
+
+		const localMapRow = document.createElement("div");
+		localMapRow.setAttribute("class", "mapper1024_property_row");
+		if(mapId !== null) {
+			systemButtons.appendChild(localMapRow);
+		}
+
 		renderedMap.brushbar.setSystemButtons(systemButtons);
 
 		const openAction = async () => {
@@ -22,28 +164,103 @@ function loadMap(map, failToBlank) {
 			input.onchange = async (e) => {
 				const file = e.target.files[0];
 
-				loadMap(new SqlJsMapBackend({
-					loadFrom: "data",
-					data: new Uint8Array(await file.arrayBuffer()),
-				}));
+				if(file.name.endsWith(".json")) {
+					loadMap(new SqlJsMapBackend({
+						loadFrom: "json",
+						json: await file.text(),
+					}), {name: file.name.replace(/\.json$/, "")});
+				}
+				else {
+					loadMap(new SqlJsMapBackend({
+						loadFrom: "data",
+						data: new Uint8Array(await file.arrayBuffer()),
+					}), {name: file.name.replace(/\.map$/, "")});
+				}
 			};
 
 			input.click();
 		};
 
 		const newAction = async () => {
-			loadMap(new SqlJsMapBackend());
+			const name = prompt("Name of the new map:", `Map at ${new Date(Date.now()).toISOString()}`);
+			if(name !== null) {
+				loadMap(new SqlJsMapBackend(), {name: name});
+			}
 		};
 
+		const getMapName = async () => (mapId === null) ? localMap.name : (await store.getMap(mapId)).name;
+
 		const saveAction = async () => {
 			const a = document.createElement("a");
-			const url = window.URL.createObjectURL(new Blob([await map.getData()], {type: "octet/stream"}));
+			// Downloaded files do not need anything for undo, so leave out everything removed.
+			const url = window.URL.createObjectURL(new Blob([await map.getData({compact: true})], {type: "octet/stream"}));
+			a.href = url;
+			a.download = `${await getMapName()}.map`;
+			a.click();
+			window.URL.revokeObjectURL(url);
+		};
+
+		const saveJsonAction = async () => {
+			const a = document.createElement("a");
+			const url = window.URL.createObjectURL(new Blob([await map.getJson({compact: true})], {type: "application/json"}));
 			a.href = url;
-			a.download = `Map at ${new Date(Date.now()).toISOString()}.map`;
+			a.download = `${await getMapName()}.json`;
 			a.click();
 			window.URL.revokeObjectURL(url);
 		};
 
+		const switchAction = async (id) => {
+			loadMap(new SqlJsMapBackend({
+				loadFrom: "data",
+				data: await store.getMapData(id),
+			}), {id: id});
+		};
+
+		const renameAction = async () => {
+			const name = prompt("New name of the map:", (await store.getMap(mapId)).name);
+			if(name !== null) {
+				await store.renameMap(mapId, name);
+				await updateLocalMaps();
+			}
+		};
+
+		const linkAction = async () => {
+			// Link to the selected object if there is exactly one, otherwise to the current view.
+			const selectedNodeRefs = Array.from(renderedMap.selection.getOrigins());
+			const link = makeDeepLink(mapUuid, (selectedNodeRefs.length === 1) ? {node: selectedNodeRefs[0].id} : {
+				x: renderedMap.getViewCenter().x,
+				y: renderedMap.getViewCenter().y,
+				zoom: renderedMap.zoom,
+			});
+
+			window.history.replaceState(null, "", link);
+
+			try {
+				await navigator.clipboard.writeText(link);
+			}
+			catch(e) {
+				prompt("Link to this place:", link);
+			}
+		};
+
+		const deleteAction = async () => {
+			if(confirm(`Delete "${(await store.getMap(mapId)).name}" from this browser? This cannot be undone.`)) {
+				await stopAutosave();
+				await store.removeMap(mapId);
+
+				const otherMaps = await store.getMaps();
+				if(otherMaps.length > 0) {
+					loadMap(new SqlJsMapBackend({
+						loadFrom: "data",
+						data: await store.getMapData(otherMaps[0].id),
+					}), {id: otherMaps[0].id});
+				}
+				else {
+					loadMap(new SqlJsMapBackend(), {name: "New map"});
+				}
+			}
+		};
+
 		const newButton = document.createElement("button");
 		newButton.setAttribute("class", "mapper1024_zoom_button");
 		newButton.innerText = "🗎";
@@ -52,27 +269,86 @@ function loadMap(map, failToBlank) {
 			await newAction();
 			renderedMap.focus();
 		};
-		systemButtons.appendChild(newButton);
+		fileButtons.appendChild(newButton);
 
 		const openButton = document.createElement("button");
 		openButton.setAttribute("class", "mapper1024_zoom_button");
 		openButton.innerText = "📁";
-		openButton.setAttribute("title", "Open map [shortcut: Shift+o]");
+		openButton.setAttribute("title", "Open map from a file [shortcut: Shift+o]");
 		openButton.onclick = async () => {
 			await openAction();
 			renderedMap.focus();
 		};
-		systemButtons.appendChild(openButton);
+		fileButtons.appendChild(openButton);
 
 		const saveButton = document.createElement("button");
 		saveButton.setAttribute("class", "mapper1024_zoom_button");
 		saveButton.innerText = "💾";
-		saveButton.setAttribute("title", "Save map [shortcut: Shift+s]");
+		saveButton.setAttribute("title", "Download a copy of the map [shortcut: Shift+s]");
 		saveButton.onclick = async () => {
 			await saveAction();
 			renderedMap.focus();
 		};
-		systemButtons.appendChild(saveButton);
+		fileButtons.appendChild(saveButton);
+
+		const saveJsonButton = document.createElement("button");
+		saveJsonButton.setAttribute("class", "mapper1024_zoom_button");
+		saveJsonButton.innerText = "{ }";
+		saveJsonButton.setAttribute("title", "Download a copy of the map as JSON, for version control or editing by hand");
+		saveJsonButton.onclick = async () => {
+			await saveJsonAction();
+			renderedMap.focus();
+		};
+		fileButtons.appendChild(saveJsonButton);
+
+		const linkButton = document.createElement("button");
+		linkButton.setAttribute("class", "mapper1024_zoom_button");
+		linkButton.innerText = "🔗";
+		linkButton.setAttribute("title", "Copy a link to the selected object, or to this view if nothing is selected");
+		linkButton.onclick = async () => {
+			await linkAction();
+			renderedMap.focus();
+		};
+		fileButtons.appendChild(linkButton);
+
+		const localMapSelect = document.createElement("select");
+		localMapSelect.setAttribute("title", "Maps saved in this browser");
+		localMapSelect.onchange = async () => {
+			await switchAction(+localMapSelect.value);
+		};
+		localMapRow.appendChild(localMapSelect);
+
+		const renameButton = document.createElement("button");
+		renameButton.innerText = "✎";
+		renameButton.setAttribute("title", "Rename map");
+		renameButton.onclick = async () => {
+			await renameAction();
+			renderedMap.focus();
+		};
+		localMapRow.appendChild(renameButton);
+
+		const deleteButton = document.createElement("button");
+		deleteButton.innerText = "🗑";
+		deleteButton.setAttribute("title", "Delete map from this browser");
+		deleteButton.onclick = async () => {
+			await deleteAction();
+		};
+		localMapRow.appendChild(deleteButton);
+
+		const updateLocalMaps = async () => {
+			localMapSelect.innerHTML = "";
+			for(const localMapInfo of await store.getMaps()) {
+				const option = document.createElement("option");
+				option.value = localMapInfo.id;
+				option.innerText = localMapInfo.name;
+				option.selected = localMapInfo.id === mapId;
+				localMapSelect.appendChild(option);
+			}
+		};
+
+		if(mapId !== null) {
+			await updateLocalMaps();
+		}
 
 		renderedMap.registerKeyboardShortcut((context, event) => event.key === "N", async () => {
 			newAction();
@@ -85,20 +361,105 @@ function loadMap(map, failToBlank) {
 		renderedMap.registerKeyboardShortcut((context, event) => event.key === "O", async () => {
 			openAction();
 		});
+
+		if(view) {
+			await showView(view);
+		}
 	}).catch(error => {
 		alert(`Could not load the map: ${error}`);
 		if(failToBlank) {
-			loadMap(new SqlJsMapBackend());
+			loadMap(new SqlJsMapBackend(), {name: "New map"});
 		}
 	});
 }
 
-loadMap(new SqlJsMapBackend({
-	loadFrom: "url",
-	url: "./mapper/samples/sample_map.map",
-}), true);
+/** Open the map and place of a deep link, if it names the displayed map or a map stored in this browser.
+ * Otherwise the link is followed once its map is opened.
+ * @param deepLink {Object|null} as from parseDeepLink()
+ * @param failToBlank {boolean} open a blank map if the map cannot be loaded
+ * @returns {boolean} whether the deep link was opened
+ */
+async function openDeepLink(deepLink, failToBlank) {
+	if(deepLink === null) {
+		return false;
+	}
+
+	if(mapper && deepLink.mapUuid === currentMapUuid) {
+		if(deepLink.view) {
+			await showView(deepLink.view);
+		}
+		return true;
+	}
+
+	const localMap = storeAvailable ? await store.findMapByUuid(deepLink.mapUuid) : undefined;
+	if(localMap === undefined) {
+		pendingDeepLink = deepLink;
+		return false;
+	}
+
+	loadMap(new SqlJsMapBackend({
+		loadFrom: "data",
+		data: await store.getMapData(localMap.id),
+	}), {id: localMap.id}, failToBlank, deepLink.view);
+	return true;
+}
+
+/** Load the sample map, to start with on the first visit. */
+function loadSampleMap() {
+	loadMap(new SqlJsMapBackend({
+		loadFrom: "url",
+		url: "./mapper/samples/sample_map.map",
+	}), {name: "Sample map"}, true);
+}
+
+store.open().then(async () => {
+	// Open the place in the URL if there is one.
+	const deepLink = parseDeepLink(window.location.hash);
+	if(await openDeepLink(deepLink, true)) {
+		return;
+	}
+	else if(deepLink !== null) {
+		alertDeepLinkPending();
+	}
+
+	// Reopen the last map, or start with the sample map on the first visit.
+	const lastMapId = await store.getLastMapId();
+	if(lastMapId !== undefined) {
+		loadMap(new SqlJsMapBackend({
+			loadFrom: "data",
+			data: await store.getMapData(lastMapId),
+		}), {id: lastMapId}, true);
+	}
+	else {
+		loadSampleMap();
+	}
+}, error => {
+	// Still show a map if IndexedDB is unavailable, e.g. in some private browsing modes.
+	disableStore(error);
+	const deepLink = parseDeepLink(window.location.hash);
+	if(deepLink !== null) {
+		// Follow the link once its map is opened from a file.
+		pendingDeepLink = deepLink;
+		alertDeepLinkPending();
+	}
+	loadSampleMap();
+}).catch(error => {
+	// The store is open, but the map to start with could not be read from it; maps can still be kept.
+	alert(`Could not open a map kept in this browser: ${error}`);
+	loadSampleMap();
+});
+
+window.addEventListener("hashchange", async () => {
+	const deepLink = parseDeepLink(window.location.hash);
+	if(deepLink !== null && !(await openDeepLink(deepLink, false))) {
+		alertDeepLinkPending();
+	}
+});
 
 window.addEventListener("beforeunload", function (e) {
-	e.preventDefault();
-	e.returnValue = "Did you save any changes?";
+	// Changes are autosaved shortly after they are made; only warn if some are not stored yet.
+	if(mapper && mapper.hasUnsavedChanges()) {
+		e.preventDefault();
+		e.returnValue = "Some changes have not been saved yet.";
+	}
 });
@@ -514,8 +514,21 @@ class EntityRef {
 	constructor(id, backend) {
 		this.id = id;
 		this.backend = backend;
-		this.cache = this.backend.getEntityCache(id);
-		this.propertyCache = this.cache.properties;
+	}
+
+	/** The cached data about this entity, shared by all references to it.
+	 * Always get it through this property rather than keeping it around, since it may be evicted from the backend's cache at any time.
+	 * @returns {Object}
+	 */
+	get cache() {
+		return this.backend.getEntityCache(this.id);
+	}
+
+	/** The cached property values of this entity.
+	 * @returns {Object}
+	 */
+	get propertyCache() {
+		return this.cache.properties;
 	}
 
 	/** Check if this entity exists in the database.
@@ -560,31 +573,38 @@ class EntityRef {
 	}
 
 	/** Set a number property. */
-	async setPNumber(propertyName, value) {
+	async setPNumber(propertyName, value, transaction) {
+		await this.backend.setPNumber(this.id, propertyName, value, transaction);
 		this.propertyCache[propertyName] = value;
-		return this.backend.setPNumber(this.id, propertyName, value);
 	}
 
 	/** Set a string property. */
-	async setPString(propertyName, value) {
+	async setPString(propertyName, value, transaction) {
+		await this.backend.setPString(this.id, propertyName, value, transaction);
 		this.propertyCache[propertyName] = value;
-		return this.backend.setPString(this.id, propertyName, value);
+	}
+
+	/** Get all properties of this entity, bypassing the property cache.
+	 * @returns {Object} See MapBackend#getProperties().
+	 */
+	async getProperties() {
+		return this.backend.getProperties(this.id);
 	}
 
 	/** Set a Vector3 property. */
-	async setPVector3(propertyName, v) {
+	async setPVector3(propertyName, v, transaction) {
+		await this.backend.setPVector3(this.id, propertyName, v, transaction);
 		this.propertyCache[propertyName] = v;
-		return this.backend.setPVector3(this.id, propertyName, v);
 	}
 
 	/** Remove this entity from the database. */
-	async remove() {
-		return this.backend.removeEntity(this.id);
+	async remove(transaction) {
+		return this.backend.removeEntity(this.id, transaction);
 	}
 
 	/** Restore this entity to the database if it was previously removed. */
-	async unremove() {
-		return this.backend.unremoveEntity(this.id);
+	async unremove(transaction) {
+		return this.backend.unremoveEntity(this.id, transaction);
 	}
 }
 
@@ -597,23 +617,9 @@ class NodeRef extends EntityRef {
 
 	/** Called when the node is created. */
 	async create() {
-		this.cache.edges = [];
-		this.cache.neighbors = [];
-		await this.clearParentCache();
-	}
-
-	async clearParentCache() {
-		const parent = await this.getParent();
-		if(parent) {
-			delete parent.cache.children;
-		}
-	}
-
-	async clearNeighborCache() {
-		for await (const nodeRef of this.getSelfAndNeighbors()) {
-			delete nodeRef.cache.edges;
-			delete nodeRef.cache.neighbors;
-		}
+		const cache = this.cache;
+		cache.edges = [];
+		cache.neighbors = [];
 	}
 
 	/** Get the base type of this node. See backend getNodeType().
@@ -638,13 +644,9 @@ class NodeRef extends EntityRef {
 		return parent;
 	}
 
-	async setParent(parent) {
-		await this.clearParentCache();
-
+	async setParent(parent, transaction) {
+		await this.backend.setNodeParent(this.id, parent.id, transaction);
 		this.cache.parent = parent;
-		await this.backend.setNodeParent(this.id, parent.id);
-
-		await this.clearParentCache();
 	}
 
 	/** Get all children of this node.
@@ -710,8 +712,8 @@ class NodeRef extends EntityRef {
 	/** Set the "center" property of this node.
 	 * @param v {Vector3}
 	 */
-	async setCenter(v) {
-		return this.setPVector3("center", v);
+	async setCenter(v, transaction) {
+		return this.setPVector3("center", v, transaction);
 	}
 
 	/** Get the "center" property of this node.
@@ -724,8 +726,8 @@ class NodeRef extends EntityRef {
 	/** Set the effective center property of this node --- where it is actually displayed.
 	 * @param v {Vector3}
 	 */
-	async setEffectiveCenter(v) {
-		return this.setPVector3("eCenter", v);
+	async setEffectiveCenter(v, transaction) {
+		return this.setPVector3("eCenter", v, transaction);
 	}
 
 	/** Get the effective center property of this node --- where it is actually displayed.
@@ -738,8 +740,8 @@ class NodeRef extends EntityRef {
 	/** Set the type of this node.
 	 * @param type {NodeType}
 	 */
-	async setType(type) {
-		return this.setPString("type", type.id);
+	async setType(type, transaction) {
+		return this.setPString("type", type.id, transaction);
 	}
 
 	/** Get the type of this node from the map backend node type registry.
@@ -750,8 +752,8 @@ class NodeRef extends EntityRef {
 	}
 
 	/** Set the radius of the node. */
-	async setRadius(radius) {
-		return this.setPNumber("radius", radius);
+	async setRadius(radius, transaction) {
+		return this.setPNumber("radius", radius, transaction);
 	}
 
 	/** Get the radius of the node */
@@ -765,14 +767,76 @@ class NodeRef extends EntityRef {
 	 */
 	async getLayer() {
 		const layerId = await this.getPString("layer");
-		return layerId ? this.backend.layerRegistry.get(layerId) : this.backend.layerRegistry.getDefault();
+		// The layer may be gone, e.g. if creating a custom layer was undone.
+		return (layerId && this.backend.layerRegistry.get(layerId)) || this.backend.layerRegistry.getDefault();
 	}
 
 	/** Set the layer of this node.
 	 * @param layer {Layer}
 	 */
-	async setLayer(layer) {
-		return this.setPString("layer", layer.id);
+	async setLayer(layer, transaction) {
+		return this.setPString("layer", layer.id, transaction);
+	}
+
+	/** Get the tags of this node, stored comma-separated in the "tags" property.
+	 * @returns {Array.<string>}
+	 */
+	async getTags() {
+		return ((await this.getPString("tags")) || "").split(",").map((tag) => tag.trim()).filter((tag) => tag.length > 0);
+	}
+
+	/** Get the links of this node, stored as JSON in the "links" property.
+	 * Malformed links, e.g. from an imported map, are ignored.
+	 * @returns {Array.<Object>} Objects with either a "node" key (the entity ID of another node) or a "url" key (an external document).
+	 */
+	async getLinks() {
+		const json = await this.getPString("links");
+		let links;
+		try {
+			links = json ? JSON.parse(json) : [];
+		}
+		catch(error) {
+			return [];
+		}
+		return Array.isArray(links) ? links.filter((link) => link && (typeof link.node === "number" || typeof link.url === "string")) : [];
+	}
+
+	/** Get the definitions of the custom fields of this node, stored as JSON in the "fields" property.
+	 * Each field's value is stored in its own property; see #getFieldPropertyName().
+	 * Malformed definitions are ignored.
+	 * @returns {Array.<Object>} Objects with keys "name" and "type" ("string" or "number").
+	 */
+	async getFieldDefinitions() {
+		const json = await this.getPString("fields");
+		let definitions;
+		try {
+			definitions = json ? JSON.parse(json) : [];
+		}
+		catch(error) {
+			return [];
+		}
+		return Array.isArray(definitions) ? definitions.filter((definition) => definition && typeof definition.name === "string") : [];
+	}
+
+	/** Get the custom fields of this node with their values.
+	 * @returns {Array.<Object>} Objects with keys "name", "type" ("string" or "number"), and "value".
+	 */
+	async getFields() {
+		const fields = [];
+		for(const field of await this.getFieldDefinitions()) {
+			const propertyName = NodeRef.getFieldPropertyName(field.name);
+			const value = (field.type === "number") ? await this.getPNumber(propertyName) : await this.getPString(propertyName);
+			fields.push({name: field.name, type: field.type, value: value});
+		}
+		return fields;
+	}
+
+	/** Get the name of the property that stores the value of a custom field.
+	 * @param fieldName {string}
+	 * @returns {string}
+	 */
+	static getFieldPropertyName(fieldName) {
+		return `field:${fieldName}`;
 	}
 
 	/** Get all edges connected to this node.
@@ -786,16 +850,8 @@ class NodeRef extends EntityRef {
 		yield* edges;
 	}
 
-	async remove() {
-		await this.clearParentCache();
-		await this.clearNeighborCache();
-		return this.backend.removeNode(this.id);
-	}
-
-	async unremove() {
-		super.unremove();
-		await this.clearParentCache();
-		await this.clearNeighborCache();
+	async remove(transaction) {
+		return this.backend.removeNode(this.id, transaction);
 	}
 }
 
@@ -811,26 +867,18 @@ class EdgeRef extends EntityRef {
 		const nodes = await asyncFrom(this.getNodes());
 		for(let i = 0; i < nodes.length; i++) {
 			const nodeRef = nodes[i];
+			const cache = nodeRef.cache;
 
-			const edges = nodeRef.cache.edges;
-			if(edges) {
-				edges.push(this.backend.getDirEdgeRef(this.id, nodeRef.id));
+			if(cache.edges) {
+				cache.edges.push(this.backend.getDirEdgeRef(this.id, nodeRef.id));
 			}
 
-			const neighbors = nodeRef.cache.neighbors;
-			if(neighbors) {
-				neighbors.push(nodes[(i + 1) % 2]);
+			if(cache.neighbors) {
+				cache.neighbors.push(nodes[(i + 1) % 2]);
 			}
 		}
 	}
 
-	async clearNeighborCache() {
-		for await (const nodeRef of this.getNodes()) {
-			delete nodeRef.cache.edges;
-			delete nodeRef.cache.neighbors;
-		}
-	}
-
 	/** Get the (two) nodes connected to this edge.
 	 * @returns {AsyncIterable.<NodeRef>}
 	 */
@@ -854,14 +902,8 @@ class EdgeRef extends EntityRef {
 		return new Line3(a, b);
 	}
 
-	async remove() {
-		await this.clearNeighborCache();
-		return this.backend.removeEdge(this.id);
-	}
-
-	async unremove() {
-		super.unremove();
-		await this.clearNeighborCache();
+	async remove(transaction) {
+		return this.backend.removeEdge(this.id, transaction);
 	}
 }
 
@@ -967,12 +1009,19 @@ class NodeType {
 		return !!this.def.givesBackground;
 	}
 
+	/** Get the tiles assigned to this node type in the map, if any. See NodeTypeRegistry#setTileAssignments(). */
+	getTileAssignment() {
+		return (this.registry && this.registry.tileAssignments[this.id]) || {};
+	}
+
 	getImageName() {
-		return this.def.image;
+		const assignment = this.getTileAssignment();
+		return (assignment.image !== undefined) ? assignment.image : this.def.image;
 	}
 
 	getExtraTileNames() {
-		return this.def.extraTiles || [];
+		const assignment = this.getTileAssignment();
+		return assignment.extraTiles || this.def.extraTiles || [];
 	}
 
 	getAllTiles() {
@@ -1001,8 +1050,8 @@ class NodeType {
 	}
 
 	getParent() {
-		if(this.def.parent) {
-			const parent = this.registry.get(this.def.parent);
+		const parent = this.def.parent ? this.registry.get(this.def.parent) : undefined;
+		if(parent) {
 			return parent.getParent() || parent;
 		}
 		else {
@@ -1158,6 +1207,13 @@ class NodeTypeRegistry {
 			color: "white",
 			layer: "annotation",
 		}));
+
+		// Map-specific node types, see #setCustomTypeDefinitions().
+		this.customTypeIds = new Set();
+
+		// Map-specific tiles, see #setImage() and #setTileAssignments().
+		this.images = {};
+		this.tileAssignments = {};
 	}
 
 	registerType(nodeType) {
@@ -1165,6 +1221,106 @@ class NodeTypeRegistry {
 		this.types[nodeType.id] = nodeType;
 	}
 
+	/** Replace all custom node types with new ones.
+	 * Custom node types cannot replace the built-in node types; definitions with the ID of a built-in type are ignored.
+	 * @param definitions {Object} The definitions of the custom node types (as passed to the NodeType constructor), by node type ID.
+	 */
+	setCustomTypeDefinitions(definitions) {
+		for(const id of this.customTypeIds) {
+			delete this.types[id];
+		}
+		this.customTypeIds.clear();
+
+		for(const id in definitions) {
+			if(this.types[id] === undefined) {
+				this.registerType(new NodeType(id, definitions[id]));
+				this.customTypeIds.add(id);
+			}
+		}
+	}
+
+	/** Get the definitions of all custom node types.
+	 * @returns {Object} The definitions by node type ID.
+	 */
+	getCustomTypeDefinitions() {
+		const definitions = {};
+		for(const id of this.customTypeIds) {
+			definitions[id] = this.types[id].def;
+		}
+		return definitions;
+	}
+
+	/** Check if a node type is a custom node type rather than a built-in one.
+	 * @param typeId {string}
+	 * @returns {boolean}
+	 */
+	isCustomType(typeId) {
+		return this.customTypeIds.has(typeId);
+	}
+
+	/** Make an image stored in the map available as a tile.
+	 * Images from the map take precedence over built-in tiles with the same name.
+	 * @param name {string}
+	 * @param data {Uint8Array|undefined} The PNG data of the image, or undefined to forget the image.
+	 */
+	setImage(name, data) {
+		if(data === undefined) {
+			delete this.images[name];
+			return;
+		}
+
+		this.images[name] = {image: new Promise((resolve) => {
+			// Images can only be decoded in a browser.
+			if(typeof Image === "undefined") {
+				resolve(undefined);
+				return;
+			}
+
+			const url = URL.createObjectURL(new Blob([data], {type: "image/png"}));
+			const image = new Image();
+			image.onload = () => {
+				URL.revokeObjectURL(url);
+				resolve(image);
+			};
+			// An image that cannot be decoded is treated as missing.
+			image.onerror = () => {
+				URL.revokeObjectURL(url);
+				resolve(undefined);
+			};
+			image.src = url;
+		})};
+	}
+
+	/** Get a tile image by name.
+	 * @param name {string}
+	 * @returns {Object|undefined} An object with an image key containing a promise of the image (which resolves to undefined if the image cannot be decoded), or undefined if there is no such tile.
+	 */
+	getImage(name) {
+		return this.images[name] || images[name];
+	}
+
+	/** Get the names of all available tile images, both from the map and built in.
+	 * @returns {Array.<string>}
+	 */
+	getImageNames() {
+		return Array.from(new Set([...Object.keys(this.images), ...Object.keys(images)]));
+	}
+
+	/** Replace the tiles assigned to node types.
+	 * Assignments override the tiles from the node type definitions; this works for built-in node types as well.
+	 * @param tileAssignments {Object} By node type ID, objects with optional keys "image" (the main tile name, or null for none) and "extraTiles" (an array of tile names).
+	 */
+	setTileAssignments(tileAssignments) {
+		this.tileAssignments = merge({}, tileAssignments);
+	}
+
+	/** Get the tiles assigned to node types.
+	 * @returns {Object} See #setTileAssignments().
+	 */
+	getTileAssignments() {
+		return merge({}, this.tileAssignments);
+	}
+
 	* getTypes() {
 		for(const k in this.types) {
 			yield this.types[k];
@@ -1183,9 +1339,13 @@ class Layer {
 	}
 
 	getDescription() {
-		return this.id;
+		return this.def.name || this.id;
 	}
 
+	/** Get the type of the layer, which decides how its nodes are drawn and which node types can be placed on it.
+	 * One of "geographical", "political", or "annotation".
+	 * @returns {string}
+	 */
 	getType() {
 		return this.def.type;
 	}
@@ -1197,6 +1357,24 @@ class Layer {
 	getZ() {
 		return this.def.z ? this.def.z : 0;
 	}
+
+	isVisible() {
+		return this.def.visible !== false;
+	}
+
+	/** Get whether the layer is locked against editing.
+	 * @returns {boolean}
+	 */
+	isLocked() {
+		return !!this.def.locked;
+	}
+
+	/** Get the opacity the layer is drawn with, from 0 to 1.
+	 * @returns {number}
+	 */
+	getOpacity() {
+		return (this.def.opacity === undefined) ? 1 : this.def.opacity;
+	}
 }
 
 class LayerRegistry {
@@ -1217,16 +1395,71 @@ class LayerRegistry {
 			type: "annotation",
 			z: 15,
 		}));
+
+		// The original definitions of the built-in layers, see #setLayerDefinitions().
+		this.builtInDefinitions = {};
+		for(const id in this.layers) {
+			this.builtInDefinitions[id] = this.layers[id].def;
+		}
 	}
 
 	registerLayer(layer) {
 		this.layers[layer.id] = layer;
 	}
 
-	* getLayers() {
-		for(const k in this.layers) {
-			yield this.layers[k];
+	/** Replace the layer settings with the ones stored in a map.
+	 * Definitions with the ID of a built-in layer change the settings of that layer, but not its type; other definitions become custom layers.
+	 * Existing Layer objects are kept and updated where possible, so references to them stay valid.
+	 * @param definitions {Object} Layer definitions (as passed to the Layer constructor), by layer ID.
+	 */
+	setLayerDefinitions(definitions) {
+		for(const id in this.layers) {
+			if(this.builtInDefinitions[id] === undefined && definitions[id] === undefined) {
+				delete this.layers[id];
+			}
+		}
+
+		for(const id in this.builtInDefinitions) {
+			this.layers[id].def = merge(this.builtInDefinitions[id], definitions[id], {type: this.builtInDefinitions[id].type});
+		}
+
+		for(const id in definitions) {
+			if(this.builtInDefinitions[id] === undefined) {
+				if(this.layers[id]) {
+					this.layers[id].def = definitions[id];
+				}
+				else {
+					this.registerLayer(new Layer(id, definitions[id]));
+				}
+			}
+		}
+	}
+
+	/** Get the definitions of all layers, including the settings of built-in layers.
+	 * @returns {Object} Copies of the definitions by layer ID.
+	 */
+	getLayerDefinitions() {
+		const definitions = {};
+		for(const id in this.layers) {
+			definitions[id] = merge(this.layers[id].def);
 		}
+		return definitions;
+	}
+
+	/** Check if a layer is a custom layer rather than a built-in one.
+	 * @param id {string}
+	 * @returns {boolean}
+	 */
+	isCustomLayer(id) {
+		return this.layers[id] !== undefined && this.builtInDefinitions[id] === undefined;
+	}
+
+	/** Get all layers, from bottom to top.
+	 * @returns {Generator.<Layer>}
+	 */
+	* getLayers() {
+		// Sorting is stable, so layers with the same Z stay in the order they were registered.
+		yield* Object.values(this.layers).sort((a, b) => a.getZ() - b.getZ());
 	}
 
 	get(id) {
@@ -1238,6 +1471,111 @@ class LayerRegistry {
 	}
 }
 
+/** Cache of data about entities, shared by all references to the same entity.
+ * Each entity's cache is an object with a "properties" object for property values, and other keys for structural data (e.g. "edges" or "parent") as used by EntityRef and its children.
+ * The cache is bounded: once it holds more than the limit, the least recently used entities are evicted.
+ * Backends report their writes to the cache so that it never serves outdated data.
+ */
+class EntityCache {
+	/** Create an empty cache.
+	 * Options may have keys:
+	 * - limit: the maximum number of entities to keep in the cache
+	 */
+	constructor(options) {
+		this.options = merge({
+			limit: 100000,
+		}, options);
+
+		// Map iteration order is insertion order, so the least recently used entity is always first.
+		this.entries = new Map();
+
+		// Structural data of an entity cached before the last validity change is outdated.
+		this.generation = 0;
+	}
+
+	/** Get the cache of an entity, creating it if needed.
+	 * Marks the entity as most recently used.
+	 * @param id {number}
+	 * @returns {Object}
+	 */
+	get(id) {
+		let cache = this.entries.get(id);
+		if(cache === undefined) {
+			cache = {
+				properties: {},
+			};
+
+			if(this.entries.size >= this.options.limit) {
+				this.entries.delete(this.entries.keys().next().value);
+			}
+		}
+		else {
+			this.entries.delete(id);
+
+			if(cache.generation !== this.generation) {
+				delete cache.edges;
+				delete cache.neighbors;
+				delete cache.children;
+			}
+		}
+
+		cache.generation = this.generation;
+		this.entries.set(id, cache);
+		return cache;
+	}
+
+	/** Forget some cached keys of an entity, if it is cached.
+	 * @param id {number}
+	 * @param keys {...string} The keys to forget, e.g. "edges".
+	 */
+	invalidate(id, ...keys) {
+		const cache = this.entries.get(id);
+		if(cache !== undefined) {
+			for(const key of keys) {
+				delete cache[key];
+			}
+		}
+	}
+
+	/** Called by backends when a property of an entity was written. */
+	propertyChanged(id, propertyName) {
+		const cache = this.entries.get(id);
+		if(cache !== undefined) {
+			delete cache.properties[propertyName];
+		}
+	}
+
+	/** Called by backends when a node was created. */
+	nodeCreated(id, parentId) {
+		if(parentId) {
+			this.invalidate(parentId, "children");
+		}
+	}
+
+	/** Called by backends when the parent of a node changed. */
+	nodeParentChanged(id, oldParentId, newParentId) {
+		this.invalidate(id, "parent");
+		for(const parentId of [oldParentId, newParentId]) {
+			if(parentId) {
+				this.invalidate(parentId, "children");
+			}
+		}
+	}
+
+	/** Called by backends when entities were removed or restored.
+	 * Removing a node can remove any number of descendants, and each of them changes the edges, neighbors, and children seen by other nodes,
+	 * so all cached structural data is outdated.
+	 */
+	validityChanged() {
+		this.generation++;
+	}
+
+	/** Forget everything cached about all entities, e.g. after the backend's contents changed behind the cache's back. */
+	clear() {
+		this.entries.clear();
+	}
+}
+
 /** Abstract mapper backend, i.e. what map is being presented.
  * The backend translates between the concept of a map and a database, a file, an API, or whatever else is actually being used to store the data.
  * Most methods here are low-level; users of the backend should use methods from EntityRef and its children which delegate to the MapBackend.
@@ -1255,17 +1593,102 @@ class MapBackend {
 		this.hooks = new HookContainer();
 		this.nodeTypeRegistry = new NodeTypeRegistry();
 		this.layerRegistry = new LayerRegistry();
-		this.entityCache = {};
+		this.entityCache = new EntityCache();
+
+		// The open transaction, if any; see #transaction().
+		this.openTransaction = null;
+		// Settles once the open transaction and all transactions waiting for it have finished.
+		this.transactionQueue = Promise.resolve();
+		// The number of transactions open or waiting.
+		this.pendingTransactions = 0;
 	}
 
+	/** Get the cache of an entity, shared by all references to it.
+	 * @returns {Object}
+	 */
 	getEntityCache(id) {
-		let cache = this.entityCache[id];
-		if(cache === undefined) {
-			cache = this.entityCache[id] = {
-				properties: {},
-			};
+		return this.entityCache.get(id);
+	}
+
+	/** Run a function in a transaction, so that all of its changes to the backend are applied together or not at all.
+	 * If the function throws, the changes are rolled back and the error is rethrown.
+	 * The function is called with the transaction, which code inside it passes on to join the transaction rather than start its own.
+	 * Every method that changes the map takes the transaction as an optional last argument for this purpose.
+	 * Any other call waits until the open transaction finishes, so unrelated work never becomes part of it.
+	 * Backends implement #beginTransaction(), #commitTransaction(), and #rollbackTransaction() to apply or undo the changes.
+	 * @param f {function} An async function to run.
+	 * @param transaction {Object|undefined} The open transaction to join, if the caller is inside one.
+	 * @returns the return value of the function.
+	 */
+	async transaction(f, transaction) {
+		if(transaction !== undefined && transaction === this.openTransaction) {
+			return await f(transaction);
 		}
-		return cache;
+
+		// Wait for the open transaction and any others before this one.
+		const previousTransactions = this.transactionQueue;
+		let finish;
+		this.transactionQueue = new Promise((resolve) => {
+			finish = resolve;
+		});
+		this.pendingTransactions++;
+		await previousTransactions;
+
+		const ownTransaction = {};
+		this.openTransaction = ownTransaction;
+		this.beginTransaction();
+
+		try {
+			const result = await f(ownTransaction);
+			this.commitTransaction();
+			return result;
+		}
+		catch(error) {
+			this.rollbackTransaction();
+			// Cached data may refer to rolled back changes.
+			this.entityCache.clear();
+			throw error;
+		}
+		finally {
+			this.openTransaction = null;
+			this.pendingTransactions--;
+			finish();
+		}
+	}
+
+	/** Start recording changes for #transaction().
+	 * Has a default implementation that does nothing, for backends that cannot roll back changes.
+	 */
+	beginTransaction() {
+	}
+
+	/** Apply the changes recorded since #beginTransaction().
+	 * Has a default implementation that does nothing.
+	 */
+	commitTransaction() {
+	}
+
+	/** Undo the changes recorded since #beginTransaction().
+	 * Has a default implementation that does nothing.
+	 */
+	rollbackTransaction() {
+	}
+
+	/** Run a synchronous function with sole access to the map.
+	 * If the transaction is the open one, the function runs right away as part of it;
+	 * otherwise it runs once no transaction is open or waiting, so that it sees only committed data and its changes are not rolled back with someone else's transaction.
+	 * Implementations run the body of every method that changes the map through this.
+	 * @param f {function}
+	 * @param transaction {Object|undefined} The transaction of the caller, if any.
+	 * @returns the return value of the function.
+	 */
+	async exclusive(f, transaction) {
+		if(transaction === undefined || transaction !== this.openTransaction) {
+			while(this.pendingTransactions > 0) {
+				await this.transactionQueue;
+			}
+		}
+		return f();
 	}
 
 	/** Get the database version number. Implementation defined.
@@ -1294,15 +1717,15 @@ class MapBackend {
 	/** Set a number property on an entity.
 	 * Has a default implementation based on string properties.
 	 */
-	async setPNumber(entityId, propertyName, value) {
-		return this.setPString(entityId, propertyName, value.toString());
+	async setPNumber(entityId, propertyName, value, transaction) {
+		return this.setPString(entityId, propertyName, value.toString(), transaction);
 	}
 
 	/** Set a Vector3 property on an entity.
 	 * Has a default implementation based on string properties.
 	 */
-	async setPVector3(entityId, propertyName, v) {
-		return this.setPString(entityId, propertyName, JSON.stringify(v));
+	async setPVector3(entityId, propertyName, v, transaction) {
+		return this.setPString(entityId, propertyName, JSON.stringify(v), transaction);
 	}
 
 	/** Get a Vector3 property on an entity.
@@ -1326,6 +1749,14 @@ class MapBackend {
 		throw "setPString not implemented";
 	}
 
+	/** Get all properties of an entity, e.g. to copy the entity.
+	 * @param entityId {number}
+	 * @returns {Object} The values of the properties by name: strings, numbers, or {Vector3}s. Properties set to null are left out.
+	 */
+	async getProperties() {
+		throw "getProperties not implemented";
+	}
+
 	/** Create a new entity in the backend.
 	 * @param type {string} Type of the new entity.
 	 * @returns {EntityRef}
@@ -1418,15 +1849,15 @@ class MapBackend {
 	/** Remove an edge from the backend.
 	 * Has a default implementation that just removes the entity.
 	 */
-	async removeEdge(edgeId) {
-		return this.removeEntity(edgeId);
+	async removeEdge(edgeId, transaction) {
+		return this.removeEntity(edgeId, transaction);
 	}
 
 	/** Remove a node from the backend.
 	 * Has a default implementation that just removes the entity.
 	 */
-	async removeNode(nodeId) {
-		return this.removeEntity(nodeId);
+	async removeNode(nodeId, transaction) {
+		return this.removeEntity(nodeId, transaction);
 	}
 
 	/** Check if an entity exists.
@@ -1444,6 +1875,46 @@ class MapBackend {
 		throw "removeEntity not implemented";
 	}
 
+	/** Check if an entity exists and has not been removed.
+	 * @param entityId {number}
+	 * @returns {boolean}
+	 */
+	async entityValid() {
+		throw "entityValid not implemented";
+	}
+
+	/** Restore an entity that was previously removed.
+	 * Removing a node also removes its descendants, but restoring a node only restores that node itself.
+	 * @param entityId {number}
+	 */
+	async unremoveEntity() {
+		throw "unremoveEntity not implemented";
+	}
+
+	/** Get the names of all images stored in the map.
+	 * @returns {Array.<string>}
+	 */
+	async getImageNames() {
+		throw "getImageNames not implemented";
+	}
+
+	/** Get the data of an image stored in the map.
+	 * @param name {string}
+	 * @returns {Uint8Array|undefined} The image data, or undefined if there is no such image.
+	 */
+	async getImageData() {
+		throw "getImageData not implemented";
+	}
+
+	/** Store an image in the map, replacing any image with the same name.
+	 * Only stores the data; use #setImage() to also make the image available as a tile.
+	 * @param name {string}
+	 * @param data {Uint8Array|undefined} The image data, or undefined to delete the image.
+	 */
+	async setImageData() {
+		throw "setImageData not implemented";
+	}
+
 	/** Flush the backend to storage.
 	 * This may happen automatically, but flush forces it.
 	 * Has a default implementation that does nothing.
@@ -1451,6 +1922,73 @@ class MapBackend {
 	async flush() {
 	}
 
+	/** Load the map's custom node types (stored as JSON on the global entity) into the node type registry.
+	 * Called by implementations when loading.
+	 */
+	async loadNodeTypes() {
+		const json = this.global ? await this.global.getPString("nodeTypes") : undefined;
+		this.nodeTypeRegistry.setCustomTypeDefinitions(json ? JSON.parse(json) : {});
+
+		const tilesJson = this.global ? await this.global.getPString("nodeTypeTiles") : undefined;
+		this.nodeTypeRegistry.setTileAssignments(tilesJson ? JSON.parse(tilesJson) : {});
+
+		for(const name of await this.getImageNames()) {
+			this.nodeTypeRegistry.setImage(name, await this.getImageData(name));
+		}
+	}
+
+	/** Replace the map's custom node types, both in the node type registry and in the map itself.
+	 * @param definitions {Object} The definitions of the custom node types, by node type ID. See NodeTypeRegistry#setCustomTypeDefinitions().
+	 */
+	async setCustomNodeTypes(definitions, transaction) {
+		this.nodeTypeRegistry.setCustomTypeDefinitions(definitions);
+		await this.global.setPString("nodeTypes", JSON.stringify(this.nodeTypeRegistry.getCustomTypeDefinitions()), transaction);
+	}
+
+	/** Load the map's layer settings and custom layers (stored as JSON on the global entity) into the layer registry.
+	 * Called by implementations when loading.
+	 */
+	async loadLayers() {
+		const json = this.global ? await this.global.getPString("layers") : undefined;
+		this.layerRegistry.setLayerDefinitions(json ? JSON.parse(json) : {});
+	}
+
+	/** Replace the map's layer definitions, both in the layer registry and in the map itself.
+	 * @param definitions {Object} The definitions of the layers, by layer ID. See LayerRegistry#setLayerDefinitions().
+	 */
+	async setLayerDefinitions(definitions, transaction) {
+		this.layerRegistry.setLayerDefinitions(definitions);
+		await this.global.setPString("layers", JSON.stringify(this.layerRegistry.getLayerDefinitions()), transaction);
+	}
+
+	/** Replace the tiles assigned to node types, both in the node type registry and in the map itself.
+	 * @param tileAssignments {Object} See NodeTypeRegistry#setTileAssignments().
+	 */
+	async setNodeTypeTiles(tileAssignments, transaction) {
+		this.nodeTypeRegistry.setTileAssignments(tileAssignments);
+		await this.global.setPString("nodeTypeTiles", JSON.stringify(this.nodeTypeRegistry.getTileAssignments()), transaction);
+	}
+
+	/** Store an image in the map and make it available as a tile.
+	 * @param name {string}
+	 * @param data {Uint8Array|undefined} The PNG data of the image, or undefined to delete the image.
+	 */
+	async setImage(name, data, transaction) {
+		await this.setImageData(name, data, transaction);
+		this.nodeTypeRegistry.setImage(name, data);
+	}
+
+	/** Permanently delete removed entities that are no longer needed, to save space.
+	 * Removed entities are normally kept so that removing them can be undone.
+	 * Has a default implementation that does nothing.
+	 * Backends must not give new entities the IDs of deleted ones, as links and undo may still name them.
+	 * @param keepIds {Iterable.<number>} IDs of removed entities to keep anyway, e.g. because undo could restore them.
+	 * @returns {number} How many entities were deleted.
+	 */
+	async compact() {
+		return 0;
+	}
+
 	/** Create an EntityRef to an entity in this backend.
 	 * Use getNodeRef, getEdgeRef, or getDirEdgeRef for greater type-specific functionality if the entity is a node or edge.
 	 */
@@ -1490,6 +2028,15 @@ class MapBackend {
 	 * @param minRadius {number} The minimum radius of nodes to return.
 	 * @returns {AsyncIterable.<NodeRef>}
 	 */
+	getNodesTouchingArea() {
+		throw "getNodesTouchingArea not implemented";
+	}
+
+	/** Get all object nodes in or near a spatial box (according to their radii).
+	 * @param box {Box3} The box to find nodes within or near.
+	 * @param minRadius {number} The minimum radius of nodes to return.
+	 * @returns {AsyncIterable.<NodeRef>}
+	 */
 	getObjectNodesTouchingArea(box, minRadius) {
 		throw "getObjectNodesTouchingArea not implemented";
 	}
@@ -1556,26 +2103,135 @@ class MapBackend {
 	}
 }
 
-// Load [sql.js](https://sql.js.org) from the remote server.
+// Load [sql.js](https://sql.js.org), by default from the remote server.
 // Will not attempt to load until the function is called the first time to avoid unnecessary remote fetches.
-let sqlJsPromise;
-async function SqlJs() {
-	if(sqlJsPromise === undefined) {
-		sqlJsPromise = new Promise((resolve, reject) => {
-			const script = document.createElement("script");
-			script.src = "https://sql.js.org/dist/sql-wasm.js";
-			script.addEventListener("load", async function() {
-				const SQL = await window.initSqlJs({
-					locateFile: file => `https://sql.js.org/dist/${file}`,
+// Options may have keys:
+// - initSqlJs: the initSqlJs function of an already loaded (e.g. bundled) copy of sql.js, so that no script needs to be loaded
+// - scriptUrl: the URL of sql-wasm.js to load if initSqlJs is not specified, for self-hosted copies;
+//   if it is not specified either, a copy of sql.js already included in the page is used, or else the one on the remote server
+// - wasmUrl: the URL of sql-wasm.wasm; defaults to the same directory as scriptUrl
+// Each distinct configuration is only loaded once.
+// Loaded copies by loader (the initSqlJs function or the script URL), then by WebAssembly URL.
+const sqlJsPromises = new Map();
+async function SqlJs(options) {
+	options = {
+		initSqlJs: (options && options.initSqlJs) || null,
+		scriptUrl: (options && options.scriptUrl) || null,
+		wasmUrl: (options && options.wasmUrl) || null,
+	};
+
+	const scriptUrl = options.scriptUrl || "https://sql.js.org/dist/sql-wasm.js";
+
+	const load = async () => {
+		let initSqlJs = options.initSqlJs;
+		let baseUrl = (typeof document === "undefined") ? undefined : document.baseURI;
+
+		if(!initSqlJs) {
+			if(typeof document === "undefined") {
+				throw new Error(`Could not load sql.js from ${scriptUrl}: scripts can only be loaded in a browser, pass a loaded copy of sql.js instead`);
+			}
+
+			baseUrl = new URL(scriptUrl, document.baseURI).href;
+
+			// A copy of sql.js already included in the page can be used as is, unless it is from another URL than the configured one.
+			const included = window.initSqlJs !== undefined && (!options.scriptUrl || Array.from(document.scripts).some((script) => script.src === baseUrl));
+			if(!included) {
+				await new Promise((resolve, reject) => {
+					const script = document.createElement("script");
+					script.src = scriptUrl;
+					script.addEventListener("load", resolve);
+					script.addEventListener("error", () => {
+						script.remove();
+						reject(new Error(`Could not load sql.js from ${scriptUrl}`));
+					});
+					document.head.appendChild(script);
 				});
+			}
 
-				resolve(SQL);
-			});
-			script.addEventListener("error", reject);
-			document.head.appendChild(script);
-		});
+			initSqlJs = window.initSqlJs;
+			if(typeof initSqlJs !== "function") {
+				throw new Error(`Could not load sql.js from ${scriptUrl}: the script did not define initSqlJs`);
+			}
+		}
+
+		const sqlJsOptions = {};
+		if(options.wasmUrl) {
+			sqlJsOptions.locateFile = file => file.endsWith(".wasm") ? options.wasmUrl : (baseUrl ? new URL(file, baseUrl).href : file);
+		}
+		else if(baseUrl) {
+			sqlJsOptions.locateFile = file => new URL(file, baseUrl).href;
+		}
+
+		try {
+			return await initSqlJs(sqlJsOptions);
+		}
+		catch(error) {
+			const wasmUrl = sqlJsOptions.locateFile ? sqlJsOptions.locateFile("sql-wasm.wasm") : "sql-wasm.wasm";
+			throw new Error(`Could not load the sql.js WebAssembly module from ${wasmUrl}: ${error}`);
+		}
+	};
+
+	const loader = options.initSqlJs || options.scriptUrl;
+	if(!sqlJsPromises.has(loader)) {
+		sqlJsPromises.set(loader, {});
+	}
+
+	const promises = sqlJsPromises.get(loader);
+	const key = `${options.wasmUrl}`;
+	if(promises[key] === undefined) {
+		promises[key] = load();
+		// Allow retrying (e.g. once the network is back) instead of remembering the failure.
+		promises[key].catch(() => delete promises[key]);
+	}
+	return await promises[key];
+}
+
+// Size (in units) of the smallest cells of the node_bounds spatial index.
+// Part of the map format: existing maps are indexed with these values.
+const nodeBoundsCellSize = 16;
+// Highest level of the node_bounds spatial index; cells at this level are 2^nodeBoundsMaxLevel times the size of the smallest cells.
+const nodeBoundsMaxLevel = 48;
+
+/** Version of the JSON map interchange format written by SqlJsMapBackend#getJson().
+ * A map in this format is a JSON object with keys:
+ * - format: always "mapper1024"
+ * - version: the format version; readers refuse maps with a newer version than they know
+ * - entities: every entity in the map, in order of ID. Each entity is an object with keys:
+ *   - id: the entity ID, kept as is so that references between entities stay intact
+ *   - type: "global", "node", or "edge"
+ *   - valid: only present (and false) for removed entities, which are kept for undo unless exported compactly
+ *   - nodeType: for nodes, the base type of the node ("object", "point", "path", ...)
+ *   - parent: for nodes, the ID of the parent node, or null
+ *   - nodes: for edges, the IDs of the two nodes on the edge
+ *   - properties: an object of property name to value; strings and numbers are stored as such, Vector3 properties as {x, y, z} objects
+ * - images: an object of image name to base64-encoded image data
+ * - lastEntityId: the highest entity ID ever used, including by entities left out or deleted since; new entities get higher IDs. Optional.
+ */
+const jsonMapFormatVersion = 1;
+
+/** Encode binary data as base64.
+ * @param data {Uint8Array}
+ * @returns {string}
+ */
+function bytesToBase64(data) {
+	let binary = "";
+	for(let i = 0; i < data.length; i++) {
+		binary += String.fromCharCode(data[i]);
+	}
+	return btoa(binary);
+}
+
+/** Decode base64 as binary data.
+ * @param text {string}
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+	const binary = atob(text);
+	const data = new Uint8Array(binary.length);
+	for(let i = 0; i < binary.length; i++) {
+		data[i] = binary.charCodeAt(i);
 	}
-	return await sqlJsPromise;
+	return data;
 }
 
 /** SQLite-backed map backend, using [sql.js](https://sql.js.org).
@@ -1586,7 +2242,15 @@ class SqlJsMapBackend extends MapBackend {
 	/** Ready the backend on a specific database filename.
 	 * The backend cannot be used until #load() finishes.
 	 * Options may have keys:
-	 * - loadFrom: "none", "url", or "data"
+	 * - loadFrom: "none", "url", "data", or "json"
+	 * - url: with loadFrom "url", the URL of the map file
+	 * - data: with loadFrom "data", the map file as returned by #getData()
+	 * - json: with loadFrom "json", the map in the JSON map interchange format as returned by #getJson() (see jsonMapFormatVersion)
+	 * - sqlJs: an already initialized sql.js module to use instead of loading sql.js from the remote server
+	 * - initSqlJs: the initSqlJs function of a bundled copy of sql.js
+	 * - sqlJsUrl: the URL of a self-hosted sql-wasm.js to load instead of the one on the remote server
+	 * - sqlJsWasmUrl: the URL of sql-wasm.wasm, if it is not next to sql-wasm.js
+	 * Unspecified sql.js options fall back to SqlJsMapBackend.sqlJsDefaults, which can be set once for all backends.
 	 */
 	constructor(options) {
 		super();
@@ -1595,12 +2259,36 @@ class SqlJsMapBackend extends MapBackend {
 			loadFrom: "none",
 			url: null,
 			data: null,
+			json: null,
 			buildDatabase: true,
+			sqlJs: null,
+			initSqlJs: null,
+			sqlJsUrl: null,
+			sqlJsWasmUrl: null,
 		}, options);
 	}
 
+	/** Get the initialized sql.js module to open databases with.
+	 * Uses the sqlJs option if specified, otherwise loads sql.js as configured by the options and SqlJsMapBackend.sqlJsDefaults.
+	 */
+	async getSqlJs() {
+		const defaults = SqlJsMapBackend.sqlJsDefaults;
+
+		const sqlJs = this.options.sqlJs || defaults.sqlJs;
+		if(sqlJs) {
+			return sqlJs;
+		}
+
+		return await SqlJs({
+			initSqlJs: this.options.initSqlJs || defaults.initSqlJs,
+			scriptUrl: this.options.sqlJsUrl || defaults.sqlJsUrl,
+			wasmUrl: this.options.sqlJsWasmUrl || defaults.sqlJsWasmUrl,
+		});
+	}
+
 	async load() {
-		const Database = (await SqlJs()).Database;
+		this.sqlJs = await this.getSqlJs();
+		const Database = this.sqlJs.Database;
 
 		if(this.options.loadFrom === "url") {
 			this.db = new Database(new Uint8Array(await (await fetch(this.options.url)).arrayBuffer()));
@@ -1624,20 +2312,19 @@ class SqlJsMapBackend extends MapBackend {
 			}
 		}
 
-		if(this.getVersionNumber() == 2) {
-			await this.upgradeVersion2to3();
-		}
-
 		gotVersion = this.getVersionNumber();
 
-		if(gotVersion !== wantVersion) {
-			throw new Error("version number does not match (got " + gotVersion + ", wanted " + wantVersion + ")");
+		if(gotVersion > wantVersion) {
+			throw new Error(`this map was made with a newer version of Mapper1024 (map version ${gotVersion}, but this version only supports up to ${wantVersion}); please update to open it`);
 		}
 
+		await this.migrate(gotVersion, wantVersion);
+
 		this.db.run("PRAGMA foreign_keys = ON");
 		this.db.run("PRAGMA recursive_triggers = ON");
 
-		this.db.run("CREATE TABLE IF NOT EXISTS entity (entityid INTEGER PRIMARY KEY, type TEXT, valid BOOLEAN)");
+		// AUTOINCREMENT so that IDs of deleted entities (see #compact()) are never reused, as links and undo may still name them.
+		this.db.run("CREATE TABLE IF NOT EXISTS entity (entityid INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT, valid BOOLEAN)");
 
 		// Node table and trigger to delete the corresponding entity when a node is deleted.
 		this.db.run("CREATE TABLE IF NOT EXISTS node (entityid INT PRIMARY KEY, nodetype TEXT, parentid INT, FOREIGN KEY (entityid) REFERENCES entity(entityid) ON DELETE CASCADE, FOREIGN KEY (parentid) REFERENCES node(entityid) ON DELETE CASCADE)");
@@ -1668,6 +2355,10 @@ class SqlJsMapBackend extends MapBackend {
 		 */
 		this.db.run("CREATE TABLE IF NOT EXISTS property (entityid INT, property TEXT, v_string TEXT, v_number REAL, x REAL, y REAL, z REAL, PRIMARY KEY (entityid, property), FOREIGN KEY (entityid) REFERENCES entity(entityid) ON DELETE CASCADE)");
 
+		this.createNodeBoundsTable();
+
+		this.createImageTable();
+
 		// Property access prepared statements.
 		this.s_gpn = this.db.prepare("SELECT v_number FROM property WHERE entityid = $entityId AND property = $property");
 		this.s_spn = this.db.prepare("INSERT OR REPLACE INTO property (entityid, property, v_number) VALUES ($entityId, $property, $value)");
@@ -1675,6 +2366,7 @@ class SqlJsMapBackend extends MapBackend {
 		this.s_spv3 = this.db.prepare("INSERT OR REPLACE INTO property (entityid, property, x, y, z) VALUES ($entityId, $property, $x, $y, $z)");
 		this.s_gps = this.db.prepare("SELECT v_string FROM property WHERE entityid = $entityId AND property = $property");
 		this.s_sps = this.db.prepare("INSERT OR REPLACE INTO property (entityid, property, v_string) VALUES ($entityId, $property, $value)");
+		this.s_getProperties = this.db.prepare("SELECT property, v_string, v_number, x, y, z FROM property WHERE entityid = $entityId");
 
 		this.s_entityExists = this.db.prepare("SELECT entityid FROM entity WHERE entityid = $entityId");
 		this.s_entityValid = this.db.prepare("SELECT entityid FROM entity WHERE entityid = $entityId AND valid = TRUE");
@@ -1694,30 +2386,50 @@ class SqlJsMapBackend extends MapBackend {
 		this.s_getNodeEdges = this.db.prepare("SELECT edge1.edgeid FROM node_edge edge1 INNER JOIN node_edge edge2 ON (edge1.edgeid = edge2.edgeid AND edge1.nodeid != edge2.nodeid) INNER JOIN entity entity1 ON entity1.entityid = edge1.edgeid INNER JOIN entity entity2 ON entity2.entityid = edge2.nodeid INNER JOIN entity nodeentity1 ON nodeentity1.entityid = edge1.nodeid INNER JOIN entity nodeentity2 ON nodeentity2.entityid = edge2.nodeid WHERE edge1.nodeid = $nodeId AND entity1.valid = true AND entity2.valid = true AND nodeentity1.valid = TRUE AND nodeentity2.valid = TRUE");
 		this.s_getEdgeNodes = this.db.prepare("SELECT nodeid FROM node_edge INNER JOIN entity ON nodeid = entity.entityid WHERE edgeid = $edgeId");
 
+		this.s_getImageNames = this.db.prepare("SELECT name FROM image ORDER BY name");
+		this.s_getImageData = this.db.prepare("SELECT data FROM image WHERE name = $name");
+		this.s_setImageData = this.db.prepare("INSERT OR REPLACE INTO image (name, data) VALUES ($name, $data)");
+		this.s_deleteImageData = this.db.prepare("DELETE FROM image WHERE name = $name");
+
 		this.s_getEdgeBetween = this.db.prepare("SELECT edge1.edgeid AS edgeid FROM node_edge edge1 INNER JOIN node_edge edge2 ON (edge1.edgeid = edge2.edgeid AND edge1.nodeid != edge2.nodeid) INNER JOIN entity WHERE edge1.edgeid = entity.entityid AND edge1.nodeid = $nodeAId AND edge2.nodeid = $nodeBId AND entity.valid = TRUE");
 
-		this.s_getNodesTouchingArea = this.db.prepare("SELECT node.entityid FROM node INNER JOIN property ON node.entityid = property.entityid INNER JOIN entity ON node.entityid = entity.entityid INNER JOIN property AS radiusproperty ON node.entityid = radiusproperty.entityid WHERE entity.valid = TRUE AND property.property = 'center' AND radiusproperty.property = 'radius' AND radiusproperty.v_number >= $minRadius AND property.x >= $ax - radiusproperty.v_number AND property.x <= $bx + radiusproperty.v_number AND property.y >= $ay - radiusproperty.v_number AND property.y <= $by + radiusproperty.v_number AND property.z >= $az - radiusproperty.v_number AND property.z <= $bz + radiusproperty.v_number");
+		// Spatial index maintenance.
+		this.s_setNodeBounds = this.db.prepare("INSERT OR REPLACE INTO node_bounds (entityid, level, cellx, celly, x, y, z, radius) VALUES ($entityId, $level, $cellX, $cellY, $x, $y, $z, $radius)");
+		this.s_deleteNodeBounds = this.db.prepare("DELETE FROM node_bounds WHERE entityid = $entityId");
 
-		this.s_getObjectNodesTouchingArea = this.db.prepare("SELECT node.entityid FROM node INNER JOIN property ON node.entityid = property.entityid INNER JOIN entity ON node.entityid = entity.entityid INNER JOIN property AS radiusproperty ON node.entityid = radiusproperty.entityid WHERE entity.valid = TRUE AND property.property = 'center' AND radiusproperty.property = 'radius' AND radiusproperty.v_number >= $minRadius AND property.x >= $ax - radiusproperty.v_number AND property.x <= $bx + radiusproperty.v_number AND property.y >= $ay - radiusproperty.v_number AND property.y <= $by + radiusproperty.v_number AND property.z >= $az - radiusproperty.v_number AND property.z <= $bz + radiusproperty.v_number AND node.nodetype = 'object'");
+		/* Spatial queries, using the node_bounds grid.
+		 * For every grid level, only the cells that can contain nodes touching the area are looked at;
+		 * since a node's radius is at most the size of its cell, that is the area's cells plus a margin of one cell (plus one for rounding).
+		 */
+		const touchingArea = "WITH RECURSIVE levels (level, size) AS (SELECT 0, $cellSize UNION ALL SELECT level + 1, size * 2 FROM levels WHERE level < $maxLevel) SELECT node.entityid FROM levels INNER JOIN node_bounds ON node_bounds.level = levels.level AND node_bounds.cellx BETWEEN $ax / levels.size - 2 AND $bx / levels.size + 1 AND node_bounds.celly BETWEEN $ay / levels.size - 2 AND $by / levels.size + 1 INNER JOIN node ON node.entityid = node_bounds.entityid INNER JOIN entity ON node.entityid = entity.entityid WHERE entity.valid = TRUE AND node_bounds.radius >= $minRadius AND node_bounds.x >= $ax - node_bounds.radius AND node_bounds.x <= $bx + node_bounds.radius AND node_bounds.y >= $ay - node_bounds.radius AND node_bounds.y <= $by + node_bounds.radius AND node_bounds.z >= $az - node_bounds.radius AND node_bounds.z <= $bz + node_bounds.radius";
+
+		this.s_getNodesTouchingArea = this.db.prepare(touchingArea);
+
+		this.s_getObjectNodesTouchingArea = this.db.prepare(touchingArea + " AND node.nodetype = 'object'");
 
 		// Triggers & foreign key constraints will handle deleting everything else relating to the entity.
 		this.s_deleteEntity = this.db.prepare("DELETE FROM entity WHERE entityid = $entityId");
 		this.s_invalidateEntity = this.db.prepare("UPDATE entity SET valid = FALSE WHERE entityid = $entityId AND valid = TRUE");
 		this.s_validateEntity = this.db.prepare("UPDATE entity SET valid = TRUE WHERE entityid = $entityId");
 
+		if(this.options.loadFrom === "json") {
+			const json = (typeof this.options.json === "string") ? JSON.parse(this.options.json) : this.options.json;
+			this.atomically(() => this.insertJson(json));
+		}
+
 		/* Find or create the global entity.
 		 * There can be only one.
 		 */
 		if(this.options.buildDatabase) {
-			this.db.run("BEGIN EXCLUSIVE TRANSACTION");
-			let globalEntityIdRow = this.db.prepare("SELECT entityid FROM entity WHERE type = 'global'").get({});
-			if(globalEntityIdRow.length === 0) {
-				this.global = this.getEntityRef(this.baseCreateEntity("global"));
-			}
-			else {
-				this.global = this.getEntityRef(globalEntityIdRow[0]);
-			}
-			this.db.run("COMMIT");
+			this.atomically(() => {
+				let globalEntityIdRow = this.db.prepare("SELECT entityid FROM entity WHERE type = 'global'").get({});
+				if(globalEntityIdRow.length === 0) {
+					this.global = this.getEntityRef(this.baseCreateEntity("global"));
+				}
+				else {
+					this.global = this.getEntityRef(globalEntityIdRow[0]);
+				}
+			});
 		}
 
 		/** Create a node atomically.
@@ -1725,209 +2437,3098 @@ class SqlJsMapBackend extends MapBackend {
 		 * @param nodeType {string} The base type of the node.
 		 * @returns {number} The ID of the new node.
 		 */
-		this.baseCreateNode = (parentId, nodeType) => {
-			this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+		this.baseCreateNode = (parentId, nodeType) => this.atomically(() => {
 			const id = this.baseCreateEntity("node");
 			this.s_createNode.run({$entityId: id, $parentId: parentId ? parentId : null, $nodeType: nodeType});
-			this.db.run("COMMIT");
 			return id;
-		};
+		});
 
 		/** Create an edge atomically.
 		 * @param nodeAId {number} The ID of one of the nodes on the edge.
 		 * @param nodeBId {number} The ID of the other node on the edge.
 		 * @returns {number} The ID of the new edge.
 		 */
-		this.baseCreateEdge = (nodeAId, nodeBId) => {
-			this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+		this.baseCreateEdge = (nodeAId, nodeBId) => this.atomically(() => {
 			const id = this.baseCreateEntity("edge");
 			this.s_createEdge.run({$entityId: id});
 			this.s_createConnection.run({$edgeId: id, $nodeId: nodeAId});
 			this.s_createConnection.run({$edgeId: id, $nodeId: nodeBId});
-			this.db.run("COMMIT");
 			return id;
-		};
+		});
+
+		await this.loadNodeTypes();
+		await this.loadLayers();
 
 		this.loaded = true;
 		await this.hooks.call("loaded");
 	}
 
 	getBackendVersionNumber() {
-		return 3;
+		return 6;
+	}
+
+	/** Run a synchronous function atomically.
+	 * Uses its own transaction, or joins the open transaction if there is one; so outside of loading, only call it through #exclusive().
+	 * @param f {function}
+	 * @returns the return value of the function.
+	 */
+	atomically(f) {
+		if(this.openTransaction !== null) {
+			return f();
+		}
+
+		this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+		try {
+			const result = f();
+			this.db.run("COMMIT");
+			return result;
+		}
+		catch(error) {
+			this.db.run("ROLLBACK");
+			throw error;
+		}
+	}
+
+	beginTransaction() {
+		this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+	}
+
+	commitTransaction() {
+		this.db.run("COMMIT");
+	}
+
+	rollbackTransaction() {
+		this.db.run("ROLLBACK");
 	}
 
 	getVersionNumber() {
 		const row = this.s_getVersionNumber.get({});
+		// An active statement would keep migrations from dropping tables.
+		this.s_getVersionNumber.reset();
 		return row[0];
 	}
 
+	/** Get all schema migrations, keyed by the version number they upgrade from.
+	 * Each migration upgrades the database from its version N to version N + 1.
+	 * Migrations do not need to manage transactions or set the version number, #migrate() does that.
+	 * @returns {Object.<number, function>}
+	 */
+	getMigrations() {
+		return {
+			2: () => this.upgradeVersion2to3(),
+			3: () => this.upgradeVersion3to4(),
+			4: () => this.upgradeVersion4to5(),
+			5: () => this.upgradeVersion5to6(),
+		};
+	}
+
+	/** Upgrade the database step by step from one version to another.
+	 * Each step runs in its own transaction, so a failed step leaves the database at the last successful version.
+	 * @param fromVersion {number} The current database version.
+	 * @param toVersion {number} The version to upgrade to.
+	 */
+	async migrate(fromVersion, toVersion) {
+		const migrations = this.getMigrations();
+
+		for(let version = fromVersion; version < toVersion; version++) {
+			const migration = migrations[version];
+			if(migration === undefined) {
+				throw new Error(`cannot upgrade map from version ${version} (wanted version ${toVersion})`);
+			}
+
+			this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+			try {
+				await migration();
+				this.db.run(`PRAGMA user_version = ${version + 1}`);
+				this.db.run("COMMIT");
+			}
+			catch(error) {
+				this.db.run("ROLLBACK");
+				throw new Error(`could not upgrade map from version ${version} to ${version + 1}: ${error}`);
+			}
+		}
+	}
+
 	async upgradeVersion2to3() {
 		this.db.run("ALTER TABLE 'edge' RENAME TO 'node_edge'");
 		this.db.run("CREATE TABLE edge (entityid INT PRIMARY KEY, FOREIGN KEY (entityid) REFERENCES entity(entityid) ON DELETE CASCADE)");
 		this.db.run("INSERT INTO edge (entityid) SELECT entityid FROM entity WHERE type = 'edge'");
-		this.db.run("PRAGMA user_version = 3");
 	}
 
-	async getData() {
-		// sql.js must close the database before exporting, but we want to export while the database is open.
-		// Easy solution: clone the database manually before exporting.
-		const clone = new SqlJsMapBackend({buildDatabase: false});
-		await clone.load();
+	async upgradeVersion3to4() {
+		this.createNodeBoundsTable();
+
+		// Backfill the spatial index from existing node positions.
+		const statement = this.db.prepare("SELECT DISTINCT entityid FROM property WHERE property = 'center'");
+		const setNodeBounds = this.db.prepare("INSERT OR REPLACE INTO node_bounds (entityid, level, cellx, celly, x, y, z, radius) VALUES ($entityId, $level, $cellX, $cellY, $x, $y, $z, $radius)");
+		const getCenter = this.db.prepare("SELECT x, y, z FROM property WHERE entityid = $entityId AND property = 'center'");
+		const getRadius = this.db.prepare("SELECT v_number FROM property WHERE entityid = $entityId AND property = 'radius'");
+
+		while(statement.step()) {
+			const entityId = statement.get()[0];
+			const bounds = this.getNodeBoundsRow(entityId, getCenter.get({$entityId: entityId}), getRadius.get({$entityId: entityId})[0]);
+			if(bounds !== null) {
+				setNodeBounds.run(bounds);
+			}
+		}
+
+		statement.free();
+		setNodeBounds.free();
+		getCenter.free();
+		getRadius.free();
+	}
+
+	async upgradeVersion4to5() {
+		this.createImageTable();
+	}
+
+	async upgradeVersion5to6() {
+		// SQLite cannot add AUTOINCREMENT to a table, so replace the entity table with a copy.
+		// Foreign keys are not enforced yet during migrations, so the other tables keep their rows.
+		this.db.run("CREATE TABLE entity_new (entityid INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT, valid BOOLEAN)");
+		this.db.run("INSERT INTO entity_new (entityid, type, valid) SELECT entityid, type, valid FROM entity");
+		this.db.run("DROP TABLE entity");
+		// Triggers on other tables name the entity table, which does not exist until the rename; legacy mode skips checking them.
+		this.db.run("PRAGMA legacy_alter_table = ON");
+		try {
+			this.db.run("ALTER TABLE entity_new RENAME TO entity");
+		}
+		finally {
+			this.db.run("PRAGMA legacy_alter_table = OFF");
+		}
+	}
+
+	/** Get the highest entity ID ever used in the map, including by entities deleted since.
+	 * @returns {number}
+	 */
+	getLastEntityId() {
+		const rows = this.db.exec("SELECT seq FROM sqlite_sequence WHERE name = 'entity'");
+		return (rows.length > 0) ? rows[0].values[0][0] : 0;
+	}
+
+	/** Make sure that new entities get IDs above an ID, e.g. the last entity ID of the map this one is a copy of.
+	 * @param id {number}
+	 */
+	raiseLastEntityId(id) {
+		if(id > this.getLastEntityId()) {
+			this.db.run("DELETE FROM sqlite_sequence WHERE name = 'entity'");
+			this.db.run("INSERT INTO sqlite_sequence (name, seq) VALUES ('entity', ?)", [id]);
+		}
+	}
+
+	/** Create the table of images stored in the map (e.g. tiles for node types), if it does not exist yet. */
+	createImageTable() {
+		this.db.run("CREATE TABLE IF NOT EXISTS image (name TEXT PRIMARY KEY, data BLOB)");
+	}
+
+	/** Create the node_bounds spatial index table, if it does not exist yet.
+	 * Each node with a center and radius is stored in the cell of a grid containing its center.
+	 * The grid has several levels with cells doubling in size, and each node is stored in the level where cells are just large enough for its radius.
+	 * (sql.js is not built with the R*Tree module, so this serves as an equivalent.)
+	 */
+	createNodeBoundsTable() {
+		this.db.run("CREATE TABLE IF NOT EXISTS node_bounds (entityid INT PRIMARY KEY, level INT, cellx INT, celly INT, x REAL, y REAL, z REAL, radius REAL, FOREIGN KEY (entityid) REFERENCES entity(entityid) ON DELETE CASCADE)");
+		this.db.run("CREATE INDEX IF NOT EXISTS node_bounds_cell ON node_bounds (level, cellx, celly)");
+	}
+
+	/** Calculate the node_bounds row of a node.
+	 * @param entityId {number}
+	 * @param center {Array} The x, y, and z values of the center property row, or an empty array if there is none.
+	 * @param radius {number|null|undefined} The value of the radius property.
+	 * @returns {Object|null} Statement parameters for the row, or null if the node has no position to index.
+	 */
+	getNodeBoundsRow(entityId, center, radius) {
+		const [x, y, z] = center;
+		if(typeof x !== "number" || typeof y !== "number" || typeof z !== "number" || typeof radius !== "number") {
+			return null;
+		}
+
+		let level = 0;
+		let size = nodeBoundsCellSize;
+		while(size < radius && level < nodeBoundsMaxLevel) {
+			level++;
+			size *= 2;
+		}
+
+		return {
+			$entityId: entityId,
+			$level: level,
+			$cellX: Math.floor(x / size),
+			$cellY: Math.floor(y / size),
+			$x: x,
+			$y: y,
+			$z: z,
+			$radius: radius,
+		};
+	}
+
+	/** Update the spatial index after a property of an entity changed.
+	 * Only center and radius properties affect the index.
+	 */
+	updateNodeBounds(entityId, propertyName) {
+		if(propertyName === "center" || propertyName === "radius") {
+			const bounds = this.getNodeBoundsRow(entityId, this.s_gpv3.get({$entityId: entityId, $property: "center"}), this.s_gpn.get({$entityId: entityId, $property: "radius"})[0]);
+			if(bounds === null) {
+				this.s_deleteNodeBounds.run({$entityId: entityId});
+			}
+			else {
+				this.s_setNodeBounds.run(bounds);
+			}
+		}
+	}
+
+	/** Export the map as an SQLite database file.
+	 * Options may have keys:
+	 * - compact: leave out removed entities (see #compact()) and vacuum the exported database, for a smaller file
+	 * - keepIds: with compact, IDs of removed entities to include anyway
+	 * @returns {Uint8Array}
+	 */
+	async getData(options) {
+		options = merge({
+			compact: false,
+			keepIds: [],
+		}, options);
+
+		// sql.js must close the database before exporting, but we want to export while the database is open.
+		// Easy solution: clone the database manually before exporting.
+		const clone = new SqlJsMapBackend({buildDatabase: false, sqlJs: this.sqlJs});
+		await clone.load();
+
+		// Never export changes that a transaction may still roll back.
+		await this.exclusive(() => {
+			for(const table of ["entity", "property", "node", "edge", "node_edge", "node_bounds", "image"]) {
+				const statement = this.db.prepare(`SELECT * FROM ${table}`);
+				const placeholders = statement.getColumnNames().map(() => "?");
+				const sql = `INSERT INTO ${table} VALUES (${placeholders.join(", ")})`;
+				while(statement.step()) {
+					clone.db.run(sql, statement.get());
+				}
+			}
+			clone.raiseLastEntityId(this.getLastEntityId());
+		});
+
+		if(options.compact) {
+			await clone.compact(options.keepIds);
+
+			// VACUUM cannot run while the clone's prepared statements are active, so vacuum a fresh copy instead.
+			const vacuumed = new this.sqlJs.Database(clone.db.export());
+			vacuumed.run("VACUUM");
+			const data = vacuumed.export();
+			vacuumed.close();
+			return data;
+		}
+
+		return clone.db.export();
+	}
+
+	/** Export the map in the JSON map interchange format (see jsonMapFormatVersion).
+	 * Unlike #getData(), the result can be read, diffed, and edited by hand; load it again with the loadFrom "json" option.
+	 * Entities, properties, and images are kept exactly, including entity IDs.
+	 * Options may have keys:
+	 * - compact: leave out removed entities (see #compact())
+	 * - keepIds: with compact, IDs of removed entities to include anyway
+	 * @returns {string} The map as indented JSON, with everything in a stable order.
+	 */
+	async getJson(options) {
+		options = merge({
+			compact: false,
+			keepIds: [],
+		}, options);
+
+		let source = this;
+		if(options.compact) {
+			source = new SqlJsMapBackend({loadFrom: "data", data: await this.getData(options), sqlJs: this.sqlJs});
+			await source.load();
+		}
+
+		const json = {
+			format: "mapper1024",
+			version: jsonMapFormatVersion,
+			entities: [],
+			images: {},
+		};
+
+		// Never export changes that a transaction may still roll back.
+		await source.exclusive(() => {
+			const entities = new Map();
+
+			const entityStatement = source.db.prepare("SELECT entity.entityid, entity.type, entity.valid, node.nodetype, node.parentid FROM entity LEFT JOIN node ON node.entityid = entity.entityid ORDER BY entity.entityid");
+			while(entityStatement.step()) {
+				const [id, type, valid, nodeType, parentId] = entityStatement.get();
+				const entity = {
+					id: id,
+					type: type,
+				};
+
+				if(!valid) {
+					entity.valid = false;
+				}
+
+				if(type === "node") {
+					entity.nodeType = nodeType;
+					entity.parent = parentId;
+				}
+				else if(type === "edge") {
+					entity.nodes = [];
+				}
+
+				entity.properties = {};
+
+				entities.set(id, entity);
+				json.entities.push(entity);
+			}
+			entityStatement.free();
+
+			const edgeStatement = source.db.prepare("SELECT edgeid, nodeid FROM node_edge ORDER BY edgeid, nodeid");
+			while(edgeStatement.step()) {
+				const [edgeId, nodeId] = edgeStatement.get();
+				entities.get(edgeId).nodes.push(nodeId);
+			}
+			edgeStatement.free();
+
+			const propertyStatement = source.db.prepare("SELECT entityid, property, v_string, v_number, x, y, z FROM property ORDER BY entityid, property");
+			while(propertyStatement.step()) {
+				const [entityId, property, string, number, x, y, z] = propertyStatement.get();
+				let value = null;
+				if(string !== null) {
+					value = string;
+				}
+				else if(number !== null) {
+					value = number;
+				}
+				else if(x !== null) {
+					value = {x: x, y: y, z: z};
+				}
+				entities.get(entityId).properties[property] = value;
+			}
+			propertyStatement.free();
+
+			const imageStatement = source.db.prepare("SELECT name, data FROM image ORDER BY name");
+			while(imageStatement.step()) {
+				const [name, data] = imageStatement.get();
+				json.images[name] = bytesToBase64(data);
+			}
+			imageStatement.free();
+
+			json.lastEntityId = source.getLastEntityId();
+		});
+
+		return JSON.stringify(json, null, "\t");
+	}
+
+	/** Insert the contents of a map in the JSON map interchange format into the (empty) database.
+	 * @param json {Object}
+	 */
+	insertJson(json) {
+		if(!json || json.format !== "mapper1024" || !Array.isArray(json.entities)) {
+			throw new Error("this is not a Mapper1024 JSON map");
+		}
+
+		if(json.version > jsonMapFormatVersion) {
+			throw new Error(`this map was made with a newer version of Mapper1024 (JSON map version ${json.version}, but this version only supports up to ${jsonMapFormatVersion}); please update to open it`);
+		}
+
+		const insertEntity = this.db.prepare("INSERT INTO entity (entityid, type, valid) VALUES ($entityId, $type, $valid)");
+		const setParent = this.db.prepare("UPDATE node SET parentid = $parentId WHERE entityid = $entityId");
+		const setProperty = this.db.prepare("INSERT INTO property (entityid, property, v_string, v_number, x, y, z) VALUES ($entityId, $property, $string, $number, $x, $y, $z)");
+
+		try {
+			for(const entity of json.entities) {
+				insertEntity.run({$entityId: entity.id, $type: entity.type, $valid: entity.valid !== false});
+
+				if(entity.type === "node") {
+					// Parents are set once all nodes exist, since a parent may come after its children.
+					this.s_createNode.run({$entityId: entity.id, $parentId: null, $nodeType: entity.nodeType});
+				}
+				else if(entity.type === "edge") {
+					if(!Array.isArray(entity.nodes) || entity.nodes.length !== 2) {
+						throw new Error(`edge ${entity.id} does not have two nodes`);
+					}
+				}
+			}
+
+			for(const entity of json.entities) {
+				if(entity.type === "node" && entity.parent !== null && entity.parent !== undefined) {
+					setParent.run({$entityId: entity.id, $parentId: entity.parent});
+				}
+				else if(entity.type === "edge") {
+					this.s_createEdge.run({$entityId: entity.id});
+					for(const nodeId of entity.nodes) {
+						this.s_createConnection.run({$edgeId: entity.id, $nodeId: nodeId});
+					}
+				}
+
+				for(const [property, value] of Object.entries(entity.properties || {})) {
+					const isVector = value !== null && typeof value === "object";
+					setProperty.run({
+						$entityId: entity.id,
+						$property: property,
+						$string: (typeof value === "string") ? value : null,
+						$number: (typeof value === "number") ? value : null,
+						$x: isVector ? value.x : null,
+						$y: isVector ? value.y : null,
+						$z: isVector ? value.z : null,
+					});
+				}
+
+				if(entity.type === "node") {
+					this.updateNodeBounds(entity.id, "center");
+				}
+			}
+
+			for(const [name, data] of Object.entries(json.images || {})) {
+				this.s_setImageData.run({$name: name, $data: base64ToBytes(data)});
+			}
+
+			if(typeof json.lastEntityId === "number") {
+				this.raiseLastEntityId(json.lastEntityId);
+			}
+		}
+		finally {
+			insertEntity.free();
+			setParent.free();
+			setProperty.free();
+		}
+	}
+
+	async compact(keepIds) {
+		const countEntities = () => this.db.exec("SELECT COUNT(*) FROM entity")[0].values[0][0];
+		const countBefore = countEntities();
+
+		await this.exclusive(() => this.atomically(() => {
+			// Find everything that must be kept: the requested removed entities...
+			this.db.run("CREATE TEMP TABLE IF NOT EXISTS keep (entityid INTEGER PRIMARY KEY)");
+			this.db.run("DELETE FROM temp.keep");
+			const keep = this.db.prepare("INSERT OR IGNORE INTO temp.keep (entityid) VALUES ($entityId)");
+			for(const entityId of keepIds) {
+				keep.run({$entityId: entityId});
+			}
+			keep.free();
+
+			// ...and what they depend on: the nodes of kept edges, and the ancestors of kept nodes.
+			// Deleting either would also delete the kept entity through the foreign keys.
+			// (Valid edges to removed nodes are not worth keeping on their own, so only the requested edges count.)
+			this.db.run("INSERT OR IGNORE INTO temp.keep SELECT node_edge.nodeid FROM node_edge INNER JOIN keep ON keep.entityid = node_edge.edgeid");
+			this.db.run("INSERT OR IGNORE INTO temp.keep SELECT entityid FROM entity WHERE valid = TRUE");
+			this.db.run("INSERT OR IGNORE INTO temp.keep WITH RECURSIVE ancestor (entityid) AS (SELECT node.parentid FROM node INNER JOIN keep ON keep.entityid = node.entityid WHERE node.parentid IS NOT NULL UNION SELECT node.parentid FROM node INNER JOIN ancestor ON node.entityid = ancestor.entityid WHERE node.parentid IS NOT NULL) SELECT entityid FROM ancestor");
+
+			// Foreign keys take care of properties, node_edge rows, and so on.
+			this.db.run("DELETE FROM entity WHERE entityid NOT IN (SELECT entityid FROM temp.keep)");
+
+			// Edges that lost a node are useless.
+			this.db.run("DELETE FROM entity WHERE type = 'edge' AND entityid NOT IN (SELECT edgeid FROM node_edge GROUP BY edgeid HAVING COUNT(*) = 2)");
+
+			// Not dropped, because the table cannot be dropped while other statements are active.
+			this.db.run("DELETE FROM temp.keep");
+		}));
+
+		this.entityCache.clear();
+
+		return countBefore - countEntities();
+	}
+
+	baseCreateEntity(type) {
+		this.s_createEntity.run({$type: type});
+		return this.db.exec("SELECT last_insert_rowid()")[0].values[0][0];
+	}
+
+	async entityExists(entityId) {
+		return this.s_entityExists.get({$entityId: entityId}).length > 0;
+	}
+
+	async entityValid(entityId) {
+		return this.s_entityValid.get({$entityId: entityId}).length > 0;
+	}
+
+	async createEntity(type, transaction) {
+		return this.getEntityRef(await this.exclusive(() => this.baseCreateEntity(type), transaction));
+	}
+
+	async createNode(parentId, nodeType, transaction) {
+		const nodeRef = this.getNodeRef(await this.exclusive(() => {
+			const id = this.baseCreateNode(parentId, nodeType);
+			this.entityCache.nodeCreated(id, parentId);
+			return id;
+		}, transaction));
+		await nodeRef.create();
+		return nodeRef;
+	}
+
+	async createEdge(nodeAId, nodeBId, transaction) {
+		const edgeRef = this.getEdgeRef(await this.exclusive(() => this.baseCreateEdge(nodeAId, nodeBId), transaction));
+		await edgeRef.create();
+		return edgeRef;
+	}
+
+	async getNodeType(nodeId) {
+		const row = this.s_getNodeType.get({$nodeId: nodeId});
+		return (row.length > 0 && row[0]) ? row[0] : null;
+	}
+
+	async getNodeParent(nodeId) {
+		const row = this.s_getNodeParent.get({$nodeId: nodeId});
+		return (row.length > 0 && row[0]) ? this.getNodeRef(row[0]) : null;
+	}
+
+	async setNodeParent(nodeId, parentId, transaction) {
+		await this.exclusive(() => {
+			const row = this.s_getNodeParent.get({$nodeId: nodeId});
+			const oldParentId = (row.length > 0 && row[0]) ? row[0] : null;
+			this.s_setNodeParent.run({$entityId: nodeId, $parentId: parentId});
+			this.entityCache.nodeParentChanged(nodeId, oldParentId, parentId);
+		}, transaction);
+	}
+
+	async * getNodeChildren(nodeId) {
+		this.s_getNodeChildren.bind({$nodeId: nodeId});
+		while(this.s_getNodeChildren.step()) {
+			yield this.getNodeRef(this.s_getNodeChildren.get()[0]);
+		}
+	}
+
+	async removeEntity(entityId, transaction) {
+		await this.exclusive(() => {
+			this.s_invalidateEntity.run({$entityId: entityId});
+			this.entityCache.validityChanged();
+		}, transaction);
+	}
+
+	async unremoveEntity(entityId, transaction) {
+		await this.exclusive(() => {
+			this.s_validateEntity.run({$entityId: entityId});
+			this.entityCache.validityChanged();
+		}, transaction);
+	}
+
+	async getImageNames() {
+		const names = [];
+		while(this.s_getImageNames.step()) {
+			names.push(this.s_getImageNames.get()[0]);
+		}
+		return names;
+	}
+
+	async getImageData(name) {
+		const row = this.s_getImageData.get({$name: name});
+		return (row.length > 0) ? row[0] : undefined;
+	}
+
+	async setImageData(name, data, transaction) {
+		await this.exclusive(() => {
+			if(data === undefined) {
+				this.s_deleteImageData.run({$name: name});
+			}
+			else {
+				this.s_setImageData.run({$name: name, $data: data});
+			}
+		}, transaction);
+	}
+
+	async getPNumber(entityId, propertyName) {
+		return this.s_gpn.get({
+			$entityId: entityId,
+			$property: propertyName,
+		})[0];
+	}
+
+	async setPNumber(entityId, propertyName, value, transaction) {
+		await this.exclusive(() => {
+			this.s_spn.run({
+				$entityId: entityId,
+				$property: propertyName,
+				$value: value,
+			});
+			this.updateNodeBounds(entityId, propertyName);
+			this.entityCache.propertyChanged(entityId, propertyName);
+		}, transaction);
+	}
+
+	async getPVector3(entityId, propertyName) {
+		const row = this.s_gpv3.get({
+			$entityId: entityId,
+			$property: propertyName,
+		});
+		return new Vector3(row[0], row[1], row[2]);
+	}
+
+	async setPVector3(entityId, propertyName, vector3, transaction) {
+		await this.exclusive(() => {
+			this.s_spv3.run({
+				$entityId: entityId,
+				$property: propertyName,
+				$x: vector3.x,
+				$y: vector3.y,
+				$z: vector3.z,
+			});
+			this.updateNodeBounds(entityId, propertyName);
+			this.entityCache.propertyChanged(entityId, propertyName);
+		}, transaction);
+	}
+
+	async getPString(entityId, propertyName) {
+		const row = this.s_gps.get({
+			$entityId: entityId,
+			$property: propertyName,
+		});
+		return row.length === 0 ? undefined : row[0];
+	}
+
+	async setPString(entityId, propertyName, value, transaction) {
+		await this.exclusive(() => {
+			this.s_sps.run({
+				$entityId: entityId,
+				$property: propertyName,
+				$value: value,
+			});
+			this.updateNodeBounds(entityId, propertyName);
+			this.entityCache.propertyChanged(entityId, propertyName);
+		}, transaction);
+	}
+
+	async getProperties(entityId) {
+		const properties = {};
+		this.s_getProperties.bind({$entityId: entityId});
+		while(this.s_getProperties.step()) {
+			const [property, string, number, x, y, z] = this.s_getProperties.get();
+			if(string !== null) {
+				properties[property] = string;
+			}
+			else if(number !== null) {
+				properties[property] = number;
+			}
+			else if(x !== null) {
+				properties[property] = new Vector3(x, y, z);
+			}
+		}
+		return properties;
+	}
+
+	getTouchingAreaParameters(box, minRadius) {
+		return {
+			$ax: box.a.x,
+			$ay: box.a.y,
+			$az: box.a.z,
+			$bx: box.b.x,
+			$by: box.b.y,
+			$bz: box.b.z,
+			$minRadius: minRadius,
+			$cellSize: nodeBoundsCellSize,
+			$maxLevel: nodeBoundsMaxLevel,
+		};
+	}
+
+	async * getNodesTouchingArea(box, minRadius) {
+		this.s_getNodesTouchingArea.bind(this.getTouchingAreaParameters(box, minRadius));
+		while(this.s_getNodesTouchingArea.step()) {
+			yield this.getNodeRef(this.s_getNodesTouchingArea.get()[0]);
+		}
+	}
+
+	async * getObjectNodesTouchingArea(box, minRadius) {
+		this.s_getObjectNodesTouchingArea.bind(this.getTouchingAreaParameters(box, minRadius));
+		while(this.s_getObjectNodesTouchingArea.step()) {
+			yield this.getNodeRef(this.s_getObjectNodesTouchingArea.get()[0]);
+		}
+	}
+
+	async * getNodeEdges(nodeId) {
+		this.s_getNodeEdges.bind({$nodeId: nodeId});
+		while(this.s_getNodeEdges.step()) {
+			yield this.getDirEdgeRef(this.s_getNodeEdges.get()[0], nodeId);
+		}
+	}
+
+	async * getEdgeNodes(edgeId) {
+		this.s_getEdgeNodes.bind({$edgeId: edgeId});
+		while(this.s_getEdgeNodes.step()) {
+			yield this.getNodeRef(this.s_getEdgeNodes.get()[0]);
+		}
+	}
+
+	async getEdgeBetween(nodeAId, nodeBId) {
+		const row = this.s_getEdgeBetween.get({$nodeAId: nodeAId, $nodeBId: nodeBId});
+		return (row.length === 0) ? null : this.getEdgeRef(row[0]);
+	}
+}
+
+/** Default sql.js options for every SqlJsMapBackend that does not specify them itself.
+ * For example, to use a self-hosted copy of sql.js:
+ * `SqlJsMapBackend.sqlJsDefaults.sqlJsUrl = "./sql-wasm.js";`
+ */
+SqlJsMapBackend.sqlJsDefaults = {
+	sqlJs: null,
+	initSqlJs: null,
+	sqlJsUrl: null,
+	sqlJsWasmUrl: null,
+};
+
+/** SQLite-backed map backend for Node.js, using [sql.js](https://sql.js.org) on a map file on disk.
+ * The map is read from the file on #load() and written back to the file on #flush().
+ * Uses the same schema and upgrade path as SqlJsMapBackend, so maps made in the browser can be processed headlessly and vice versa.
+ */
+class SqlJsFileMapBackend extends SqlJsMapBackend {
+	/** Ready the backend on a specific map file.
+	 * The backend cannot be used until #load() finishes.
+	 * Options may have keys:
+	 * - filename: the path of the map file; if the file does not exist, a new map is created and written there on #flush()
+	 * - sqlJs: an already initialized sql.js module; by default, the locally installed "sql.js" package is used
+	 * - initSqlJs: the initSqlJs function of another copy of sql.js
+	 * Unspecified sql.js options fall back to SqlJsMapBackend.sqlJsDefaults, like for SqlJsMapBackend; the URL options do not apply here.
+	 */
+	constructor(options) {
+		super(merge({
+			filename: null,
+		}, options));
+	}
+
+	async getSqlJs() {
+		const defaults = SqlJsMapBackend.sqlJsDefaults;
+
+		const sqlJs = this.options.sqlJs || defaults.sqlJs;
+		if(sqlJs) {
+			return sqlJs;
+		}
+
+		return await SqlJs({
+			initSqlJs: this.options.initSqlJs || defaults.initSqlJs || (await import("sql.js")).default,
+		});
+	}
+
+	async load() {
+		const fs = await import("fs/promises");
+
+		try {
+			this.options.data = new Uint8Array(await fs.readFile(this.options.filename));
+			this.options.loadFrom = "data";
+		}
+		catch(error) {
+			// A missing file just means a new map.
+			if(error.code !== "ENOENT") {
+				throw error;
+			}
+			this.options.loadFrom = "none";
+		}
+
+		await super.load();
+	}
+
+	/** Write the map to its file. */
+	async flush() {
+		const fs = await import("fs/promises");
+		await fs.writeFile(this.options.filename, await this.getData());
+	}
+}
+
+/** Map backend that keeps everything in plain JavaScript objects, without any dependencies.
+ * Nothing is persisted; the map is lost when the backend is discarded.
+ * Behaves the same as SqlJsMapBackend, so it is suitable as a reference implementation, for tests, and for embedding.
+ */
+class MemoryMapBackend extends MapBackend {
+	/** Ready the backend.
+	 * The backend cannot be used until #load() finishes.
+	 * Options may have keys:
+	 * - cellSize: the size (in units) of each cell of the spatial index
+	 */
+	constructor(options) {
+		super();
+
+		this.options = merge({
+			cellSize: 64,
+		}, options);
+
+		this.nextEntityId = 1;
+
+		// Entity ID -> {type, valid}
+		this.entities = new Map();
+		// Entity ID -> Map of property name -> {v_string, v_number, v_vector3}
+		this.properties = new Map();
+		// Node ID -> {nodeType, parentId}
+		this.nodes = new Map();
+		// Node ID -> Set of child node IDs, regardless of validity.
+		this.children = new Map();
+		// Edge ID -> [nodeAId, nodeBId]
+		this.edges = new Map();
+		// Node ID -> Set of edge IDs attached to the node.
+		this.nodeEdges = new Map();
+		// Image name -> image data
+		this.images = new Map();
+
+		/* Spatial index.
+		 * Nodes with both a center and a radius are added to every grid cell that their bounding box overlaps.
+		 * Nodes too large to be reasonably kept in cells are instead checked on every query.
+		 */
+		this.cells = new Map();
+		this.largeNodes = new Set();
+		this.nodeCells = new Map();
+
+		// Functions undoing each change made in the open transaction, in order; null outside of transactions.
+		this.journal = null;
+	}
+
+	async load() {
+		this.global = await this.createEntity("global");
+
+		await this.loadNodeTypes();
+		await this.loadLayers();
+
+		this.loaded = true;
+		await this.hooks.call("loaded");
+	}
+
+	getBackendVersionNumber() {
+		return 1;
+	}
+
+	getVersionNumber() {
+		return 1;
+	}
+
+	beginTransaction() {
+		this.journal = [];
+	}
+
+	commitTransaction() {
+		this.journal = null;
+	}
+
+	rollbackTransaction() {
+		const journal = this.journal;
+		this.journal = null;
+		for(const undo of journal.reverse()) {
+			undo();
+		}
+	}
+
+	/** Record how to undo a change, if a transaction is open.
+	 * @param undo {function}
+	 */
+	journalChange(undo) {
+		if(this.journal !== null) {
+			this.journal.push(undo);
+		}
+	}
+
+	baseCreateEntity(type) {
+		const id = this.nextEntityId++;
+		this.entities.set(id, {
+			type: type,
+			valid: true,
+		});
+		this.properties.set(id, new Map());
+		this.journalChange(() => {
+			this.entities.delete(id);
+			this.properties.delete(id);
+		});
+		return id;
+	}
+
+	async entityExists(entityId) {
+		return this.entities.has(entityId);
+	}
+
+	async entityValid(entityId) {
+		const entity = this.entities.get(entityId);
+		return entity !== undefined && entity.valid;
+	}
+
+	async createEntity(type, transaction) {
+		return this.getEntityRef(await this.exclusive(() => this.baseCreateEntity(type), transaction));
+	}
+
+	async createNode(parentId, nodeType, transaction) {
+		parentId = parentId ? parentId : null;
+
+		const id = await this.exclusive(() => {
+			const id = this.baseCreateEntity("node");
+
+			this.nodes.set(id, {
+				nodeType: nodeType,
+				parentId: parentId,
+			});
+			this.children.set(id, new Set());
+			this.nodeEdges.set(id, new Set());
+
+			if(parentId !== null) {
+				this.children.get(parentId).add(id);
+			}
+
+			this.journalChange(() => {
+				this.nodes.delete(id);
+				this.children.delete(id);
+				this.nodeEdges.delete(id);
+				if(parentId !== null) {
+					this.children.get(parentId).delete(id);
+				}
+				this.updateSpatialIndex(id);
+			});
+
+			this.entityCache.nodeCreated(id, parentId);
+			return id;
+		}, transaction);
+
+		const nodeRef = this.getNodeRef(id);
+		await nodeRef.create();
+		return nodeRef;
+	}
+
+	async createEdge(nodeAId, nodeBId, transaction) {
+		const id = await this.exclusive(() => {
+			const id = this.baseCreateEntity("edge");
+
+			this.edges.set(id, [nodeAId, nodeBId]);
+			this.nodeEdges.get(nodeAId).add(id);
+			this.nodeEdges.get(nodeBId).add(id);
+
+			this.journalChange(() => {
+				this.edges.delete(id);
+				this.nodeEdges.get(nodeAId).delete(id);
+				this.nodeEdges.get(nodeBId).delete(id);
+			});
+
+			return id;
+		}, transaction);
+
+		const edgeRef = this.getEdgeRef(id);
+		await edgeRef.create();
+		return edgeRef;
+	}
+
+	async getNodeType(nodeId) {
+		const node = this.nodes.get(nodeId);
+		return (node && node.nodeType) ? node.nodeType : null;
+	}
+
+	async getNodeParent(nodeId) {
+		const node = this.nodes.get(nodeId);
+		return (node && this.nodes.has(node.parentId)) ? this.getNodeRef(node.parentId) : null;
+	}
+
+	async setNodeParent(nodeId, parentId, transaction) {
+		await this.exclusive(() => {
+			const oldParentId = this.moveNode(nodeId, parentId);
+			if(oldParentId !== undefined) {
+				this.journalChange(() => this.moveNode(nodeId, oldParentId));
+			}
+		}, transaction);
+	}
+
+	/** Change the parent of a node.
+	 * @returns {number|null|undefined} The ID of the old parent, or undefined if the node does not exist.
+	 */
+	moveNode(nodeId, parentId) {
+		const node = this.nodes.get(nodeId);
+		if(node === undefined) {
+			return undefined;
+		}
+
+		const oldParentId = node.parentId;
+		if(oldParentId !== null && this.children.has(oldParentId)) {
+			this.children.get(oldParentId).delete(nodeId);
+		}
+
+		node.parentId = parentId ? parentId : null;
+
+		if(node.parentId !== null && this.children.has(node.parentId)) {
+			this.children.get(node.parentId).add(nodeId);
+		}
+
+		this.entityCache.nodeParentChanged(nodeId, oldParentId, node.parentId);
+		return oldParentId;
+	}
+
+	async * getNodeChildren(nodeId) {
+		const children = this.children.get(nodeId);
+		if(children !== undefined) {
+			for(const childId of Array.from(children)) {
+				if(this.entities.get(childId).valid) {
+					yield this.getNodeRef(childId);
+				}
+			}
+		}
+	}
+
+	async removeEntity(entityId, transaction) {
+		await this.exclusive(() => {
+			const entity = this.entities.get(entityId);
+			if(entity !== undefined && entity.valid) {
+				const invalidated = [entity];
+				entity.valid = false;
+
+				// Removing a node removes all of its descendants.
+				if(entity.type === "node") {
+					this.invalidateDescendants(entityId, invalidated);
+				}
+
+				this.journalChange(() => {
+					for(const invalidatedEntity of invalidated) {
+						invalidatedEntity.valid = true;
+					}
+				});
+
+				this.entityCache.validityChanged();
+			}
+		}, transaction);
+	}
+
+	/** Mark all descendants of a node as removed.
+	 * @param invalidated {Array.<Object>} Collects the entities that were valid before.
+	 */
+	invalidateDescendants(nodeId, invalidated) {
+		for(const childId of this.children.get(nodeId)) {
+			const child = this.entities.get(childId);
+			if(child.valid) {
+				invalidated.push(child);
+			}
+			child.valid = false;
+			this.invalidateDescendants(childId, invalidated);
+		}
+	}
+
+	async unremoveEntity(entityId, transaction) {
+		await this.exclusive(() => {
+			const entity = this.entities.get(entityId);
+			if(entity !== undefined) {
+				const wasValid = entity.valid;
+				entity.valid = true;
+				this.journalChange(() => {
+					entity.valid = wasValid;
+				});
+				this.entityCache.validityChanged();
+			}
+		}, transaction);
+	}
+
+	async getImageNames() {
+		return Array.from(this.images.keys()).sort();
+	}
+
+	async getImageData(name) {
+		const data = this.images.get(name);
+		return (data === undefined) ? undefined : new Uint8Array(data);
+	}
+
+	async setImageData(name, data, transaction) {
+		await this.exclusive(() => {
+			const oldData = this.images.get(name);
+			this.journalChange(() => {
+				if(oldData === undefined) {
+					this.images.delete(name);
+				}
+				else {
+					this.images.set(name, oldData);
+				}
+			});
+
+			if(data === undefined) {
+				this.images.delete(name);
+			}
+			else {
+				// Copy, so that later changes to the caller's array do not affect the map.
+				this.images.set(name, new Uint8Array(data));
+			}
+		}, transaction);
+	}
+
+	/** Get the stored value of a property.
+	 * @returns {Object|undefined} with v_string, v_number, and v_vector3 keys, only one of which is set; or undefined if the property does not exist.
+	 */
+	getProperty(entityId, propertyName) {
+		const properties = this.properties.get(entityId);
+		return properties ? properties.get(propertyName) : undefined;
+	}
+
+	/** Replace the stored value of a property, like SQLite's INSERT OR REPLACE.
+	 * @param value {Object|undefined} The new value, or undefined to delete the property.
+	 */
+	setProperty(entityId, propertyName, value) {
+		const properties = this.properties.get(entityId);
+		if(properties === undefined) {
+			throw new Error(`entity ${entityId} does not exist`);
+		}
+
+		const oldValue = properties.get(propertyName);
+		this.journalChange(() => this.setProperty(entityId, propertyName, oldValue));
+
+		if(value === undefined) {
+			properties.delete(propertyName);
+		}
+		else {
+			properties.set(propertyName, merge({
+				v_string: null,
+				v_number: null,
+				v_vector3: null,
+			}, value));
+		}
+
+		if(propertyName === "center" || propertyName === "radius") {
+			this.updateSpatialIndex(entityId);
+		}
+
+		this.entityCache.propertyChanged(entityId, propertyName);
+	}
+
+	async getPNumber(entityId, propertyName) {
+		const property = this.getProperty(entityId, propertyName);
+		return property === undefined ? undefined : property.v_number;
+	}
+
+	async setPNumber(entityId, propertyName, value, transaction) {
+		await this.exclusive(() => this.setProperty(entityId, propertyName, {v_number: value}), transaction);
+	}
+
+	async getPVector3(entityId, propertyName) {
+		const property = this.getProperty(entityId, propertyName);
+		const v = (property === undefined) ? {} : (property.v_vector3 || {x: null, y: null, z: null});
+		return new Vector3(v.x, v.y, v.z);
+	}
+
+	async setPVector3(entityId, propertyName, vector3, transaction) {
+		await this.exclusive(() => this.setProperty(entityId, propertyName, {v_vector3: new Vector3(vector3.x, vector3.y, vector3.z)}), transaction);
+	}
+
+	async getPString(entityId, propertyName) {
+		const property = this.getProperty(entityId, propertyName);
+		return property === undefined ? undefined : property.v_string;
+	}
+
+	async setPString(entityId, propertyName, value, transaction) {
+		await this.exclusive(() => this.setProperty(entityId, propertyName, {v_string: value}), transaction);
+	}
+
+	async getProperties(entityId) {
+		const properties = {};
+		for(const [propertyName, property] of this.properties.get(entityId) || []) {
+			if(property.v_string !== null) {
+				properties[propertyName] = property.v_string;
+			}
+			else if(property.v_number !== null) {
+				properties[propertyName] = property.v_number;
+			}
+			else if(property.v_vector3 !== null) {
+				properties[propertyName] = new Vector3(property.v_vector3.x, property.v_vector3.y, property.v_vector3.z);
+			}
+		}
+		return properties;
+	}
+
+	/** Get the center and radius of a node, if the node has both.
+	 * @returns {Object|null} with center {Vector3} and radius {number} keys.
+	 */
+	getNodeBounds(nodeId) {
+		const center = this.getProperty(nodeId, "center");
+		const radius = this.getProperty(nodeId, "radius");
+		if(!center || !radius || !center.v_vector3 || typeof radius.v_number !== "number") {
+			return null;
+		}
+		return {
+			center: center.v_vector3,
+			radius: radius.v_number,
+		};
+	}
+
+	/** Get the spatial index cell keys that a 2D range overlaps.
+	 * @returns {Array.<string>|null} or null if there are too many cells to list.
+	 */
+	getCellKeys(minX, minY, maxX, maxY, maxCells) {
+		const cellSize = this.options.cellSize;
+		const ax = Math.floor(minX / cellSize);
+		const ay = Math.floor(minY / cellSize);
+		const bx = Math.floor(maxX / cellSize);
+		const by = Math.floor(maxY / cellSize);
+
+		if(!isFinite(ax) || !isFinite(ay) || !isFinite(bx) || !isFinite(by) || (bx - ax + 1) * (by - ay + 1) > maxCells) {
+			return null;
+		}
+
+		const keys = [];
+		for(let x = ax; x <= bx; x++) {
+			for(let y = ay; y <= by; y++) {
+				keys.push(`${x},${y}`);
+			}
+		}
+		return keys;
+	}
+
+	updateSpatialIndex(nodeId) {
+		const oldKeys = this.nodeCells.get(nodeId);
+		if(oldKeys !== undefined) {
+			for(const key of oldKeys) {
+				const cell = this.cells.get(key);
+				cell.delete(nodeId);
+				if(cell.size === 0) {
+					this.cells.delete(key);
+				}
+			}
+			this.nodeCells.delete(nodeId);
+		}
+		this.largeNodes.delete(nodeId);
+
+		if(!this.nodes.has(nodeId)) {
+			return;
+		}
+
+		const bounds = this.getNodeBounds(nodeId);
+		if(bounds === null) {
+			return;
+		}
+
+		const {center, radius} = bounds;
+		const keys = this.getCellKeys(center.x - radius, center.y - radius, center.x + radius, center.y + radius, 16);
+		if(keys === null) {
+			this.largeNodes.add(nodeId);
+		}
+		else {
+			for(const key of keys) {
+				let cell = this.cells.get(key);
+				if(cell === undefined) {
+					this.cells.set(key, cell = new Set());
+				}
+				cell.add(nodeId);
+			}
+			this.nodeCells.set(nodeId, keys);
+		}
+	}
+
+	/** Get the IDs of all nodes that may touch a 2D range according to the spatial index.
+	 * @returns {Iterable.<number>}
+	 */
+	getCandidateNodeIds(minX, minY, maxX, maxY) {
+		const keys = this.getCellKeys(minX, minY, maxX, maxY, this.cells.size);
+		if(keys === null) {
+			// Cheaper to look at every indexed node.
+			return new Set([...this.nodeCells.keys(), ...this.largeNodes]);
+		}
+
+		const ids = new Set(this.largeNodes);
+		for(const key of keys) {
+			const cell = this.cells.get(key);
+			if(cell !== undefined) {
+				for(const id of cell) {
+					ids.add(id);
+				}
+			}
+		}
+		return ids;
+	}
+
+	async * getNodesInArea(box) {
+		for(const nodeId of this.getCandidateNodeIds(box.a.x, box.a.y, box.b.x, box.b.y)) {
+			const center = this.getNodeBounds(nodeId).center;
+			if(this.entities.get(nodeId).valid && center.x >= box.a.x && center.x <= box.b.x && center.y >= box.a.y && center.y <= box.b.y && center.z >= box.a.z && center.z <= box.b.z) {
+				yield this.getNodeRef(nodeId);
+			}
+		}
+	}
+
+	async * getNodesTouchingArea(box, minRadius, nodeType) {
+		for(const nodeId of this.getCandidateNodeIds(box.a.x, box.a.y, box.b.x, box.b.y)) {
+			if(!this.entities.get(nodeId).valid || (nodeType !== undefined && this.nodes.get(nodeId).nodeType !== nodeType)) {
+				continue;
+			}
+
+			const {center, radius} = this.getNodeBounds(nodeId);
+			if(radius >= minRadius && center.x >= box.a.x - radius && center.x <= box.b.x + radius && center.y >= box.a.y - radius && center.y <= box.b.y + radius && center.z >= box.a.z - radius && center.z <= box.b.z + radius) {
+				yield this.getNodeRef(nodeId);
+			}
+		}
+	}
+
+	async * getObjectNodesTouchingArea(box, minRadius) {
+		yield* this.getNodesTouchingArea(box, minRadius, "object");
+	}
+
+	async * getNodeEdges(nodeId) {
+		const edgeIds = this.nodeEdges.get(nodeId);
+		if(edgeIds === undefined || !this.entities.get(nodeId).valid) {
+			return;
+		}
+
+		for(const edgeId of Array.from(edgeIds)) {
+			const [nodeAId, nodeBId] = this.edges.get(edgeId);
+			const otherNodeId = (nodeAId === nodeId) ? nodeBId : nodeAId;
+			if(this.entities.get(edgeId).valid && this.entities.get(otherNodeId).valid) {
+				yield this.getDirEdgeRef(edgeId, nodeId);
+			}
+		}
+	}
+
+	async * getEdgeNodes(edgeId) {
+		const nodeIds = this.edges.get(edgeId);
+		if(nodeIds !== undefined) {
+			for(const nodeId of nodeIds) {
+				yield this.getNodeRef(nodeId);
+			}
+		}
+	}
+
+	async getEdgeBetween(nodeAId, nodeBId) {
+		const edgeIds = this.nodeEdges.get(nodeAId);
+		if(edgeIds !== undefined) {
+			for(const edgeId of edgeIds) {
+				const [edgeNodeAId, edgeNodeBId] = this.edges.get(edgeId);
+				if(this.entities.get(edgeId).valid && ((edgeNodeAId === nodeAId && edgeNodeBId === nodeBId) || (edgeNodeAId === nodeBId && edgeNodeBId === nodeAId))) {
+					return this.getEdgeRef(edgeId);
+				}
+			}
+		}
+		return null;
+	}
+}
+
+/** Wrap an IndexedDB request in a promise.
+ * @param request {IDBRequest}
+ * @returns {Promise} resolving to the request's result.
+ */
+function idbRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.addEventListener("success", () => resolve(request.result));
+		request.addEventListener("error", () => reject(request.error));
+	});
+}
+
+/** Persistent storage for maps in the browser, using [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API).
+ * Keeps a list of named local maps, each stored as the raw data from MapBackend#getData(),
+ * and remembers which map was opened last.
+ * The store cannot be used until #open() finishes.
+ */
+class IndexedDbMapStore {
+	/** Options may have keys:
+	 * - databaseName: the name of the IndexedDB database to use
+	 * - autosaveDelay: milliseconds to wait after the last change before autosaving
+	 */
+	constructor(options) {
+		this.options = merge({
+			databaseName: "mapper1024",
+			autosaveDelay: 1000,
+		}, options);
+
+		this.hooks = new HookContainer();
+	}
+
+	async open() {
+		const request = indexedDB.open(this.options.databaseName, 1);
+
+		request.addEventListener("upgradeneeded", () => {
+			const db = request.result;
+			// Map metadata (id, name, modification time) is kept apart from the map data so that listing maps is cheap.
+			db.createObjectStore("map", {keyPath: "id", autoIncrement: true});
+			db.createObjectStore("map_data");
+			db.createObjectStore("setting");
+		});
+
+		this.db = await idbRequest(request);
+	}
+
+	/** Run a function on object stores in a single IndexedDB transaction.
+	 * @param storeNames {Array.<string>} the object stores to use
+	 * @param mode {string} "readonly" or "readwrite"
+	 * @param f {function} called with each object store in order; may return a request whose result will be returned
+	 * @returns the result of the request returned by f, once the transaction completes
+	 */
+	async transaction(storeNames, mode, f) {
+		const transaction = this.db.transaction(storeNames, mode);
+		const done = new Promise((resolve, reject) => {
+			transaction.addEventListener("complete", resolve);
+			transaction.addEventListener("error", () => reject(transaction.error));
+			transaction.addEventListener("abort", () => reject(transaction.error));
+		});
+
+		const request = f(...storeNames.map((storeName) => transaction.objectStore(storeName)));
+		const result = request ? await idbRequest(request) : undefined;
+		await done;
+		return result;
+	}
+
+	/** Get the metadata of all stored maps, most recently modified first.
+	 * @returns {Array.<Object>} objects with the keys id, name, modified, and uuid (see Mapper#getUuid(); undefined until set with #setMapUuid())
+	 */
+	async getMaps() {
+		const maps = await this.transaction(["map"], "readonly", (mapStore) => mapStore.getAll());
+		return maps.sort((a, b) => b.modified - a.modified);
+	}
+
+	/** Get the metadata of a stored map.
+	 * @param id {number}
+	 * @returns {Object|undefined} an object with the keys id, name, modified, and uuid, as from #getMaps()
+	 */
+	async getMap(id) {
+		return this.transaction(["map"], "readonly", (mapStore) => mapStore.get(id));
+	}
+
+	/** Get the data of a stored map, suitable for loading into a SqlJsMapBackend.
+	 * @param id {number}
+	 * @returns {Uint8Array|undefined}
+	 */
+	async getMapData(id) {
+		return this.transaction(["map_data"], "readonly", (dataStore) => dataStore.get(id));
+	}
+
+	/** Store a new map.
+	 * @param name {string} the human-readable name of the map
+	 * @param data {Uint8Array} the map data
+	 * @returns {number} the ID of the new map
+	 */
+	async createMap(name, data) {
+		const id = await this.transaction(["map"], "readwrite", (mapStore) => mapStore.add({name: name, modified: Date.now()}));
+		await this.saveMap(id, data);
+		return id;
+	}
+
+	/** Replace the data of a stored map.
+	 * @param id {number}
+	 * @param data {Uint8Array}
+	 */
+	async saveMap(id, data) {
+		await this.transaction(["map", "map_data"], "readwrite", (mapStore, dataStore) => {
+			mapStore.get(id).addEventListener("success", (event) => {
+				// Don't resurrect a map that was removed in the meantime.
+				if(event.target.result) {
+					mapStore.put(merge(event.target.result, {modified: Date.now()}));
+					dataStore.put(data, id);
+				}
+			});
+		});
+	}
+
+	/** Change the name of a stored map.
+	 * @param id {number}
+	 * @param name {string}
+	 */
+	async renameMap(id, name) {
+		await this.transaction(["map"], "readwrite", (mapStore) => {
+			mapStore.get(id).addEventListener("success", (event) => {
+				if(event.target.result) {
+					mapStore.put(merge(event.target.result, {name: name}));
+				}
+			});
+		});
+	}
+
+	/** Remember the UUID of a stored map, to find it with #findMapByUuid().
+	 * @param id {number}
+	 * @param uuid {string} see Mapper#getUuid()
+	 */
+	async setMapUuid(id, uuid) {
+		await this.transaction(["map"], "readwrite", (mapStore) => {
+			mapStore.get(id).addEventListener("success", (event) => {
+				if(event.target.result) {
+					mapStore.put(merge(event.target.result, {uuid: uuid}));
+				}
+			});
+		});
+	}
+
+	/** Find a stored map by its UUID.
+	 * If several stored maps have the UUID, e.g. because the same file was opened twice, the most recently modified one is found.
+	 * @param uuid {string}
+	 * @returns {Object|undefined} the metadata of the map, as from #getMap()
+	 */
+	async findMapByUuid(uuid) {
+		return (await this.getMaps()).find((map) => map.uuid === uuid);
+	}
+
+	/** Delete a stored map.
+	 * @param id {number}
+	 */
+	async removeMap(id) {
+		await this.transaction(["map", "map_data"], "readwrite", (mapStore, dataStore) => {
+			mapStore.delete(id);
+			dataStore.delete(id);
+		});
+	}
+
+	/** Get the ID of the map that was opened last, if it still exists.
+	 * @returns {number|undefined}
+	 */
+	async getLastMapId() {
+		const id = await this.transaction(["setting"], "readonly", (settingStore) => settingStore.get("lastMapId"));
+		return (id !== undefined && await this.getMap(id)) ? id : undefined;
+	}
+
+	/** Remember the map that was opened last, to reopen it next time.
+	 * @param id {number}
+	 */
+	async setLastMapId(id) {
+		await this.transaction(["setting"], "readwrite", (settingStore) => settingStore.put(id, "lastMapId"));
+	}
+
+	/** Automatically save a map to the store whenever the mapper changes it.
+	 * Saving happens shortly after each "update" hook of the mapper, batching together rapid changes.
+	 * The mapper's unsaved change state is cleared once the changes are stored.
+	 * Calls the "autosaved" hook with the map ID after each save, or the "autosave_failed" hook with the map ID and error if saving fails.
+	 * @param mapper {Mapper} the mapper presenting the map
+	 * @param id {number} the ID of the stored map to save into
+	 * @returns {function} call to stop autosaving; returns a promise that resolves once any pending save is finished
+	 */
+	autosave(mapper, id) {
+		let timeout;
+		let saving = Promise.resolve();
+
+		const save = () => {
+			timeout = undefined;
+			saving = saving.then(async () => {
+				try {
+					await this.saveMap(id, await mapper.backend.getData());
+				}
+				catch(error) {
+					await this.hooks.call("autosave_failed", id, error);
+					return;
+				}
+
+				// Only declare the map saved if nothing changed while saving.
+				if(timeout === undefined) {
+					mapper.clearUnsavedChangeState();
+				}
+				await this.hooks.call("autosaved", id);
+			});
+			return saving;
+		};
+
+		// The update hook is awaited by whatever changed the map, so only schedule the save here.
+		const hook = mapper.hooks.add("update", () => {
+			clearTimeout(timeout);
+			timeout = setTimeout(save, this.options.autosaveDelay);
+		});
+
+		return async () => {
+			mapper.hooks.remove("update", hook);
+			if(timeout !== undefined) {
+				clearTimeout(timeout);
+				await save();
+			}
+			await saving;
+		};
+	}
+}
+
+/** Exports the objects of a map as [GeoJSON](https://geojson.org/), for use in GIS tools and web maps.
+ * Coordinates are in meters, with the Y axis flipped so that north is up.
+ * Area objects become Polygon or MultiPolygon features following the area their border points cover (as the map is rendered),
+ * path objects become LineString or MultiLineString features along their path nodes,
+ * and explicit objects become Point features.
+ * Every feature has type, layer, name, and z (altitude in meters) properties.
+ */
+class GeoJsonExporter {
+	/** Options may have keys:
+	 * - resolution: the maximum number of grid cells across an area object when tracing its outline
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			resolution: 256,
+		}, options);
+	}
+
+	/** Export map objects.
+	 * @param box {Box3|undefined} The area of the map to export objects from, or undefined to export the entire map.
+	 * @returns {Object} A GeoJSON FeatureCollection.
+	 */
+	async export(box) {
+		if(box === undefined) {
+			box = new Box3(new Vector3(-Infinity, -Infinity, -Infinity), new Vector3(Infinity, Infinity, Infinity));
+		}
+
+		const features = [];
+
+		for await (const nodeRef of this.mapper.getObjectNodesTouchingArea(box, 0)) {
+			const feature = await this.exportObject(nodeRef);
+			if(feature) {
+				features.push(feature);
+			}
+		}
+
+		return {
+			type: "FeatureCollection",
+			features: features,
+		};
+	}
+
+	/** Export one object node as a feature.
+	 * @param nodeRef {NodeRef}
+	 * @returns {Object|null} The feature, or null if the object has nothing to export (e.g. no border points).
+	 */
+	async exportObject(nodeRef) {
+		const nodeType = await nodeRef.getType();
+
+		let geometry;
+		if(nodeType.isPath()) {
+			geometry = await this.getPathGeometry(nodeRef);
+		}
+		else if(nodeType.getScale() === "explicit") {
+			geometry = await this.getPointGeometry(nodeRef);
+		}
+		else {
+			geometry = await this.getAreaGeometry(nodeRef);
+		}
+
+		if(geometry === null) {
+			return null;
+		}
+
+		return {
+			type: "Feature",
+			id: nodeRef.id,
+			geometry: geometry,
+			properties: {
+				type: nodeType.id,
+				layer: (await nodeRef.getLayer()).id,
+				name: (await nodeRef.getPString("name")) || null,
+				z: this.mapper.unitsToMeters((await nodeRef.getCenter()).z),
+			},
+		};
+	}
+
+	/** Convert a point on the map to GeoJSON coordinates.
+	 * @param point {Vector3}
+	 * @returns {Array.<number>}
+	 */
+	toCoordinates(point) {
+		return [this.mapper.unitsToMeters(point.x), -this.mapper.unitsToMeters(point.y)];
+	}
+
+	async getPointGeometry(nodeRef) {
+		// Explicit objects are drawn around their children, so use the middle of those.
+		let sum = Vector3.ZERO;
+		let count = 0;
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			sum = sum.add(await childNodeRef.getEffectiveCenter());
+			count++;
+		}
+
+		return {
+			type: "Point",
+			coordinates: this.toCoordinates((count > 0) ? sum.divideScalar(count) : await nodeRef.getCenter()),
+		};
+	}
+
+	async getPathGeometry(nodeRef) {
+		// Path nodes are connected in chains; each stroke (and each extension) is its own chain.
+		const neighbors = new Map();
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			if(await childNodeRef.getNodeType() === "path") {
+				neighbors.set(childNodeRef.id, {
+					nodeRef: childNodeRef,
+					neighborIds: await asyncFrom(childNodeRef.getEdges(), async (dirEdgeRef) => (await dirEdgeRef.getDirOtherNode()).id),
+				});
+			}
+		}
+
+		const visitedEdges = new Set();
+		const edgeKey = (a, b) => (a < b) ? `${a},${b}` : `${b},${a}`;
+
+		const lines = [];
+
+		const walk = async (startId) => {
+			const line = [this.toCoordinates(await neighbors.get(startId).nodeRef.getEffectiveCenter())];
+			let id = startId;
+			for(;;) {
+				const nextId = neighbors.get(id).neighborIds.find((neighborId) => neighbors.has(neighborId) && !visitedEdges.has(edgeKey(id, neighborId)));
+				if(nextId === undefined) {
+					break;
+				}
+				visitedEdges.add(edgeKey(id, nextId));
+				line.push(this.toCoordinates(await neighbors.get(nextId).nodeRef.getEffectiveCenter()));
+				id = nextId;
+			}
+			if(line.length > 1) {
+				lines.push(line);
+			}
+		};
+
+		// Start at the ends of chains first, so that each chain becomes one line; whatever remains is a loop.
+		for(const [id, entry] of neighbors) {
+			if(entry.neighborIds.filter((neighborId) => neighbors.has(neighborId)).length !== 2) {
+				await walk(id);
+			}
+		}
+		for(const id of neighbors.keys()) {
+			await walk(id);
+		}
+
+		if(lines.length === 0) {
+			return null;
+		}
+		else if(lines.length === 1) {
+			return {type: "LineString", coordinates: lines[0]};
+		}
+		else {
+			return {type: "MultiLineString", coordinates: lines};
+		}
+	}
+
+	/** Get the polygons of an area object.
+	 * Areas are drawn as the space covered by circles around their border points (the radius of each coming from the border points it is connected to),
+	 * so the outline is traced on a grid covering those circles, much like the map renderer fills tiles.
+	 */
+	async getAreaGeometry(nodeRef) {
+		const circles = [];
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			const radius = await childNodeRef.getRadius();
+			if(await childNodeRef.getNodeType() === "point" && radius > 0) {
+				circles.push({center: await childNodeRef.getEffectiveCenter(), radius: radius});
+			}
+		}
+
+		if(circles.length === 0) {
+			return null;
+		}
+
+		let a = new Vector3(Infinity, Infinity, 0);
+		let b = new Vector3(-Infinity, -Infinity, 0);
+		let minRadius = Infinity;
+		for(const circle of circles) {
+			const radiusVector = new Vector3(circle.radius, circle.radius, 0);
+			a = Vector3.min(a, circle.center.noZ().subtract(radiusVector));
+			b = Vector3.max(b, circle.center.noZ().add(radiusVector));
+			minRadius = Math.min(minRadius, circle.radius);
+		}
+
+		const size = b.subtract(a);
+		const cellSize = Math.max(minRadius / 2, Math.max(size.x, size.y) / this.options.resolution);
+
+		// Leave an empty cell around the edges so that every outline is closed.
+		const width = Math.ceil(size.x / cellSize) + 2;
+		const height = Math.ceil(size.y / cellSize) + 2;
+		const origin = a.subtract(new Vector3(cellSize, cellSize, 0));
+
+		const covered = new Uint8Array(width * height);
+		for(const circle of circles) {
+			const center = circle.center.noZ().subtract(origin).divideScalar(cellSize);
+			const radius = circle.radius / cellSize;
+			for(let x = Math.max(0, Math.floor(center.x - radius)); x <= Math.min(width - 1, Math.ceil(center.x + radius)); x++) {
+				for(let y = Math.max(0, Math.floor(center.y - radius)); y <= Math.min(height - 1, Math.ceil(center.y + radius)); y++) {
+					if((x + 0.5 - center.x) ** 2 + (y + 0.5 - center.y) ** 2 <= radius ** 2) {
+						covered[y * width + x] = 1;
+					}
+				}
+			}
+		}
+
+		const isCovered = (x, y) => x >= 0 && y >= 0 && x < width && y < height && covered[y * width + x] === 1;
+
+		/* Collect the cell sides between covered and uncovered cells, directed so that the covered cell is on the right (with Y pointing down).
+		 * Outer outlines then run clockwise and holes counterclockwise.
+		 */
+		const outgoing = new Map();
+		const addSide = (ax, ay, bx, by) => {
+			const key = `${ax},${ay}`;
+			let sides = outgoing.get(key);
+			if(sides === undefined) {
+				outgoing.set(key, sides = []);
+			}
+			sides.push([bx, by]);
+		};
+
+		for(let y = 0; y < height; y++) {
+			for(let x = 0; x < width; x++) {
+				if(isCovered(x, y)) {
+					if(!isCovered(x, y - 1)) {
+						addSide(x, y, x + 1, y);
+					}
+					if(!isCovered(x + 1, y)) {
+						addSide(x + 1, y, x + 1, y + 1);
+					}
+					if(!isCovered(x, y + 1)) {
+						addSide(x + 1, y + 1, x, y + 1);
+					}
+					if(!isCovered(x - 1, y)) {
+						addSide(x, y + 1, x, y);
+					}
+				}
+			}
+		}
+
+		// Follow the sides into closed rings, leaving out points where the direction does not change.
+		const rings = [];
+		for(const [startKey, startSides] of outgoing) {
+			while(startSides.length > 0) {
+				const ring = [];
+				let point = startKey.split(",").map(Number);
+				let sides = startSides;
+				do {
+					const next = sides.pop();
+					ring.push(point);
+					point = next;
+					sides = outgoing.get(`${point[0]},${point[1]}`);
+				} while(sides.length > 0 && !(point[0] === ring[0][0] && point[1] === ring[0][1]));
+
+				const simplified = ring.filter((p, i) => {
+					const previous = ring[mod(i - 1, ring.length)];
+					const next = ring[(i + 1) % ring.length];
+					return (p[0] - previous[0]) * (next[1] - p[1]) !== (p[1] - previous[1]) * (next[0] - p[0]);
+				});
+
+				rings.push(simplified);
+			}
+		}
+
+		const signedArea = (ring) => {
+			let area = 0;
+			for(let i = 0; i < ring.length; i++) {
+				const p = ring[i];
+				const q = ring[(i + 1) % ring.length];
+				area += p[0] * q[1] - q[0] * p[1];
+			}
+			return area / 2;
+		};
+
+		const contains = (ring, point) => {
+			let inside = false;
+			for(let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+				const [xi, yi] = ring[i];
+				const [xj, yj] = ring[j];
+				if((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+					inside = !inside;
+				}
+			}
+			return inside;
+		};
+
+		const outers = rings.filter((ring) => signedArea(ring) > 0).map((ring) => ({ring: ring, area: signedArea(ring), holes: []}));
+		outers.sort((x, y) => x.area - y.area);
+
+		for(const hole of rings.filter((ring) => signedArea(ring) < 0)) {
+			// Test just inside the hole, since hole corners may touch the outline around them.
+			const p = hole[0];
+			const q = hole[1];
+			const testPoint = [(p[0] + q[0]) / 2 + Math.sign(q[1] - p[1]) * 0.25, (p[1] + q[1]) / 2 - Math.sign(q[0] - p[0]) * 0.25];
+			const outer = outers.find((candidate) => contains(candidate.ring, testPoint));
+			if(outer) {
+				outer.holes.push(hole);
+			}
+		}
+
+		/* GeoJSON rings are closed by repeating the first point.
+		 * GeoJSON also wants outer rings counterclockwise with Y pointing up, so flipping the Y axis means reversing the rings.
+		 */
+		const toCoordinates = (ring) => {
+			const coordinates = ring.slice().reverse().map(([x, y]) => this.toCoordinates(origin.add(new Vector3(x, y, 0).multiplyScalar(cellSize))));
+			coordinates.push(coordinates[0]);
+			return coordinates;
+		};
+
+		const polygons = outers.map((outer) => [outer.ring, ...outer.holes].map(toCoordinates));
+
+		if(polygons.length === 1) {
+			return {type: "Polygon", coordinates: polygons[0]};
+		}
+		else {
+			return {type: "MultiPolygon", coordinates: polygons};
+		}
+	}
+}
+
+/** Imports [GeoJSON](https://geojson.org/) features as map objects, the counterpart of GeoJsonExporter.
+ * Polygons become area objects filled with border points, LineStrings become strokes (path objects if the node type is a path type),
+ * and Points become small objects (explicit objects with the default node types).
+ * Each feature's properties choose the node type, name, layer, and altitude (z, in meters) of the object.
+ */
+class GeoJsonImporter {
+	/** Options may have keys:
+	 * - scale: map units per source coordinate unit (defaults to the units of one meter, as exported by GeoJsonExporter)
+	 * - flipY: whether to flip the Y axis, since GeoJSON usually has north up while the map has Y pointing down
+	 * - typeProperty: the feature property holding the node type
+	 * - nameProperty: the feature property holding the object name
+	 * - typeMap: an object mapping values of the type property to node type IDs, for sources that use different names
+	 * - defaultTypes: the node type IDs to use when a feature's type is missing or unknown, by geometry kind ("polygon", "line", or "point")
+	 * - lineRadius: the radius (in map units) of strokes for lines
+	 * - pointRadius: the radius (in map units) of objects for points
+	 * - areaSpacing: the distance (in map units) between border points filling areas
+	 * - maxAreaPoints: the most border points to fill a single polygon with; the spacing grows for larger polygons
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			scale: mapper.metersToUnits(1),
+			flipY: true,
+			typeProperty: "type",
+			nameProperty: "name",
+			typeMap: {},
+			defaultTypes: {
+				polygon: "grass",
+				line: "road",
+				point: "house",
+			},
+			lineRadius: mapper.metersToUnits(4),
+			pointRadius: mapper.metersToUnits(8),
+			areaSpacing: mapper.metersToUnits(8),
+			maxAreaPoints: 2000,
+		}, options);
+	}
+
+	/** Import GeoJSON into a map as a single undoable action.
+	 * Nothing is imported if any feature would go onto a layer that cannot be edited; the user is told why.
+	 * @param context {RenderContext}
+	 * @param geoJson {Object} A FeatureCollection, a Feature, or a bare geometry.
+	 * @returns {Action|null} The action that undoes the import, or null if nothing was imported.
+	 */
+	async importInto(context, geoJson) {
+		const features = this.getFeatures(geoJson);
+
+		for(const feature of features) {
+			const target = this.getTarget(feature);
+			if(target !== null && !context.checkLayerEditable(target.layer)) {
+				return null;
+			}
+		}
+
+		return await context.performAction(new BulkAction(context, {actions: features.map((feature) => new ImportFeatureAction(context, {importer: this, feature: feature}))}), true);
+	}
+
+	/** Get the actions that import GeoJSON, one per feature.
+	 * @param context {RenderContext}
+	 * @param geoJson {Object} A FeatureCollection, a Feature, or a bare geometry.
+	 * @returns {Array.<Action>}
+	 */
+	getActions(context, geoJson) {
+		return this.getFeatures(geoJson).map((feature) => new ImportFeatureAction(context, {importer: this, feature: feature}));
+	}
+
+	/** Get the features of GeoJSON, and check that their geometries have the shape GeoJSON requires.
+	 * @param geoJson {Object} A FeatureCollection, a Feature, or a bare geometry.
+	 * @returns {Array.<Object>} The features.
+	 * @throws {Error} naming the first malformed feature (by position and name) and what is wrong with it.
+	 */
+	getFeatures(geoJson) {
+		if(!geoJson || typeof geoJson !== "object") {
+			throw new Error("this is not GeoJSON");
+		}
+
+		let features;
+		if(geoJson.type === "FeatureCollection") {
+			if(!Array.isArray(geoJson.features)) {
+				throw new Error("the FeatureCollection has no list of features");
+			}
+			features = geoJson.features;
+		}
+		else if(geoJson.type === "Feature") {
+			features = [geoJson];
+		}
+		else {
+			features = [{type: "Feature", geometry: geoJson, properties: {}}];
+		}
+
+		features.forEach((feature, i) => {
+			const name = (feature && feature.properties) ? feature.properties[this.options.nameProperty] : undefined;
+			try {
+				if(!feature || typeof feature !== "object") {
+					throw new Error("it is not an object");
+				}
+				this.checkGeometry(feature.geometry);
+			}
+			catch(error) {
+				throw new Error(`feature ${i + 1}${(name !== undefined && name !== null) ? ` ("${name}")` : ""} is malformed: ${error.message}`);
+			}
+		});
+
+		return features;
+	}
+
+	/** Check that a geometry has the shape GeoJSON requires for its type.
+	 * Positions need at least two numbers, and polygon rings at least three positions.
+	 * @param geometry {Object|null} A GeoJSON geometry; null for features without one.
+	 * @throws {Error} describing what is wrong.
+	 */
+	checkGeometry(geometry) {
+		if(geometry === null || geometry === undefined) {
+			return;
+		}
+
+		const checkPosition = (position) => {
+			if(!Array.isArray(position) || position.length < 2 || !position.every(Number.isFinite)) {
+				throw new Error(`${JSON.stringify(position)} is not a position`);
+			}
+		};
+
+		const checkArray = (array, what, checkItem) => {
+			if(!Array.isArray(array)) {
+				throw new Error(`${geometry.type} coordinates must be ${what}`);
+			}
+			array.forEach(checkItem);
+		};
+
+		const checkLine = (line) => checkArray(line, "lists of positions", checkPosition);
+
+		const checkPolygon = (polygon) => checkArray(polygon, "lists of rings", (ring) => {
+			checkLine(ring);
+			if(ring.length < 3) {
+				throw new Error(`a ${geometry.type} ring has ${ring.length} position${(ring.length === 1) ? "" : "s"}, but needs at least 3`);
+			}
+		});
+
+		switch(geometry.type) {
+		case "Point":
+			checkPosition(geometry.coordinates);
+			break;
+		case "MultiPoint":
+		case "LineString":
+			checkLine(geometry.coordinates);
+			break;
+		case "MultiLineString":
+			checkArray(geometry.coordinates, "lists of lines", checkLine);
+			break;
+		case "Polygon":
+			checkPolygon(geometry.coordinates);
+			break;
+		case "MultiPolygon":
+			checkArray(geometry.coordinates, "lists of polygons", checkPolygon);
+			break;
+		case "GeometryCollection":
+			if(!Array.isArray(geometry.geometries)) {
+				throw new Error("the GeometryCollection has no list of geometries");
+			}
+			geometry.geometries.forEach((subGeometry) => this.checkGeometry(subGeometry));
+			break;
+		default:
+			throw new Error(`${JSON.stringify(geometry.type)} is not a geometry type`);
+		}
+	}
+
+	/** Split a geometry into polygons, lines, and points.
+	 * @param geometry {Object|null}
+	 * @returns {Array.<Object>} Parts with a kind ("polygon", "line", or "point") and coordinates.
+	 */
+	getParts(geometry) {
+		if(!geometry) {
+			return [];
+		}
+
+		switch(geometry.type) {
+		case "Polygon":
+			return [{kind: "polygon", coordinates: geometry.coordinates}];
+		case "MultiPolygon":
+			return geometry.coordinates.map((coordinates) => ({kind: "polygon", coordinates: coordinates}));
+		case "LineString":
+			return [{kind: "line", coordinates: geometry.coordinates}];
+		case "MultiLineString":
+			return geometry.coordinates.map((coordinates) => ({kind: "line", coordinates: coordinates}));
+		case "Point":
+			return [{kind: "point", coordinates: geometry.coordinates}];
+		case "MultiPoint":
+			return geometry.coordinates.map((coordinates) => ({kind: "point", coordinates: coordinates}));
+		case "GeometryCollection":
+			return geometry.geometries.flatMap((subGeometry) => this.getParts(subGeometry));
+		default:
+			return [];
+		}
+	}
+
+	/** Find the node type for a feature.
+	 * @param properties {Object} The feature properties.
+	 * @param kind {string} The kind of the feature's first geometry part.
+	 * @returns {NodeType}
+	 */
+	getNodeType(properties, kind) {
+		const registry = this.mapper.backend.nodeTypeRegistry;
+		const value = properties[this.options.typeProperty];
+		const typeId = (this.options.typeMap[value] !== undefined) ? this.options.typeMap[value] : value;
+		return registry.get(typeId) || registry.get(this.options.defaultTypes[kind]);
+	}
+
+	/** Find what a feature becomes in the map.
+	 * @param feature {Object} A GeoJSON feature, as checked by #getFeatures().
+	 * @returns {Object|null} An object with the keys parts (see #getParts()), properties, nodeType, and layer (the {Layer} the object goes onto), or null if the feature has no geometry to import.
+	 */
+	getTarget(feature) {
+		const parts = this.getParts(feature.geometry).filter((part) => part.coordinates.length > 0);
+		if(parts.length === 0) {
+			return null;
+		}
+
+		const properties = feature.properties || {};
+		const nodeType = this.getNodeType(properties, parts[0].kind);
+
+		// Only keep the layer of the feature if that node type can be placed on it.
+		const layerRegistry = this.mapper.backend.layerRegistry;
+		let layer = layerRegistry.get(properties.layer);
+		if(!layer || layer.getType() !== nodeType.getLayer()) {
+			layer = layerRegistry.get(nodeType.getLayer()) || layerRegistry.getDefault();
+		}
+
+		return {parts: parts, properties: properties, nodeType: nodeType, layer: layer};
+	}
+
+	/** Insert a feature as a new map object.
+	 * @param feature {Object} A GeoJSON feature, as checked by #getFeatures().
+	 * @param transaction {Object|undefined} The backend transaction to insert in, if the caller is inside one. See MapBackend#transaction().
+	 * @returns {NodeRef|null} The new object node, or null if the feature has no geometry to import.
+	 */
+	async insertFeature(feature, transaction) {
+		const target = this.getTarget(feature);
+		if(target === null) {
+			return null;
+		}
+		const {parts, properties, nodeType, layer} = target;
+
+		const z = (typeof properties.z === "number") ? this.mapper.metersToUnits(properties.z) : 0;
+		const toPoint = ([x, y]) => new Vector3(x * this.options.scale, (this.options.flipY ? -y : y) * this.options.scale, z);
+
+		const firstCoordinates = (parts[0].kind === "polygon") ? parts[0].coordinates[0][0] : (parts[0].kind === "line" ? parts[0].coordinates[0] : parts[0].coordinates);
+
+		const parent = await this.mapper.insertNode(toPoint(firstCoordinates), "object", {
+			type: nodeType,
+			radius: 0,
+			layer: layer,
+			transaction: transaction,
+		});
+
+		const insertChild = async (point, baseType, radius) => await this.mapper.insertNode(point, baseType, {
+			type: nodeType,
+			radius: radius,
+			parent: parent,
+			layer: layer,
+			transaction: transaction,
+		});
+
+		const placedNodes = [];
+
+		for(const part of parts) {
+			if(part.kind === "polygon") {
+				placedNodes.push(...await this.placeArea(part.coordinates.map((ring) => ring.map(toPoint)), insertChild, transaction));
+			}
+			else if(part.kind === "line") {
+				placedNodes.push(...await this.placeStroke(part.coordinates.map(toPoint), this.options.lineRadius, nodeType.isPath(), insertChild, transaction));
+			}
+			else {
+				placedNodes.push(...await this.placeStroke([toPoint(part.coordinates)], this.options.pointRadius, false, insertChild, transaction));
+			}
+		}
+
+		await this.finishNodes(parent, placedNodes, transaction);
+
+		const name = properties[this.options.nameProperty];
+		if(name !== undefined && name !== null) {
+			await parent.setPString("name", `${name}`, transaction);
+		}
+
+		return parent;
+	}
+
+	/** Place border points (and path nodes) along a line, the way a brush stroke does.
+	 * @returns {Array.<NodeRef>} The placed nodes.
+	 */
+	async placeStroke(vertices, radius, isPath, insertChild, transaction) {
+		const path = new Path(vertices[0]);
+		for(const vertex of vertices.slice(1)) {
+			path.next(vertex);
+		}
+		const points = Array.from(path.withBisectedLines(radius).vertices());
+
+		const placedNodes = [];
+		let lastBorders = [];
+		let lastPathNode;
+
+		for(let i = 0; i < points.length; i++) {
+			const where = points[i];
+
+			// Borders go across the direction of the line, and all around its ends.
+			let angles;
+			if(i === 0 || i === points.length - 1) {
+				angles = [0, Math.PI / 2];
+			}
+			else {
+				const dir = points[i + 1].subtract(points[i - 1]).normalize();
+				angles = [Math.atan2(-dir.y, dir.x) + Math.PI / 2];
+			}
+
+			const borders = [];
+			for(const angle of angles) {
+				const offset = new Vector3(Math.cos(angle), -Math.sin(angle), 0).multiplyScalar(radius);
+				borders.push(await insertChild(where.add(offset), "point", 0));
+				borders.push(await insertChild(where.subtract(offset), "point", 0));
+			}
+
+			for(let a = 0; a < borders.length; a++) {
+				for(let b = a + 1; b < borders.length; b++) {
+					await this.mapper.backend.createEdge(borders[a].id, borders[b].id, transaction);
+				}
+				for(const lastBorder of lastBorders) {
+					await this.mapper.backend.createEdge(borders[a].id, lastBorder.id, transaction);
+				}
+			}
+
+			placedNodes.push(...borders);
+			lastBorders = borders;
+
+			if(isPath) {
+				const pathNode = await insertChild(where, "path", radius);
+				if(lastPathNode) {
+					await this.mapper.backend.createEdge(pathNode.id, lastPathNode.id, transaction);
+				}
+				placedNodes.push(pathNode);
+				lastPathNode = pathNode;
+			}
+		}
+
+		return placedNodes;
+	}
+
+	/** Fill a polygon with a grid of connected border points.
+	 * @param rings {Array.<Array.<Vector3>>} The outer ring followed by any holes.
+	 * @returns {Array.<NodeRef>} The placed nodes.
+	 */
+	async placeArea(rings, insertChild, transaction) {
+		const contains = (ring, point) => {
+			let inside = false;
+			for(let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+				const pi = ring[i];
+				const pj = ring[j];
+				if((pi.y > point.y) !== (pj.y > point.y) && point.x < (pj.x - pi.x) * (point.y - pi.y) / (pj.y - pi.y) + pi.x) {
+					inside = !inside;
+				}
+			}
+			return inside;
+		};
+
+		const [outer, ...holes] = rings;
+		const inArea = (point) => contains(outer, point) && !holes.some((hole) => contains(hole, point));
+
+		let a = outer[0];
+		let b = outer[0];
+		for(const point of outer) {
+			a = Vector3.min(a, point);
+			b = Vector3.max(b, point);
+		}
+		const size = b.subtract(a);
+
+		const spacing = Math.max(this.options.areaSpacing, Math.sqrt(size.x * size.y / this.options.maxAreaPoints));
+
+		const grid = new Map();
+		const placedNodes = [];
+
+		for(let x = 0; x * spacing < size.x; x++) {
+			for(let y = 0; y * spacing < size.y; y++) {
+				const point = new Vector3(a.x + (x + 0.5) * spacing, a.y + (y + 0.5) * spacing, a.z);
+				if(inArea(point)) {
+					// Points without neighbors keep this radius.
+					const nodeRef = await insertChild(point, "point", spacing / 2);
+					grid.set(`${x},${y}`, nodeRef);
+					placedNodes.push(nodeRef);
+
+					for(const neighbor of [grid.get(`${x - 1},${y}`), grid.get(`${x},${y - 1}`)]) {
+						if(neighbor) {
+							await this.mapper.backend.createEdge(nodeRef.id, neighbor.id, transaction);
+						}
+					}
+				}
+			}
+		}
+
+		// Polygons too small for the grid become a single small object.
+		if(placedNodes.length === 0) {
+			return await this.placeStroke([a.add(b).divideScalar(2)], Math.max(size.x, size.y, spacing) / 2, false, insertChild, transaction);
+		}
+
+		return placedNodes;
+	}
+
+	/** Calculate the effective centers and radii of placed nodes from their neighbors, like DrawPathAction does, and grow the parent to fit. */
+	async finishNodes(parent, placedNodes, transaction) {
+		for(const nodeRef of placedNodes) {
+			const points = await asyncFrom(nodeRef.getSelfAndNeighbors(), async (otherNodeRef) => await otherNodeRef.getCenter());
+			if(points.length > 1) {
+				const center = points.reduce((sum, point) => sum.add(point), Vector3.ZERO).divideScalar(points.length);
+				const radius = Math.max(...points.map((point) => point.subtract(center).length()));
+
+				await nodeRef.setEffectiveCenter(center, transaction);
+				await nodeRef.setRadius(radius, transaction);
+			}
+
+			await parent.setRadius(Math.max(await parent.getRadius(), await nodeRef.getRadius()), transaction);
+		}
+
+		await this.mapper.hooks.call("updateNode", parent);
+	}
+}
+
+/** Escape text for use in XML content and attribute values.
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeXml(text) {
+	return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/** Exports part of a map as an [SVG](https://developer.mozilla.org/en-US/docs/Web/SVG) vector image, drawn directly from the node graph.
+ * The image uses map units as its coordinate system, so it stays sharp at any size and can be edited in vector tools.
+ * Layers are drawn as the map is rendered: terrain areas are filled with their tile patterns,
+ * political and annotation regions get border strokes, paths become lines, explicit objects become icons, and named objects get labels.
+ */
+class SvgExporter {
+	/** Options may have keys:
+	 * - pixelsPerUnit: the size in pixels of one map unit in the exported image, which also decides the size of tile patterns, icons, strokes, and labels relative to the map
+	 * - labels: whether to draw object names
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			pixelsPerUnit: 1,
+			labels: true,
+		}, options);
+	}
+
+	/** Export part of the map.
+	 * @param box {Box3} The area of the map to export, in map units.
+	 * @returns {string} The SVG document.
+	 */
+	async export(box) {
+		this.box = box.normalize().map(v => v.noZ());
+		this.defs = [];
+		this.patternIds = new Map();
+		this.iconIds = new Map();
+
+		const body = [];
+		const labels = [];
+
+		const searchBox = new Box3(this.box.a.add(new Vector3(0, 0, -Infinity)), this.box.b.add(new Vector3(0, 0, Infinity)));
+		const nodeRefs = await asyncFrom(this.mapper.getObjectNodesTouchingArea(searchBox, 0));
+
+		// Draw objects in the same order as the map renderer: layer by layer, then by altitude.
+		const filters = [];
+		for(const layer of this.mapper.backend.layerRegistry.getLayers()) {
+			if(!layer.isVisible()) {
+				continue;
+			}
+
+			if(layer.getType() === "geographical") {
+				filters.push({layer: layer, scale: "terrain"});
+				filters.push({layer: layer, scale: "explicit"});
+			}
+			else {
+				filters.push({layer: layer});
+			}
+		}
+
+		for(const filter of filters) {
+			const objects = [];
+			for(const nodeRef of nodeRefs) {
+				if((await nodeRef.getLayer()).id === filter.layer.id && (filter.scale === undefined || (await nodeRef.getType()).getScale() === filter.scale)) {
+					objects.push({nodeRef: nodeRef, z: (await nodeRef.getCenter()).z});
+				}
+			}
+			objects.sort((a, b) => a.z - b.z);
+
+			const elements = [];
+			for(const object of objects) {
+				const element = await this.exportObject(object.nodeRef, filter.layer);
+				if(element) {
+					elements.push(element);
+
+					const label = this.options.labels ? await this.exportLabel(object.nodeRef) : null;
+					if(label) {
+						labels.push(label);
+					}
+				}
+			}
+
+			if(elements.length > 0) {
+				const opacity = filter.layer.getOpacity();
+				body.push(`<g data-layer="${escapeXml(filter.layer.id)}"${(opacity < 1) ? ` opacity="${opacity}"` : ""}>`, ...elements, "</g>");
+			}
+		}
+
+		if(labels.length > 0) {
+			body.push("<g font-family=\"serif\" fill=\"white\" stroke=\"black\" stroke-opacity=\"0.5\" paint-order=\"stroke\" text-anchor=\"middle\" dominant-baseline=\"middle\">", ...labels, "</g>");
+		}
+
+		const size = this.box.size();
+
+		return [
+			"<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+			`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${this.number(size.x * this.options.pixelsPerUnit)}" height="${this.number(size.y * this.options.pixelsPerUnit)}" viewBox="${this.number(this.box.a.x)} ${this.number(this.box.a.y)} ${this.number(size.x)} ${this.number(size.y)}">`,
+			"<defs>",
+			...this.defs,
+			"</defs>",
+			...body,
+			"</svg>",
+		].join("\n");
+	}
+
+	/** Export one object node.
+	 * @param nodeRef {NodeRef}
+	 * @param layer {Layer} The layer of the object.
+	 * @returns {string|null} The SVG element for the object, or null if it would not be drawn.
+	 */
+	async exportObject(nodeRef, layer) {
+		if(await nodeRef.getRadius() * this.options.pixelsPerUnit < 1) {
+			return null;
+		}
+
+		const nodeType = await nodeRef.getType();
+		const parts = await asyncFrom(nodeRef.getChildren(), async (childNodeRef) => ({
+			nodeRef: childNodeRef,
+			point: await childNodeRef.getEffectiveCenter(),
+			radius: await childNodeRef.getRadius(),
+		}));
+
+		const elements = [];
+
+		if(layer.getDrawType() === "area") {
+			if(nodeType.getScale() === "terrain") {
+				const circles = parts.filter((part) => part.radius * this.options.pixelsPerUnit >= 1).map((part) => this.circle(part.point, part.radius));
+				if(circles.length > 0) {
+					elements.push(`<g fill="${await this.getFill(nodeType)}">`, ...circles, "</g>");
+				}
+
+				if(nodeType.isPath()) {
+					elements.push(await this.exportPathLines(nodeType, parts));
+				}
+			}
+			else {
+				// Explicit objects are never drawn smaller than a tile.
+				const minimumRadius = tileSize / this.options.pixelsPerUnit;
+				const iconId = await this.getIconId(nodeType);
+				for(const part of parts) {
+					const radius = Math.max(part.radius, minimumRadius);
+					if(iconId) {
+						elements.push(`<use xlink:href="#${iconId}" x="${this.number(part.point.x - radius)}" y="${this.number(part.point.y - radius)}" width="${this.number(radius * 2)}" height="${this.number(radius * 2)}"/>`);
+					}
+					else {
+						elements.push(this.circle(part.point, radius, `fill="${escapeXml(nodeType.getColor())}"`));
+					}
+				}
+			}
+		}
+		else if(nodeType.isPath()) {
+			elements.push(await this.exportPathLines(nodeType, parts));
+		}
+		else {
+			elements.push(this.exportBorder(nodeRef, nodeType, parts));
+		}
+
+		const content = elements.filter((element) => element);
+		if(content.length === 0) {
+			return null;
+		}
+
+		return [`<g id="node-${nodeRef.id}" data-type="${escapeXml(nodeType.id)}">`, ...content, "</g>"].join("\n");
+	}
+
+	/** Export the lines connecting the path nodes of a path object. */
+	async exportPathLines(nodeType, parts) {
+		const partsById = new Map(parts.map((part) => [part.nodeRef.id, part]));
+		const foundEdges = new Set();
+		const lines = [];
+
+		for(const part of parts) {
+			if(await part.nodeRef.getNodeType() === "path") {
+				for await (const dirEdgeRef of part.nodeRef.getEdges()) {
+					const otherNodeRef = await dirEdgeRef.getDirOtherNode();
+					const otherPart = partsById.get(otherNodeRef.id);
+					const k = part.nodeRef.id < otherNodeRef.id ? (part.nodeRef.id + "," + otherNodeRef.id) : (otherNodeRef.id + "," + part.nodeRef.id);
+					if(otherPart && !foundEdges.has(k)) {
+						foundEdges.add(k);
+						lines.push(`M${this.number(part.point.x)} ${this.number(part.point.y)}L${this.number(otherPart.point.x)} ${this.number(otherPart.point.y)}`);
+					}
+				}
+			}
+		}
+
+		if(lines.length === 0) {
+			return null;
+		}
+
+		return `<path d="${lines.join("")}" fill="none" stroke="${escapeXml(nodeType.getColor())}" stroke-width="1" stroke-linecap="round" vector-effect="non-scaling-stroke"/>`;
+	}
+
+	/** Export the outline of a political or annotation region.
+	 * Like the map renderer, each border circle is only stroked where it is not inside another circle of the same object.
+	 * Every circle masks out its inside, but stops a pixel short of its own outline.
+	 */
+	exportBorder(nodeRef, nodeType, parts) {
+		if(parts.length === 0) {
+			return null;
+		}
+
+		const onePixel = 1 / this.options.pixelsPerUnit;
+		const maskId = `mapper1024_border_${nodeRef.id}`;
+		const size = this.box.size();
+		const bounds = `x="${this.number(this.box.a.x)}" y="${this.number(this.box.a.y)}" width="${this.number(size.x)}" height="${this.number(size.y)}"`;
+
+		this.defs.push(
+			`<mask id="${maskId}" maskUnits="userSpaceOnUse" ${bounds}>`,
+			`<rect ${bounds} fill="white"/>`,
+			...parts.map((part) => this.circle(part.point, Math.max(part.radius - onePixel, 0), "fill=\"black\"")),
+			"</mask>",
+		);
+
+		return [
+			`<g fill="none" stroke="${escapeXml(nodeType.getColor())}" stroke-width="1" mask="url(#${maskId})">`,
+			...parts.map((part) => this.circle(part.point, part.radius, "vector-effect=\"non-scaling-stroke\"")),
+			"</g>",
+		].join("\n");
+	}
+
+	/** Export the name of an object as a label at the middle of its children, sized as in the map renderer.
+	 * @param nodeRef {NodeRef}
+	 * @returns {string|null} The SVG text element, or null if the object has no name.
+	 */
+	async exportLabel(nodeRef) {
+		const name = await nodeRef.getPString("name");
+		if(!name) {
+			return null;
+		}
+
+		let sum = Vector3.ZERO;
+		let count = 0;
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			sum = sum.add(await childNodeRef.getEffectiveCenter());
+			count++;
+		}
+
+		const center = (count > 0) ? sum.divideScalar(count) : await nodeRef.getCenter();
+		if(!this.box.collides(new Box3(center, center).map(v => v.noZ()))) {
+			return null;
+		}
+
+		const fontSize = Math.min(24, Math.ceil(await nodeRef.getRadius() * this.options.pixelsPerUnit / 4)) / this.options.pixelsPerUnit;
+
+		return `<text x="${this.number(center.x)}" y="${this.number(center.y)}" font-size="${this.number(fontSize)}" stroke-width="${this.number(fontSize / 8)}">${escapeXml(name)}</text>`;
+	}
+
+	/** Get the fill of a terrain node type: a tile pattern if images can be drawn here, or otherwise the node type's color.
+	 * @param nodeType {NodeType}
+	 * @returns {string} An SVG paint value.
+	 */
+	async getFill(nodeType) {
+		if(typeof document === "undefined") {
+			return escapeXml(nodeType.getColor());
+		}
+
+		let patternId = this.patternIds.get(nodeType.id);
+		if(patternId === undefined) {
+			patternId = `mapper1024_pattern_${this.patternIds.size}`;
+			this.patternIds.set(nodeType.id, patternId);
+
+			const image = await NodeRender.createNodeTypePatternImage(nodeType);
+			const size = image.width / this.options.pixelsPerUnit;
+			this.defs.push(
+				`<pattern id="${patternId}" patternUnits="userSpaceOnUse" width="${this.number(size)}" height="${this.number(size)}">`,
+				`<image xlink:href="${image.toDataURL()}" width="${this.number(size)}" height="${this.number(size)}" preserveAspectRatio="none" style="image-rendering: pixelated"/>`,
+				"</pattern>",
+			);
+		}
+
+		return `url(#${patternId})`;
+	}
+
+	/** Get the ID of the icon of an explicit node type, adding it to the image if needed.
+	 * @param nodeType {NodeType}
+	 * @returns {string|null} The ID of an SVG symbol, or null if the node type has no image to use.
+	 */
+	async getIconId(nodeType) {
+		if(typeof document === "undefined") {
+			return null;
+		}
+
+		let iconId = this.iconIds.get(nodeType.id);
+		if(iconId === undefined) {
+			iconId = null;
+
+			const imageName = await nodeType.getImageName();
+			const [image] = imageName ? await NodeRender.getTileImages(nodeType.registry, [imageName]) : [];
+			if(image) {
+				const canvas = document.createElement("canvas");
+				canvas.width = image.naturalWidth || image.width;
+				canvas.height = image.naturalHeight || image.height;
+				canvas.getContext("2d").drawImage(image, 0, 0);
+
+				iconId = `mapper1024_icon_${this.iconIds.size}`;
+				this.defs.push(
+					`<symbol id="${iconId}" viewBox="0 0 ${canvas.width} ${canvas.height}" preserveAspectRatio="none">`,
+					`<image xlink:href="${canvas.toDataURL()}" width="${canvas.width}" height="${canvas.height}"/>`,
+					"</symbol>",
+				);
+			}
+
+			this.iconIds.set(nodeType.id, iconId);
+		}
+
+		return iconId;
+	}
+
+	circle(point, radius, attributes) {
+		return `<circle cx="${this.number(point.x)}" cy="${this.number(point.y)}" r="${this.number(radius)}"${attributes ? " " + attributes : ""}/>`;
+	}
+
+	/** Format a number for the SVG document, without needless precision. */
+	number(n) {
+		return Math.round(n * 1000) / 1000;
+	}
+}
+
+/** Get the part of a drawn node at a point in a layer: the most recently drawn part whose circle contains the point.
+ * Parts are the circles that nodes are drawn from, as objects with (at least) layer {Layer}, absolutePoint {Vector3}, and radius {number} keys.
+ * @param parts {Array.<part>} The parts that may contain the point, in the order they were drawn.
+ * @param absolutePoint {Vector3}
+ * @param layer {Layer}
+ * @returns {part|null}
+ */
+function getDrawnNodePartAtPoint(parts, absolutePoint, layer) {
+	// For each part in order of most recently rendered first
+	for(let i = parts.length - 1; i >= 0; i--) {
+		const part = parts[i];
+		// If this part is of a matching layer
+		if(layer.id === part.layer.id) {
+			// And if this part contains the target point
+			if(part.absolutePoint.subtract(absolutePoint).length() < part.radius) {
+				// Return this part.
+				return part;
+			}
+		}
+	}
+	return null;
+}
+
+/** Exports part of a map as a [Tiled](https://www.mapeditor.org/) tilemap in Tiled's JSON map format, for use in game engines.
+ * The terrain is sampled on a grid of tileSize pixels: each tile gets the node type of the topmost object covering the tile's center,
+ * picked with the same getDrawnNodePartAtPoint() as the map renderer uses for the node drawn at a tile.
+ * Each map layer becomes a tile layer; explicit objects and the names of objects become object layers.
+ * Each node type in the export becomes a tile of a generated tileset, showing the node type's color or tiles.
+ */
+class TiledExporter {
+	/** Options may have keys:
+	 * - pixelsPerUnit: the size in pixels of one map unit in the tilemap; each tile covers tileSize pixels
+	 * - tilesetImageName: the file name that the tileset image will be saved as, relative to the tilemap
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			pixelsPerUnit: 1,
+			tilesetImageName: "tileset.png",
+		}, options);
+	}
+
+	/** Export part of the map.
+	 * @param box {Box3} The area of the map to export, in map units.
+	 * @returns {Object} An object with keys "map", the tilemap as a Tiled JSON map object, and "tilesetImage", the canvas of the tileset image to save alongside it (or null if images cannot be drawn here or the tilemap has no tiles).
+	 */
+	async export(box) {
+		box = box.normalize();
+
+		const tileUnits = tileSize / this.options.pixelsPerUnit;
+		const width = Math.max(1, Math.ceil((box.b.x - box.a.x) / tileUnits));
+		const height = Math.max(1, Math.ceil((box.b.y - box.a.y) / tileUnits));
+
+		this.box = box;
+		this.nodeTypeGids = new Map();
+		this.nextObjectId = 1;
+
+		const searchBox = new Box3(new Vector3(box.a.x, box.a.y, -Infinity), new Vector3(box.b.x, box.b.y, Infinity));
+		const nodeRefs = await asyncFrom(this.mapper.getObjectNodesTouchingArea(searchBox, 0));
+
+		const tiledLayers = [];
+		const labels = [];
+
+		for(const layer of this.mapper.backend.layerRegistry.getLayers()) {
+			const objects = [];
+			for(const nodeRef of nodeRefs) {
+				if((await nodeRef.getLayer()).id === layer.id) {
+					objects.push({nodeRef: nodeRef, nodeType: await nodeRef.getType(), z: (await nodeRef.getCenter()).z});
+				}
+			}
+			// Like the map renderer, draw terrain before explicit objects and lower objects first.
+			objects.sort((a, b) => ((a.nodeType.getScale() === "explicit") - (b.nodeType.getScale() === "explicit")) || (a.z - b.z));
+
+			const data = new Array(width * height).fill(0);
+			// The parts of terrain objects that may cover each tile, in drawing order.
+			const tileParts = new Array(width * height);
+			const explicitObjects = [];
+
+			for(const {nodeRef, nodeType} of objects) {
+				const name = await nodeRef.getPString("name");
+				if(name) {
+					const label = await this.exportLabel(nodeRef, nodeType, name);
+					if(label) {
+						labels.push(label);
+					}
+				}
+
+				if(nodeType.getScale() === "explicit") {
+					for await (const childNodeRef of nodeRef.getChildren()) {
+						const object = await this.exportExplicitObject(childNodeRef, nodeType, name);
+						if(object) {
+							explicitObjects.push(object);
+						}
+					}
+				}
+				else {
+					await this.addTileParts(tileParts, width, height, nodeRef, nodeType, layer);
+				}
+			}
+
+			for(let y = 0; y < height; y++) {
+				for(let x = 0; x < width; x++) {
+					const parts = tileParts[y * width + x];
+					if(parts !== undefined) {
+						const part = getDrawnNodePartAtPoint(parts, new Vector3((x + 0.5) * tileSize, (y + 0.5) * tileSize, 0), layer);
+						if(part) {
+							data[y * width + x] = this.getGid(part.nodeType);
+						}
+					}
+				}
+			}
 
-		this.db.run("BEGIN EXCLUSIVE TRANSACTION");
+			tiledLayers.push({
+				id: tiledLayers.length + 1,
+				name: layer.getDescription(),
+				type: "tilelayer",
+				x: 0,
+				y: 0,
+				width: width,
+				height: height,
+				opacity: layer.getOpacity(),
+				visible: layer.isVisible(),
+				properties: [{name: "layer", type: "string", value: layer.id}],
+				data: data,
+			});
 
-		for(const table of ["entity", "property", "node", "edge", "node_edge"]) {
-			const statement = this.db.prepare(`SELECT * FROM ${table}`);
-			const placeholders = statement.getColumnNames().map(() => "?");
-			const sql = `INSERT INTO ${table} VALUES (${placeholders.join(", ")})`;
-			while(statement.step()) {
-				clone.db.run(sql, statement.get());
+			if(explicitObjects.length > 0) {
+				tiledLayers.push({
+					id: tiledLayers.length + 1,
+					name: `${layer.getDescription()} objects`,
+					type: "objectgroup",
+					x: 0,
+					y: 0,
+					opacity: layer.getOpacity(),
+					visible: layer.isVisible(),
+					draworder: "topdown",
+					properties: [{name: "layer", type: "string", value: layer.id}],
+					objects: explicitObjects,
+				});
 			}
 		}
 
-		this.db.run("COMMIT");
+		if(labels.length > 0) {
+			tiledLayers.push({
+				id: tiledLayers.length + 1,
+				name: "Names",
+				type: "objectgroup",
+				x: 0,
+				y: 0,
+				opacity: 1,
+				visible: true,
+				draworder: "topdown",
+				objects: labels,
+			});
+		}
 
-		return clone.db.export();
-	}
+		const nodeTypes = Array.from(this.nodeTypeGids.keys());
 
-	baseCreateEntity(type) {
-		this.s_createEntity.run({$type: type});
-		return this.db.exec("SELECT last_insert_rowid()")[0].values[0][0];
+		return {
+			map: {
+				type: "map",
+				version: "1.10",
+				orientation: "orthogonal",
+				renderorder: "right-down",
+				infinite: false,
+				width: width,
+				height: height,
+				tilewidth: tileSize,
+				tileheight: tileSize,
+				nextlayerid: tiledLayers.length + 1,
+				nextobjectid: this.nextObjectId,
+				properties: [
+					{name: "metersPerTile", type: "float", value: this.mapper.unitsToMeters(tileUnits)},
+				],
+				layers: tiledLayers,
+				// Tiled cannot load a tileset without tiles, so leave it out if no tiles are used.
+				tilesets: (nodeTypes.length === 0) ? [] : [{
+					firstgid: 1,
+					name: "Mapper1024 node types",
+					tilewidth: tileSize,
+					tileheight: tileSize,
+					tilecount: nodeTypes.length,
+					columns: nodeTypes.length,
+					margin: 0,
+					spacing: 0,
+					image: this.options.tilesetImageName,
+					imagewidth: tileSize * nodeTypes.length,
+					imageheight: tileSize,
+					tiles: nodeTypes.map((nodeType, i) => ({
+						id: i,
+						// Tiled 1.9 reads the class of tiles and objects from "class", other versions from "type".
+						class: nodeType.id,
+						type: nodeType.id,
+						properties: [{name: "nodeType", type: "string", value: nodeType.id}],
+					})),
+				}],
+			},
+			tilesetImage: (nodeTypes.length === 0) ? null : await this.createTilesetImage(nodeTypes),
+		};
 	}
 
-	async entityExists(entityId) {
-		return this.s_entityExists.get({$entityId: entityId}).length > 0;
+	/** Get the tile ID of a node type in the tilemap, adding it to the tileset if needed.
+	 * @param nodeType {NodeType}
+	 * @returns {number}
+	 */
+	getGid(nodeType) {
+		let gid = this.nodeTypeGids.get(nodeType);
+		if(gid === undefined) {
+			gid = this.nodeTypeGids.size + 1;
+			this.nodeTypeGids.set(nodeType, gid);
+		}
+		return gid;
 	}
 
-	async entityValid(entityId) {
-		return this.s_entityValid.get({$entityId: entityId}).length > 0;
+	/** Convert a point on the map to a pixel position in the tilemap.
+	 * @param point {Vector3}
+	 * @returns {Vector3}
+	 */
+	toTiledPoint(point) {
+		return point.subtract(this.box.a).multiplyScalar(this.options.pixelsPerUnit).noZ();
 	}
 
-	async createEntity(type) {
-		return this.getEntityRef(this.baseCreateEntity(type));
-	}
+	/** Add the parts of an object, one per child like in the map renderer, to the tiles they overlap. The parts are drawn over those added before. */
+	async addTileParts(tileParts, width, height, nodeRef, nodeType, layer) {
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			const part = {
+				nodeRef: childNodeRef,
+				nodeType: nodeType,
+				layer: layer,
+				absolutePoint: this.toTiledPoint(await childNodeRef.getEffectiveCenter()),
+				radius: await childNodeRef.getRadius() * this.options.pixelsPerUnit,
+			};
 
-	async createNode(parentId, nodeType) {
-		const nodeRef = this.getNodeRef(this.baseCreateNode(parentId, nodeType));
-		await nodeRef.create();
-		return nodeRef;
-	}
+			const minX = Math.max(0, Math.floor((part.absolutePoint.x - part.radius) / tileSize));
+			const maxX = Math.min(width - 1, Math.floor((part.absolutePoint.x + part.radius) / tileSize));
+			const minY = Math.max(0, Math.floor((part.absolutePoint.y - part.radius) / tileSize));
+			const maxY = Math.min(height - 1, Math.floor((part.absolutePoint.y + part.radius) / tileSize));
 
-	async createEdge(nodeAId, nodeBId) {
-		const edgeRef = this.getEdgeRef(this.baseCreateEdge(nodeAId, nodeBId));
-		await edgeRef.create();
-		return edgeRef;
+			for(let y = minY; y <= maxY; y++) {
+				for(let x = minX; x <= maxX; x++) {
+					const i = y * width + x;
+					if(tileParts[i] === undefined) {
+						tileParts[i] = [];
+					}
+					tileParts[i].push(part);
+				}
+			}
+		}
 	}
 
-	async getNodeType(nodeId) {
-		const row = this.s_getNodeType.get({$nodeId: nodeId});
-		return (row.length > 0 && row[0]) ? row[0] : null;
-	}
+	/** Export one child of an explicit object as an ellipse object.
+	 * @returns {Object|null} The Tiled object, or null if it lies outside the exported area.
+	 */
+	async exportExplicitObject(childNodeRef, nodeType, name) {
+		const center = this.toTiledPoint(await childNodeRef.getEffectiveCenter());
+		// Explicit objects are never drawn smaller than a tile.
+		const radius = Math.max(await childNodeRef.getRadius() * this.options.pixelsPerUnit, tileSize);
+		const size = this.box.size().multiplyScalar(this.options.pixelsPerUnit);
 
-	async getNodeParent(nodeId) {
-		const row = this.s_getNodeParent.get({$nodeId: nodeId});
-		return (row.length > 0 && row[0]) ? this.getNodeRef(row[0]) : null;
-	}
+		if(center.x + radius < 0 || center.y + radius < 0 || center.x - radius > size.x || center.y - radius > size.y) {
+			return null;
+		}
 
-	async setNodeParent(nodeId, parentId) {
-		this.s_setNodeParent.run({$entityId: nodeId, $parentId: parentId});
+		return {
+			id: this.nextObjectId++,
+			name: name || "",
+			class: nodeType.id,
+			type: nodeType.id,
+			x: center.x - radius,
+			y: center.y - radius,
+			width: radius * 2,
+			height: radius * 2,
+			rotation: 0,
+			visible: true,
+			ellipse: true,
+			properties: [{name: "node", type: "int", value: childNodeRef.id}],
+		};
 	}
 
-	async * getNodeChildren(nodeId) {
-		this.s_getNodeChildren.bind({$nodeId: nodeId});
-		while(this.s_getNodeChildren.step()) {
-			yield this.getNodeRef(this.s_getNodeChildren.get()[0]);
+	/** Export the name of an object as a point object at the middle of its children, where the map renderer puts its label.
+	 * @returns {Object|null} The Tiled object, or null if the label lies outside the exported area.
+	 */
+	async exportLabel(nodeRef, nodeType, name) {
+		let sum = Vector3.ZERO;
+		let count = 0;
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			sum = sum.add(await childNodeRef.getEffectiveCenter());
+			count++;
 		}
-	}
 
-	async removeEntity(entityId) {
-		this.s_invalidateEntity.run({$entityId: entityId});
-	}
+		const point = this.toTiledPoint((count > 0) ? sum.divideScalar(count) : await nodeRef.getCenter());
+		const size = this.box.size().multiplyScalar(this.options.pixelsPerUnit);
 
-	async unremoveEntity(entityId) {
-		this.s_validateEntity.run({$entityId: entityId});
-	}
+		if(point.x < 0 || point.y < 0 || point.x > size.x || point.y > size.y) {
+			return null;
+		}
 
-	async getPNumber(entityId, propertyName) {
-		return this.s_gpn.get({
-			$entityId: entityId,
-			$property: propertyName,
-		})[0];
+		return {
+			id: this.nextObjectId++,
+			name: name,
+			class: nodeType.id,
+			type: nodeType.id,
+			x: point.x,
+			y: point.y,
+			width: 0,
+			height: 0,
+			rotation: 0,
+			visible: true,
+			point: true,
+			properties: [{name: "node", type: "int", value: nodeRef.id}],
+		};
 	}
 
-	async setPNumber(entityId, propertyName, value) {
-		return this.s_spn.run({
-			$entityId: entityId,
-			$property: propertyName,
-			$value: value,
-		});
-	}
+	/** Draw the tileset image: one tile per node type, in tile ID order.
+	 * @param nodeTypes {Array.<NodeType>}
+	 * @returns {HTMLCanvasElement|null} The image, or null if images cannot be drawn here.
+	 */
+	async createTilesetImage(nodeTypes) {
+		if(typeof document === "undefined") {
+			return null;
+		}
 
-	async getPVector3(entityId, propertyName) {
-		const row = this.s_gpv3.get({
-			$entityId: entityId,
-			$property: propertyName,
-		});
-		return new Vector3(row[0], row[1], row[2]);
-	}
+		const canvas = document.createElement("canvas");
+		canvas.width = Math.max(1, tileSize * nodeTypes.length);
+		canvas.height = tileSize;
 
-	async setPVector3(entityId, propertyName, vector3) {
-		return this.s_spv3.run({
-			$entityId: entityId,
-			$property: propertyName,
-			$x: vector3.x,
-			$y: vector3.y,
-			$z: vector3.z,
-		});
-	}
+		const c = canvas.getContext("2d");
 
-	async getPString(entityId, propertyName) {
-		const row = this.s_gps.get({
-			$entityId: entityId,
-			$property: propertyName,
-		});
-		return row.length === 0 ? undefined : row[0];
-	}
+		for(let i = 0; i < nodeTypes.length; i++) {
+			const pattern = await NodeRender.createNodeTypePatternImage(nodeTypes[i]);
+			c.drawImage(pattern, 0, 0, tileSize, tileSize, i * tileSize, 0, tileSize, tileSize);
+		}
 
-	async setPString(entityId, propertyName, value) {
-		return this.s_sps.run({
-			$entityId: entityId,
-			$property: propertyName,
-			$value: value,
-		});
+		return canvas;
 	}
+}
 
-	async * getNodesTouchingArea(box, minRadius) {
-		this.s_getNodesTouchingArea.bind({$ax: box.a.x, $ay: box.a.y, $az: box.a.z, $bx: box.b.x, $by: box.b.y, $bz: box.b.z, $minRadius: minRadius});
-		while(this.s_getNodesTouchingArea.step()) {
-			yield this.getNodeRef(this.s_getNodesTouchingArea.get()[0]);
-		}
+/** Exports the altitudes of part of a map as a heightmap, for terrain generators and 3D tools.
+ * The map is sampled on a grid; each sample takes its altitude from the topmost object at that point in one layer,
+ * interpolated between the object's nodes covering the sample so that slopes between stacked objects stay smooth.
+ * Samples not covered by any object have altitude zero.
+ */
+class HeightmapExporter {
+	/** Options may have keys:
+	 * - pixelsPerUnit: the number of samples per map unit in each direction
+	 * - layer: the ID of the layer to take altitudes from, or null for the default (geographical) layer
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			pixelsPerUnit: 1,
+			layer: null,
+		}, options);
 	}
 
-	async * getObjectNodesTouchingArea(box, minRadius) {
-		this.s_getObjectNodesTouchingArea.bind({$ax: box.a.x, $ay: box.a.y, $az: box.a.z, $bx: box.b.x, $by: box.b.y, $bz: box.b.z, $minRadius: minRadius});
-		while(this.s_getObjectNodesTouchingArea.step()) {
-			yield this.getNodeRef(this.s_getObjectNodesTouchingArea.get()[0]);
+	/** Sample the altitudes of part of the map.
+	 * @param box {Box3} The area of the map to export, in map units.
+	 * @returns {Object} The heightmap, an object with keys "width" and "height" (in samples), "data" (a Float32Array of altitudes in meters, row by row from the top left), and "min" and "max" (the lowest and highest altitudes).
+	 */
+	async export(box) {
+		box = box.normalize();
+
+		const layerRegistry = this.mapper.backend.layerRegistry;
+		const layer = (this.options.layer !== null) ? layerRegistry.get(this.options.layer) : layerRegistry.getDefault();
+
+		const width = Math.max(1, Math.ceil((box.b.x - box.a.x) * this.options.pixelsPerUnit));
+		const height = Math.max(1, Math.ceil((box.b.y - box.a.y) * this.options.pixelsPerUnit));
+		const sampleUnits = 1 / this.options.pixelsPerUnit;
+
+		// For each sample, the object drawn on top, and the weighted altitudes of its nodes covering the sample.
+		const owners = new Int32Array(width * height).fill(-1);
+		const weightedZ = new Float64Array(width * height);
+		const weights = new Float64Array(width * height);
+
+		const searchBox = new Box3(new Vector3(box.a.x, box.a.y, -Infinity), new Vector3(box.b.x, box.b.y, Infinity));
+		const objects = [];
+		for await (const nodeRef of this.mapper.getObjectNodesTouchingArea(searchBox, 0)) {
+			if((await nodeRef.getLayer()).id === layer.id) {
+				objects.push({nodeRef: nodeRef, z: (await nodeRef.getCenter()).z});
+			}
+		}
+		// Objects are drawn from lowest to highest, so later objects cover earlier ones.
+		objects.sort((a, b) => a.z - b.z);
+
+		for(let objectIndex = 0; objectIndex < objects.length; objectIndex++) {
+			for await (const childNodeRef of objects[objectIndex].nodeRef.getChildren()) {
+				const center = (await childNodeRef.getEffectiveCenter()).subtract(box.a).divideScalar(sampleUnits);
+				const radius = await childNodeRef.getRadius() / sampleUnits;
+				const z = (await childNodeRef.getCenter()).z;
+
+				const minX = Math.max(0, Math.floor(center.x - radius));
+				const maxX = Math.min(width - 1, Math.floor(center.x + radius));
+				const minY = Math.max(0, Math.floor(center.y - radius));
+				const maxY = Math.min(height - 1, Math.floor(center.y + radius));
+
+				for(let y = minY; y <= maxY; y++) {
+					for(let x = minX; x <= maxX; x++) {
+						const distance = Math.hypot(x + 0.5 - center.x, y + 0.5 - center.y);
+						if(distance < radius) {
+							const i = y * width + x;
+							if(owners[i] !== objectIndex) {
+								owners[i] = objectIndex;
+								weightedZ[i] = 0;
+								weights[i] = 0;
+							}
+
+							// Nodes count more towards their centers.
+							const weight = 1 - distance / radius;
+							weightedZ[i] += z * weight;
+							weights[i] += weight;
+						}
+					}
+				}
+			}
 		}
-	}
 
-	async * getNodeEdges(nodeId) {
-		this.s_getNodeEdges.bind({$nodeId: nodeId});
-		while(this.s_getNodeEdges.step()) {
-			yield this.getDirEdgeRef(this.s_getNodeEdges.get()[0], nodeId);
+		const data = new Float32Array(width * height);
+		let min = Infinity;
+		let max = -Infinity;
+		for(let i = 0; i < data.length; i++) {
+			data[i] = (weights[i] > 0) ? this.mapper.unitsToMeters(weightedZ[i] / weights[i]) : 0;
+			min = Math.min(min, data[i]);
+			max = Math.max(max, data[i]);
 		}
+
+		return {
+			width: width,
+			height: height,
+			data: data,
+			min: min,
+			max: max,
+		};
 	}
 
-	async * getEdgeNodes(edgeId) {
-		this.s_getEdgeNodes.bind({$edgeId: edgeId});
-		while(this.s_getEdgeNodes.step()) {
-			yield this.getNodeRef(this.s_getEdgeNodes.get()[0]);
+	/** Draw a heightmap as a grayscale image, from black at the lowest altitude to white at the highest.
+	 * @param heightmap {Object} A heightmap from #export().
+	 * @returns {HTMLCanvasElement}
+	 */
+	createImage(heightmap) {
+		const canvas = document.createElement("canvas");
+		canvas.width = heightmap.width;
+		canvas.height = heightmap.height;
+
+		const c = canvas.getContext("2d");
+		const imageData = c.createImageData(heightmap.width, heightmap.height);
+		const range = heightmap.max - heightmap.min;
+
+		for(let i = 0; i < heightmap.data.length; i++) {
+			const value = (range > 0) ? Math.round((heightmap.data[i] - heightmap.min) / range * 255) : 0;
+			imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = value;
+			imageData.data[i * 4 + 3] = 255;
 		}
+
+		c.putImageData(imageData, 0, 0);
+		return canvas;
 	}
 
-	async getEdgeBetween(nodeAId, nodeBId) {
-		const row = this.s_getEdgeBetween.get({$nodeAId: nodeAId, $nodeBId: nodeBId});
-		return (row.length === 0) ? null : this.getEdgeRef(row[0]);
+	/** Get a heightmap as raw data: little-endian 32-bit floats of the altitudes in meters, row by row from the top left.
+	 * @param heightmap {Object} A heightmap from #export().
+	 * @returns {Uint8Array}
+	 */
+	getRawData(heightmap) {
+		const view = new DataView(new ArrayBuffer(heightmap.data.length * 4));
+		for(let i = 0; i < heightmap.data.length; i++) {
+			view.setFloat32(i * 4, heightmap.data[i], true);
+		}
+		return new Uint8Array(view.buffer);
 	}
 }
 
@@ -1962,6 +5563,14 @@ class Brush {
 		return false;
 	}
 
+	/** Does using the brush edit the current layer of the map?
+	 * Such brushes cannot be used while the current layer is locked or hidden.
+	 * @returns {boolean}
+	 */
+	editsCurrentLayer() {
+		return false;
+	}
+
 	/** Modify the given button's text, title, etc. to represent the brush.
 	 * @param button {Element} the HTML button to modify
 	 */
@@ -2137,6 +5746,33 @@ class Action {
 	async perform() {
 		throw "perform not implemented";
 	}
+
+	/** Run a function in a backend transaction, or in the transaction this action is already part of.
+	 * Actions performed inside the function with #performPart() join the transaction.
+	 * @param f {function} An async function to run.
+	 * @returns the return value of the function.
+	 */
+	async inTransaction(f) {
+		const outerTransaction = this.transaction;
+		try {
+			return await this.context.mapper.backend.transaction(async (transaction) => {
+				this.transaction = transaction;
+				return await f();
+			}, outerTransaction);
+		}
+		finally {
+			this.transaction = outerTransaction;
+		}
+	}
+
+	/** Perform another action as part of this one, in the same backend transaction if this action is in one.
+	 * @param action {Action}
+	 * @returns {Action} An action that undoes the other action.
+	 */
+	async performPart(action) {
+		action.transaction = this.transaction;
+		return await this.context.performAction(action, false);
+	}
 }
 
 class NullAction extends Action {
@@ -2160,9 +5796,12 @@ class BulkAction extends Action {
 		const actions = [];
 
 		// Perform every action specified in the options, saving their undo actions.
-		for(const action of this.options.actions) {
-			actions.push(await this.context.performAction(action, false));
-		}
+		// All the actions succeed together or not at all.
+		await this.inTransaction(async () => {
+			for(const action of this.options.actions) {
+				actions.push(await this.performPart(action));
+			}
+		});
 
 		// The undo action for the entire bulk action is just another bulk action of the saved undo actions.
 		return new BulkAction(this.context, {
@@ -2255,7 +5894,7 @@ class ChangeNameAction extends Action {
 		// Preserve the old name for undo.
 		const oldName = (await this.options.nodeRef.getPString("name")) || "";
 
-		await this.options.nodeRef.setPString("name", this.options.name);
+		await this.options.nodeRef.setPString("name", this.options.name, this.transaction);
 		await this.context.mapper.hooks.call("updateNode", this.options.nodeRef);
 
 		// Undo is just changing back to the old name.
@@ -2267,9 +5906,148 @@ class ChangeNameAction extends Action {
 	}
 }
 
+/** Changes a string or number property of a node, such as its notes or the value of a custom field.
+ * Options:
+ * - nodeRef: The node to change.
+ * - property: The name of the property.
+ * - type: "string" or "number".
+ * - value: The new value, or null to clear the property.
+ */
+class ChangePropertyAction extends Action {
+	async perform() {
+		const nodeRef = this.options.nodeRef;
+		const property = this.options.property;
+
+		// Preserve the old value for undo; a property that was never set is cleared again.
+		let oldValue;
+		if(this.options.type === "number") {
+			oldValue = await nodeRef.getPNumber(property);
+			await nodeRef.setPNumber(property, this.options.value, this.transaction);
+		}
+		else {
+			oldValue = await nodeRef.getPString(property);
+			await nodeRef.setPString(property, this.options.value, this.transaction);
+		}
+
+		await this.context.mapper.hooks.call("updateNode", nodeRef);
+
+		return new ChangePropertyAction(this.context, {
+			nodeRef: nodeRef,
+			property: property,
+			type: this.options.type,
+			value: (oldValue === undefined) ? null : oldValue,
+		});
+	}
+
+	empty() {
+		return false;
+	}
+}
+
+/** Replaces all custom node types of the map.
+ * Options:
+ * - definitions: The new custom node type definitions, by node type ID. See NodeTypeRegistry#setCustomTypeDefinitions().
+ */
+class ChangeNodeTypesAction extends Action {
+	async perform() {
+		// Preserve the old definitions for undo.
+		const oldDefinitions = this.context.mapper.backend.nodeTypeRegistry.getCustomTypeDefinitions();
+
+		await this.context.mapper.setCustomNodeTypes(this.options.definitions, this.transaction);
+
+		return new ChangeNodeTypesAction(this.context, {definitions: oldDefinitions});
+	}
+
+	empty() {
+		return false;
+	}
+}
+
+/** Replaces the layer definitions of the map, e.g. to add a layer or change the order, visibility, locking, or opacity of layers.
+ * Options:
+ * - definitions: The new layer definitions, by layer ID. See LayerRegistry#setLayerDefinitions().
+ */
+class ChangeLayersAction extends Action {
+	async perform() {
+		// Preserve the old definitions for undo.
+		const oldDefinitions = this.context.mapper.backend.layerRegistry.getLayerDefinitions();
+
+		await this.context.mapper.setLayers(this.options.definitions, this.transaction);
+
+		return new ChangeLayersAction(this.context, {definitions: oldDefinitions});
+	}
+
+	empty() {
+		return false;
+	}
+}
+
+/** Replaces the tiles assigned to node types.
+ * Options:
+ * - tileAssignments: The new tile assignments, by node type ID. See NodeTypeRegistry#setTileAssignments().
+ */
+class ChangeNodeTypeTilesAction extends Action {
+	async perform() {
+		// Preserve the old assignments for undo.
+		const oldTileAssignments = this.context.mapper.backend.nodeTypeRegistry.getTileAssignments();
+
+		await this.context.mapper.setNodeTypeTiles(this.options.tileAssignments, this.transaction);
+
+		return new ChangeNodeTypeTilesAction(this.context, {tileAssignments: oldTileAssignments});
+	}
+
+	empty() {
+		return false;
+	}
+}
+
+/** Replaces the bookmarked views of the map, e.g. to add, rename, or remove a bookmark.
+ * Options:
+ * - bookmarks: The new bookmarks. See Mapper#getBookmarks().
+ */
+class ChangeBookmarksAction extends Action {
+	async perform() {
+		// Preserve the old bookmarks for undo.
+		const oldBookmarks = await this.context.mapper.getBookmarks();
+
+		await this.context.mapper.setBookmarks(this.options.bookmarks, this.transaction);
+
+		return new ChangeBookmarksAction(this.context, {bookmarks: oldBookmarks});
+	}
+
+	empty() {
+		return false;
+	}
+}
+
+/** Inserts a GeoJSON feature as a new map object.
+ * Options:
+ * - importer: The {GeoJsonImporter} to insert the feature with.
+ * - feature: The GeoJSON feature.
+ */
+class ImportFeatureAction extends Action {
+	async perform() {
+		const nodeRef = await this.options.importer.insertFeature(this.options.feature, this.transaction);
+		return new RemoveAction(this.context, {nodeRefs: nodeRef ? [nodeRef] : []});
+	}
+}
+
+/** Pastes copies of objects copied with Mapper#copyObjects().
+ * Options:
+ * - objects: The copied objects.
+ * - point: Where to put the center of the objects {Vector3}.
+ * After performing, the new top-level nodes are in the nodeRefs property of the action.
+ */
+class PasteAction extends Action {
+	async perform() {
+		this.nodeRefs = await this.inTransaction(async () => await this.context.mapper.pasteObjects(this.options.objects, this.options.point, this.transaction));
+		return new RemoveAction(this.context, {nodeRefs: this.nodeRefs});
+	}
+}
+
 class UnremoveAction extends Action {
 	async perform() {
-		await this.context.mapper.unremoveNodes(this.options.nodeRefs);
+		await this.context.mapper.unremoveNodes(this.options.nodeRefs, this.transaction);
 		return new RemoveAction(this.context, {nodeRefs: this.options.nodeRefs});
 	}
 
@@ -2280,7 +6058,7 @@ class UnremoveAction extends Action {
 
 class RemoveAction extends Action {
 	async perform() {
-		const affectedNodeRefs = await this.context.mapper.removeNodes(this.options.nodeRefs);
+		const affectedNodeRefs = await this.context.mapper.removeNodes(this.options.nodeRefs, this.transaction);
 		return new UnremoveAction(this.context, {nodeRefs: affectedNodeRefs});
 	}
 
@@ -2352,19 +6130,19 @@ class NodeCleanupAction extends Action {
 			for(const neighbor of await(asyncFrom(mergePair[1].getNeighbors()))) {
 				if(target.id !== neighbor.id && !(await this.context.mapper.backend.getEdgeBetween(target.id, neighbor.id))) {
 					// Create the edge and record it.
-					const edgeRef = await this.context.mapper.backend.createEdge(target.id, neighbor.id);
+					const edgeRef = await this.context.mapper.backend.createEdge(target.id, neighbor.id, this.transaction);
 					newEdges.push(edgeRef);
 				}
 			}
 		}
 
 		// Perform the necessary actions and record their undo actions.
-		const undoNodeAction = await this.context.performAction(new BulkAction(this.context, {actions: [
+		const undoNodeAction = await this.performPart(new BulkAction(this.context, {actions: [
 			// Remove all the extraneous point/vertex nodes.
 			new RemoveAction(this.context, {nodeRefs: [...toRemove].map((id) => this.context.mapper.backend.getNodeRef(id))}),
 			// Change the node space of the object node to match its new vertex set.
 			new SetNodeSpaceAction(this.context, {nodeRef: this.options.nodeRef, center: center, effectiveCenter: center, radius: furthest.subtract(center).length()}),
-		]}), false);
+		]}));
 
 		// Return the undo action, which undoes removing vertices, changing the node space, and adding edges.
 		return new BulkAction(this.context, {actions: [undoNodeAction, new RemoveEdgeAction(this.context, {edgeRefs: newEdges})]});
@@ -2404,7 +6182,7 @@ class NodeCleanupAction extends Action {
 class ChangeParentAction extends Action {
 	async perform() {
 		const oldParent = await this.options.nodeRef.getParent();
-		await this.options.nodeRef.setParent(this.options.parent);
+		await this.options.nodeRef.setParent(this.options.parent, this.transaction);
 		await this.context.mapper.hooks.call("updateNode", this.options.parent);
 		return new ChangeParentAction(this.context, {nodeRef: this.options.nodeRef, parent: oldParent});
 	}
@@ -2424,9 +6202,9 @@ class MergeAction extends Action {
 			for(const other of nodeRefs) {
 				if(other !== target) {
 					for(const childNodeRef of (await asyncFrom(other.getChildren()))) {
-						undoActions.push(await this.context.performAction(new ChangeParentAction(this.context, {nodeRef: childNodeRef, parent: target}), false));
+						undoActions.push(await this.performPart(new ChangeParentAction(this.context, {nodeRef: childNodeRef, parent: target})));
 					}
-					undoActions.push(await this.context.performAction(new RemoveAction(this.context, {nodeRefs: [other]})));
+					undoActions.push(await this.performPart(new RemoveAction(this.context, {nodeRefs: [other]})));
 				}
 			}
 
@@ -2457,7 +6235,7 @@ class MergeAction extends Action {
 
 class UnremoveEdgeAction extends Action {
 	async perform() {
-		await this.context.mapper.unremoveEdges(this.options.edgeRefs);
+		await this.context.mapper.unremoveEdges(this.options.edgeRefs, this.transaction);
 		return new RemoveEdgeAction(this.context, {edgeRefs: this.options.edgeRefs});
 	}
 
@@ -2468,7 +6246,7 @@ class UnremoveEdgeAction extends Action {
 
 class RemoveEdgeAction extends Action {
 	async perform() {
-		await this.context.mapper.removeEdges(this.options.edgeRefs);
+		await this.context.mapper.removeEdges(this.options.edgeRefs, this.transaction);
 		return new UnremoveEdgeAction(this.context, {edgeRefs: this.options.edgeRefs});
 	}
 
@@ -2495,9 +6273,9 @@ class SetNodeSpaceAction extends Action {
 			radius: await this.options.nodeRef.getRadius(),
 		});
 
-		await this.options.nodeRef.setCenter(this.options.center);
-		await this.options.nodeRef.setEffectiveCenter(this.options.effectiveCenter);
-		await this.options.nodeRef.setRadius(this.options.radius);
+		await this.options.nodeRef.setCenter(this.options.center, this.transaction);
+		await this.options.nodeRef.setEffectiveCenter(this.options.effectiveCenter, this.transaction);
+		await this.options.nodeRef.setRadius(this.options.radius, this.transaction);
 
 		await this.context.mapper.hooks.call("updateNode", this.options.nodeRef);
 
@@ -2513,7 +6291,7 @@ class SetNodeSpaceAction extends Action {
  */
 class TranslateAction extends Action {
 	async perform() {
-		await this.context.mapper.translateNode(this.options.nodeRef, this.options.offset);
+		await this.context.mapper.translateNode(this.options.nodeRef, this.options.offset, this.transaction);
 
 		// The undo action is just translating by the negated offset.
 		return new TranslateAction(this.context, {
@@ -2537,6 +6315,21 @@ class DrawPathAction extends Action {
 	}
 
 	async perform() {
+		const drawEvent = this.options.drawEvent;
+		const stateLength = drawEvent.state.length;
+
+		try {
+			return await this.inTransaction(async () => this.performDraw());
+		}
+		catch(error) {
+			// The nodes of this part of the stroke were rolled back, so continue the stroke from the last part that was kept.
+			drawEvent.state.splice(stateLength);
+			throw error;
+		}
+	}
+
+	/** Place the nodes and edges of the drawn path; see #perform(). */
+	async performDraw() {
 		const drawEvent = this.options.drawEvent;
 		const placedNodes = [];
 
@@ -2582,12 +6375,16 @@ class DrawPathAction extends Action {
 				type: this.options.nodeType,
 				radius: 0,
 				parent: this.options.parent,
+				layer: this.options.layer,
+				transaction: this.transaction,
 			});
 
 			const borderB = await this.context.mapper.insertNode(borderBPoint, "point", {
 				type: this.options.nodeType,
 				radius: 0,
 				parent: this.options.parent,
+				layer: this.options.layer,
+				transaction: this.transaction,
 			});
 
 			return [borderA, borderB];
@@ -2599,7 +6396,7 @@ class DrawPathAction extends Action {
 				seen.add(a.id);
 				for(const b of nodesB) {
 					if(!seen.has(b.id)) {
-						await this.context.mapper.backend.createEdge(a.id, b.id);
+						await this.context.mapper.backend.createEdge(a.id, b.id, this.transaction);
 					}
 				}
 			}
@@ -2655,6 +6452,8 @@ class DrawPathAction extends Action {
 						type: this.options.nodeType,
 						radius: this.options.radius,
 						parent: this.options.parent,
+						layer: this.options.layer,
+						transaction: this.transaction,
 					});
 					placedNodes.push(pathNode);
 				}
@@ -2677,7 +6476,7 @@ class DrawPathAction extends Action {
 				await connectNodes(placedForVertex, lastState.borders);
 
 				if(pathNode) {
-					await this.context.mapper.backend.createEdge(pathNode.id, lastState.pathNode.id);
+					await this.context.mapper.backend.createEdge(pathNode.id, lastState.pathNode.id, this.transaction);
 				}
 			}
 		}
@@ -2701,9 +6500,9 @@ class DrawPathAction extends Action {
 				}
 			}
 
-			await nodeRef.setEffectiveCenter(center);
-			await nodeRef.setRadius(furthest.subtract(center).length());
-			await this.options.parent.setRadius(Math.max(await this.options.parent.getRadius(), await nodeRef.getRadius()));
+			await nodeRef.setEffectiveCenter(center, this.transaction);
+			await nodeRef.setRadius(furthest.subtract(center).length(), this.transaction);
+			await this.options.parent.setRadius(Math.max(await this.options.parent.getRadius(), await nodeRef.getRadius()), this.transaction);
 			await this.context.mapper.hooks.call("updateNode", this.options.parent);
 		}
 
@@ -2714,7 +6513,7 @@ class DrawPathAction extends Action {
 				placedNodes.push(this.options.parent);
 			}
 
-			undoActions.push(await this.context.performAction(new NodeCleanupAction(this.context, {nodeRef: this.options.parent, type: this.options.nodeType}), false));
+			undoActions.push(await this.performPart(new NodeCleanupAction(this.context, {nodeRef: this.options.parent, type: this.options.nodeType})));
 		}
 
 		undoActions.push(new RemoveAction(this.context, {
@@ -2730,7 +6529,8 @@ class DrawPathAction extends Action {
 }
 
 // Autogenerated
-const images = {
+// Images can only be decoded in a browser; elsewhere (e.g. Node.js) there are no tile images.
+const images = (typeof Image === "undefined") ? {} : {
 	"cold forest2": {image: new Promise((resolve) => {const image = new Image(); image.src = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAABhGlDQ1BJQ0MgcHJvZmlsZQAAKJF9kT1Iw0AcxV9TpSKVUuwg4pChumhBVMRRq1CECqFWaNXB5NIvaNKQpLg4Cq4FBz8Wqw4uzro6uAqC4AeIq4uToouU+L+00CLGg+N+vLv3uHsHCPUy06yucUDTbTOViIuZ7KoYeIWAEMIYRVhmljEnSUl4jq97+Ph6F+NZ3uf+HH1qzmKATySeZYZpE28QT2/aBud94ggryirxOfGYSRckfuS60uQ3zgWXBZ4ZMdOpeeIIsVjoYKWDWdHUiKeIo6qmU76QabLKeYuzVq6y1j35C4M5fWWZ6zSHkMAiliBBhIIqSijDRoxWnRQLKdqPe/gHXb9ELoVcJTByLKACDbLrB/+D391a+cmJZlIwDnS/OM7HMBDYBRo1x/k+dpzGCeB/Bq70tr9SB2Y+Sa+1tegRENoGLq7bmrIHXO4AA0+GbMqu5Kcp5PPA+xl9UxbovwV615q9tfZx+gCkqavkDXBwCIwUKHvd4909nb39e6bV3w9cnnKeus6IiwAAAAZiS0dEAAAAgwAAGjAepgAAAAlwSFlzAAAuIwAALiMBeKU/dgAAAAd0SU1FB+cCDxEyB4vGyjkAAAAZdEVYdENvbW1lbnQAQ3JlYXRlZCB3aXRoIEdJTVBXgQ4XAAAA70lEQVQ4y6WTu2pCQRCGv1kVTiIGSWVjaemb5NYkFj6HhljZCnZ5BbEULHyjlIdATi4eER2LTHFO3OCA28zuLHz7z8y/4F13aCwd3IBGPO0H/JwDuEW5AG6Oy/ABLgGx+GdVXYAtoBZdCh4LUvu2D0ANuC+XEQdsCvvMdH7H9R4DnlAEeLCX9kBuY8yA5FQPvoBm4bxCRi/P2mkq6VoYjCfyv4IeSg3Y2dytFwEIgagVy4AcqBduzDzXiZJUoFXXE4Alwhx57Q5hgbBCANpXEATec6cP0nWpTPb666OPjfhsP5sO1ftFoj54+xT3HzsAI3U3nmUCY/MAAAAASUVORK5CYII="; resolve(image); })},
 	"grass": {image: new Promise((resolve) => {const image = new Image(); image.src = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAABhGlDQ1BJQ0MgcHJvZmlsZQAAKJF9kT1Iw0AcxV9TpSKVUuwg4pChumhBVMRRq1CECqFWaNXB5NIvaNKQpLg4Cq4FBz8Wqw4uzro6uAqC4AeIq4uToouU+L+00CLGg+N+vLv3uHsHCPUy06yucUDTbTOViIuZ7KoYeIWAEMIYRVhmljEnSUl4jq97+Ph6F+NZ3uf+HH1qzmKATySeZYZpE28QT2/aBud94ggryirxOfGYSRckfuS60uQ3zgWXBZ4ZMdOpeeIIsVjoYKWDWdHUiKeIo6qmU76QabLKeYuzVq6y1j35C4M5fWWZ6zSHkMAiliBBhIIqSijDRoxWnRQLKdqPe/gHXb9ELoVcJTByLKACDbLrB/+D391a+cmJZlIwDnS/OM7HMBDYBRo1x/k+dpzGCeB/Bq70tr9SB2Y+Sa+1tegRENoGLq7bmrIHXO4AA0+GbMqu5Kcp5PPA+xl9UxbovwV615q9tfZx+gCkqavkDXBwCIwUKHvd4909nb39e6bV3w9cnnKeus6IiwAAAAZiS0dEAAAAgwAAGjAepgAAAAlwSFlzAAAuIwAALiMBeKU/dgAAAAd0SU1FB+cCDxEuGZe+qgcAAAAZdEVYdENvbW1lbnQAQ3JlYXRlZCB3aXRoIEdJTVBXgQ4XAAABCUlEQVQ4y6WTsW7CMBCGD5/tBIcg0bHP15knAQEVVYsEEpUQqjpUhZaBBd6CJ4CBsWJAIrKOqUkucSCIm6zfvvP3n88AF0K/a8pq3tRjmgAACJYBuQrIB5nTol0EuQJpEbtIZmYIAMD+WU401qQeVf4mNVBUW9ViCuyhk8ibeFToN1hwG7IvCe4JPdbOAkV0paL6Xb2cbOaG/A/fecj8GKarkaJCbNEW8eb/i+RovjI0asgrmt8kUb7whopWcoGIB+QpqqQPHTfHeG0PlvnHBrp7kEYvG4I9UR1LJcm3zIykP4j/6V+lwGfkPThtT8ln2UcgOokV+SoJO3x4bNNWbvIZrkMK16GT7AyvJ1k7oseEFgAAAABJRU5ErkJggg=="; resolve(image); })},
 	"road": {image: new Promise((resolve) => {const image = new Image(); image.src = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAMAAAAoLQ9TAAABhGlDQ1BJQ0MgcHJvZmlsZQAAKJF9kT1Iw0AcxV9bS0UqDu0gIpKhdbIgKuKoVShChVArtOpgcukXNGlIUlwcBdeCgx+LVQcXZ10dXAVB8APE0clJ0UVK/F9SaBHjwXE/3t173L0D/M0qU82ecUDVLCOTSgq5/KoQekUYI4ggjqDETH1OFNPwHF/38PH1LsGzvM/9OfqVgskAn0A8y3TDIt4gnt60dM77xFFWlhTic+Ixgy5I/Mh12eU3ziWH/TwzamQz88RRYqHUxXIXs7KhEk8RxxRVo3x/zmWF8xZntVpn7XvyF4YL2soy12kOI4VFLEGEABl1VFCFhQStGikmMrSf9PAPOX6RXDK5KmDkWEANKiTHD/4Hv7s1i5MTblI4CQRfbPsjDoR2gVbDtr+Pbbt1AgSegSut4681gZlP0hsdLXYEDGwDF9cdTd4DLneAwSddMiRHCtD0F4vA+xl9Ux6I3AJ9a25v7X2cPgBZ6ip9AxwcAqMlyl73eHdvd2//nmn39wNxInKmksLesgAAAAlwSFlzAAAuIwAALiMBeKU/dgAAAAd0SU1FB+YMHhM2FPRZx7MAAAAZdEVYdENvbW1lbnQAQ3JlYXRlZCB3aXRoIEdJTVBXgQ4XAAAA0lBMVEUAAAB3d3d5eHN6eHB7eW17eW59emh9eml9emp+emZ+emd+emh/emZ/e2WAe2KBe2GCfF+EfVqEfVuFfViFfleIf1GIf1KJf06KgEyKgE2LgEqMgUiNgUWNgUaOgkKQgj+Rgz2SgzqThDiThDmUhDWUhDaUhDeVhTOVhTSVhTWXhi+ZhyqahyiahymbhyebiCaciCSdiCKeiR+fihygihqgihugihyhihihihqiixaiixijixSkjBGkjBKljA+ljBGnjQuojQqpjgepjgirjwKrjwMlzaNiAAAAAXRSTlMAQObYZgAAAAFiS0dEAf8CLd4AAACMSURBVBgZBcGNOsIAAADA+7Ik0kqxNRJFsWaKlt9pivd/pe5ACo0vHB6ADzBGDCT9N6SY0P4tL/Dp/PLZXR6DE4IhjSAB9OhCBVCSwT9swqLCCNaEUC9v/8Dx2c0OtRaa9/gGShzx9BICXtGDh2sgmiWbJbgCnULGFqLVI9MF70hGqcKgK8cM/JzOsQc+NAzNXASoTgAAAABJRU5ErkJggg=="; resolve(image); })},
@@ -2771,46 +6571,80 @@ class NodeRender {
 		this.renders = {};
 	}
 
+	/** Forget all cached fill styles, e.g. after node types changed. */
+	static clearFillStyles() {
+		for(const id in fillStyles) {
+			delete fillStyles[id];
+		}
+	}
+
 	static async getNodeTypeFillStyle(context, nodeType, backgroundType) {
 		const id = nodeType.id + ":" + (backgroundType ? backgroundType.id : "");
 		let fillStyle = fillStyles[id];
 
 		if(fillStyle === undefined) {
-			const tiles = await nodeType.getAllTiles();
-			const conglomerateTileSize = Math.max(tileSize, tileSize * tiles.length);
+			fillStyles[id] = fillStyle = context.createPattern(await NodeRender.createNodeTypePatternImage(nodeType, backgroundType), "repeat");
+		}
 
-			const image = document.createElement("canvas");
-			image.width = image.height = conglomerateTileSize;
+		return fillStyle;
+	}
 
-			const c = image.getContext("2d");
+	/** Create the repeating image that areas of a node type are filled with: the node type's color, covered with a random arrangement of its tiles.
+	 * @param nodeType {NodeType}
+	 * @param backgroundType {NodeType|undefined} The node type whose color to use instead, if any.
+	 * @returns {HTMLCanvasElement}
+	 */
+	static async createNodeTypePatternImage(nodeType, backgroundType) {
+		const tiles = await NodeRender.getTileImages(nodeType.registry, nodeType.getAllTiles());
+		const conglomerateTileSize = Math.max(tileSize, tileSize * tiles.length);
 
-			if(backgroundType) {
-				c.fillStyle = backgroundType.getColor();
-			}
-			else {
-				c.fillStyle = nodeType.getColor();
-			}
+		const image = document.createElement("canvas");
+		image.width = image.height = conglomerateTileSize;
 
-			c.fillRect(0, 0, conglomerateTileSize, conglomerateTileSize);
+		const c = image.getContext("2d");
 
-			if(tiles.length > 0) {
-				for(let x = 0; x < conglomerateTileSize; x += tileSize) {
-					for(let y = 0; y < conglomerateTileSize; y += tileSize) {
-						c.drawImage(await images[tiles[Math.floor(Math.random() * tiles.length)]].image, x, y, tileSize, tileSize);
-					}
+		if(backgroundType) {
+			c.fillStyle = backgroundType.getColor();
+		}
+		else {
+			c.fillStyle = nodeType.getColor();
+		}
+
+		c.fillRect(0, 0, conglomerateTileSize, conglomerateTileSize);
+
+		if(tiles.length > 0) {
+			for(let x = 0; x < conglomerateTileSize; x += tileSize) {
+				for(let y = 0; y < conglomerateTileSize; y += tileSize) {
+					c.drawImage(tiles[Math.floor(Math.random() * tiles.length)], x, y, tileSize, tileSize);
 				}
 			}
-
-			fillStyles[id] = fillStyle = context.createPattern(image, "repeat");
 		}
 
-		return fillStyle;
+		return image;
+	}
+
+	/** Get the decoded images of tiles.
+	 * Tiles that are missing or cannot be decoded are left out, so that the node type color shows instead.
+	 * @param registry {NodeTypeRegistry}
+	 * @param names {Array.<string>} The names of the tiles.
+	 * @returns {Array.<HTMLImageElement>}
+	 */
+	static async getTileImages(registry, names) {
+		const tileImages = [];
+		for(const name of names) {
+			const tile = registry.getImage(name);
+			const image = tile ? await tile.image : undefined;
+			if(image) {
+				tileImages.push(image);
+			}
+		}
+		return tileImages;
 	}
 
 	static async drawExplicitNode(context, nodeType, x, y, radius) {
 		const imageName = await nodeType.getImageName();
-		if(imageName) {
-			const image = await images[imageName].image;
+		const [image] = imageName ? await NodeRender.getTileImages(nodeType.registry, [imageName]) : [];
+		if(image) {
 			context.drawImage(image, x - radius, y - radius, radius * 2, radius * 2);
 		}
 		else {
@@ -3406,10 +7240,27 @@ class AddBrush extends Brush {
 
 		this.nodeFilter = type => this.extend ? type.getScale() !== "explicit" : true;
 
+		this.nodeTypes = [];
+		this.updateNodeTypes();
+
+		this.context.hooks.add("current_layer_change", () => this.updateNodeTypes());
+		this.context.hooks.add("node_types_change", () => this.updateNodeTypes());
+	}
+
+	editsCurrentLayer() {
+		return true;
+	}
+
+	/** Rebuild the list of node types that can be placed, e.g. after the current layer or the map's custom node types changed.
+	 * The selected node type stays selected if it is still in the list.
+	 */
+	updateNodeTypes() {
+		const selectedNodeType = this.getNodeType();
+		const layer = this.context.getCurrentLayer();
+
 		const staticNodeTypes = Array.from(this.context.mapper.backend.nodeTypeRegistry.getTypes()).filter(this.nodeFilter);
 
-		this.nodeTypes = this.originalNodeTypes = Array.from(staticNodeTypes);
-		this.setNodeTypeIndex(0);
+		this.nodeTypes = staticNodeTypes.filter((nodeType) => !layer || nodeType.getLayer() === layer.getType());
 
 		// Sort node types by category (keep children with their parents).
 		const nodeTypeSortKey = (nodeType) => {
@@ -3426,12 +7277,8 @@ class AddBrush extends Brush {
 			return nodeTypeSortKey(a) - nodeTypeSortKey(b);
 		});
 
-		const reset = (layer) => {
-			this.nodeTypes = this.originalNodeTypes.filter((nodeType) => nodeType.getLayer() === layer.getType());
-			this.setNodeTypeIndex(0);
-		};
-
-		this.context.hooks.add("current_layer_change", (layer) => reset(layer));
+		const index = selectedNodeType ? this.nodeTypes.findIndex((nodeType) => nodeType.id === selectedNodeType.id) : -1;
+		this.setNodeTypeIndex(Math.max(index, 0));
 	}
 
 	usesHover() {
@@ -3558,14 +7405,324 @@ class AddBrush extends Brush {
 				}
 			}
 
+			const typeRow = document.createElement("div");
+			typeRow.setAttribute("class", "mapper1024_zoom_row");
+			container.appendChild(typeRow);
+
+			const editor = this.nodeTypeEditorContainer = document.createElement("div");
+			container.appendChild(editor);
+
+			const newTypeButton = document.createElement("button");
+			newTypeButton.innerText = "＋ New type";
+			newTypeButton.title = "Define a new kind of object for this map";
+			newTypeButton.onclick = async () => {
+				await this.displayNodeTypeEditor(brushbar, editor, layer, undefined);
+			};
+			typeRow.appendChild(newTypeButton);
+
+			const selectedNodeType = this.getNodeType();
+			const nodeTypeRegistry = this.context.mapper.backend.nodeTypeRegistry;
+
+			const editTypeButton = document.createElement("button");
+			editTypeButton.innerText = "✎ Edit type";
+			editTypeButton.title = "Edit the selected kind of object (only kinds defined in this map can be edited)";
+			editTypeButton.disabled = !(selectedNodeType && nodeTypeRegistry.isCustomType(selectedNodeType.id));
+			editTypeButton.onclick = async () => {
+				await this.displayNodeTypeEditor(brushbar, editor, layer, selectedNodeType);
+			};
+			typeRow.appendChild(editTypeButton);
+
+			const tilesButton = document.createElement("button");
+			tilesButton.innerText = "🖼 Tiles";
+			tilesButton.title = "Choose or import the tile images of the selected kind of object";
+			tilesButton.disabled = !selectedNodeType;
+			tilesButton.onclick = async () => {
+				await this.displayNodeTypeTilesEditor(brushbar, editor, selectedNodeType);
+			};
+			typeRow.appendChild(tilesButton);
+
 			await brushbar.recalculate();
 		};
 
 		await make(this.context.getCurrentLayer());
 		this.hooksToClear.push(["context_current_layer_change", this.hooks.add("context_current_layer_change", async (layer) => await make(layer))]);
+		this.hooksToClear.push(["context_node_types_change", this.hooks.add("context_node_types_change", async () => await make(this.context.getCurrentLayer()))]);
 		this.hooksToClear.push(["type_changed", this.hooks.add("type_changed", async () => await make(this.context.getCurrentLayer()))]);
 	}
 
+	/** Display a form to create or edit a custom node type in the sidebar.
+	 * @param brushbar {Brushbar}
+	 * @param container {HTMLElement} the element to display the form in
+	 * @param layer {Layer} the current layer, used as the default layer of new node types
+	 * @param nodeType {NodeType|undefined} the custom node type to edit, or undefined to create a new node type
+	 */
+	async displayNodeTypeEditor(brushbar, container, layer, nodeType) {
+		const nodeTypeRegistry = this.context.mapper.backend.nodeTypeRegistry;
+
+		// New node types start out as a copy of the selected node type.
+		const template = nodeType || this.getNodeType();
+		const def = template ? template.def : {};
+
+		container.innerHTML = "";
+
+		const title = document.createElement("h2");
+		title.innerText = nodeType ? `Edit ${nodeType.id}` : "New type";
+		container.appendChild(title);
+
+		const addRow = (labelText, input) => {
+			const row = document.createElement("div");
+			row.setAttribute("class", "mapper1024_property_row");
+
+			const label = document.createElement("label");
+			label.innerText = labelText;
+			label.appendChild(input);
+			row.appendChild(label);
+
+			container.appendChild(row);
+			return input;
+		};
+
+		const addSelect = (labelText, options, value) => {
+			const select = document.createElement("select");
+			for(const [optionValue, optionText] of options) {
+				const option = document.createElement("option");
+				option.value = optionValue;
+				option.innerText = optionText;
+				option.selected = optionValue === value;
+				select.appendChild(option);
+			}
+			return addRow(labelText, select);
+		};
+
+		const addCheckbox = (labelText, checked) => {
+			const checkbox = document.createElement("input");
+			checkbox.type = "checkbox";
+			checkbox.checked = checked;
+			return addRow(labelText, checkbox);
+		};
+
+		const nameInput = document.createElement("input");
+		nameInput.setAttribute("size", 1);
+		nameInput.value = nodeType ? nodeType.id : "";
+		// Nodes refer to their type by name, so existing types cannot be renamed.
+		nameInput.disabled = !!nodeType;
+		addRow("Name ", nameInput);
+
+		// Color inputs only understand #rrggbb, so let the canvas normalize any CSS color.
+		const normalizeColor = (color) => {
+			const c = document.createElement("canvas").getContext("2d");
+			c.fillStyle = color;
+			return c.fillStyle.startsWith("#") ? c.fillStyle : "#000000";
+		};
+
+		const colorInput = document.createElement("input");
+		colorInput.type = "color";
+		colorInput.value = normalizeColor(template ? template.getColor() : "black");
+		addRow("Color ", colorInput);
+
+		const parentOptions = [["", "(none)"]];
+		for(const otherNodeType of nodeTypeRegistry.getTypes()) {
+			if(!otherNodeType.getParent() && !(nodeType && otherNodeType.id === nodeType.id)) {
+				parentOptions.push([otherNodeType.id, otherNodeType.id]);
+			}
+		}
+		const parentSelect = addSelect("Category ", parentOptions, (template && template.getParent()) ? template.getParent().id : "");
+
+		// Node types belong to a kind of layer rather than a specific layer.
+		const layerOptions = ["geographical", "political", "annotation"].map((type) => [type, type]);
+		const layerSelect = addSelect("Layer ", layerOptions, template ? template.getLayer() : layer.getType());
+
+		const scaleSelect = addSelect("Scale ", [["terrain", "terrain"], ["explicit", "explicit"]], template ? template.getScale() : "terrain");
+
+		const pathCheckbox = addCheckbox("Path ", template ? template.isPath() : false);
+		const areaCheckbox = addCheckbox("Area ", template ? template.isArea() : true);
+		const givesBackgroundCheckbox = addCheckbox("Gives background ", template ? template.givesBackground() : false);
+		const hasBackgroundCheckbox = addCheckbox("Has background ", template ? template.hasBackground() : true);
+		const receivesBackgroundCheckbox = addCheckbox("Receives background ", def.receivesBackground !== false);
+
+		const buttonRow = document.createElement("div");
+		buttonRow.setAttribute("class", "mapper1024_zoom_row");
+		container.appendChild(buttonRow);
+
+		const saveButton = document.createElement("button");
+		saveButton.innerText = "💾 Save type";
+		saveButton.onclick = async () => {
+			const id = nodeType ? nodeType.id : nameInput.value.trim();
+
+			if(id.length === 0) {
+				this.context.pushInfoMessage("The new type needs a name");
+				return;
+			}
+
+			if(!nodeType && nodeTypeRegistry.get(id)) {
+				this.context.pushInfoMessage(`There is already a type named ${id}`);
+				return;
+			}
+
+			const definitions = nodeTypeRegistry.getCustomTypeDefinitions();
+			definitions[id] = {
+				// Keep anything the editor does not know about, such as images.
+				...(nodeType ? nodeType.def : {}),
+				color: colorInput.value,
+				parent: parentSelect.value || undefined,
+				layer: layerSelect.value,
+				scale: scaleSelect.value,
+				path: pathCheckbox.checked,
+				area: areaCheckbox.checked,
+				givesBackground: givesBackgroundCheckbox.checked,
+				hasBackground: hasBackgroundCheckbox.checked,
+				receivesBackground: receivesBackgroundCheckbox.checked,
+			};
+
+			await this.context.performAction(new ChangeNodeTypesAction(this.context, {definitions: definitions}), true);
+
+			const index = this.nodeTypes.findIndex((otherNodeType) => otherNodeType.id === id);
+			if(index !== -1) {
+				this.setNodeTypeIndex(index);
+			}
+
+			this.context.focus();
+		};
+		buttonRow.appendChild(saveButton);
+
+		const cancelButton = document.createElement("button");
+		cancelButton.innerText = "Cancel";
+		cancelButton.onclick = async () => {
+			container.innerHTML = "";
+			await brushbar.recalculate();
+			this.context.focus();
+		};
+		buttonRow.appendChild(cancelButton);
+
+		await brushbar.recalculate();
+		nameInput.focus();
+	}
+
+	/** Display a form to choose the tiles of a node type in the sidebar, and to import new tile images into the map.
+	 * @param brushbar {Brushbar}
+	 * @param container {HTMLElement} the element to display the form in
+	 * @param nodeType {NodeType} the node type to choose tiles for
+	 */
+	async displayNodeTypeTilesEditor(brushbar, container, nodeType) {
+		const nodeTypeRegistry = this.context.mapper.backend.nodeTypeRegistry;
+		const assignment = nodeType.getTileAssignment();
+
+		container.innerHTML = "";
+
+		const title = document.createElement("h2");
+		title.innerText = `Tiles of ${nodeType.id}`;
+		container.appendChild(title);
+
+		const imageNames = nodeTypeRegistry.getImageNames().sort();
+
+		const mainRow = document.createElement("div");
+		mainRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(mainRow);
+
+		const mainLabel = document.createElement("label");
+		mainLabel.innerText = "Main tile ";
+		mainRow.appendChild(mainLabel);
+
+		// Option values are prefixed so that they cannot be confused with tile names.
+		const mainSelect = document.createElement("select");
+		const mainOptions = [["default", `(default: ${nodeType.def.image || "none"})`], ["none", "(none)"], ...imageNames.map((name) => ["tile:" + name, name])];
+		const mainValue = (assignment.image === undefined) ? "default" : (assignment.image === null ? "none" : "tile:" + assignment.image);
+		for(const [value, text] of mainOptions) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.innerText = text;
+			option.selected = value === mainValue;
+			mainSelect.appendChild(option);
+		}
+		mainLabel.appendChild(mainSelect);
+
+		const extraRow = document.createElement("div");
+		extraRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(extraRow);
+
+		const extraLabel = document.createElement("label");
+		extraLabel.innerText = "Extra tiles ";
+		extraRow.appendChild(extraLabel);
+
+		const extraTileNames = nodeType.getExtraTileNames();
+		const extraSelect = document.createElement("select");
+		extraSelect.multiple = true;
+		for(const name of imageNames) {
+			const option = document.createElement("option");
+			option.value = name;
+			option.innerText = name;
+			option.selected = extraTileNames.includes(name);
+			extraSelect.appendChild(option);
+		}
+		extraLabel.appendChild(extraSelect);
+
+		const buttonRow = document.createElement("div");
+		buttonRow.setAttribute("class", "mapper1024_zoom_row");
+		container.appendChild(buttonRow);
+
+		const importButton = document.createElement("button");
+		importButton.innerText = "📁 Import PNG...";
+		importButton.title = "Store PNG images in the map to use as tiles; each image is named after its file";
+		importButton.onclick = () => {
+			const input = document.createElement("input");
+			input.type = "file";
+			input.accept = "image/png";
+			input.multiple = true;
+
+			input.onchange = async () => {
+				for(const file of input.files) {
+					await this.context.mapper.setImage(file.name.replace(/\.png$/i, ""), new Uint8Array(await file.arrayBuffer()));
+				}
+
+				// The sidebar was rebuilt because the images changed, so show the form again.
+				await this.displayNodeTypeTilesEditor(brushbar, this.nodeTypeEditorContainer, nodeType);
+			};
+
+			input.click();
+		};
+		buttonRow.appendChild(importButton);
+
+		const saveButton = document.createElement("button");
+		saveButton.innerText = "💾 Save tiles";
+		saveButton.onclick = async () => {
+			const newAssignment = {};
+			if(mainSelect.value === "none") {
+				newAssignment.image = null;
+			}
+			else if(mainSelect.value !== "default") {
+				newAssignment.image = mainSelect.value.slice("tile:".length);
+			}
+
+			const selectedExtraTileNames = Array.from(extraSelect.selectedOptions).map((option) => option.value);
+			if(assignment.extraTiles !== undefined || selectedExtraTileNames.join() !== (nodeType.def.extraTiles || []).join()) {
+				newAssignment.extraTiles = selectedExtraTileNames;
+			}
+
+			const tileAssignments = nodeTypeRegistry.getTileAssignments();
+			if(Object.keys(newAssignment).length > 0) {
+				tileAssignments[nodeType.id] = newAssignment;
+			}
+			else {
+				delete tileAssignments[nodeType.id];
+			}
+
+			await this.context.performAction(new ChangeNodeTypeTilesAction(this.context, {tileAssignments: tileAssignments}), true);
+			this.context.focus();
+		};
+		buttonRow.appendChild(saveButton);
+
+		const cancelButton = document.createElement("button");
+		cancelButton.innerText = "Cancel";
+		cancelButton.onclick = async () => {
+			container.innerHTML = "";
+			await brushbar.recalculate();
+			this.context.focus();
+		};
+		buttonRow.appendChild(cancelButton);
+
+		await brushbar.recalculate();
+	}
+
 	setNodeTypeIndex(index) {
 		this.nodeTypeIndex = index;
 		this.wrapIndex();
@@ -3633,7 +7790,10 @@ class AddBrush extends Brush {
 		const selectionParent = await mouseDragEvent.getSelectionParent();
 		if(this.extend) {
 			if(selectionParent) {
-				if((await selectionParent.getType()).id === this.getNodeType().id) {
+				if(!(await this.context.checkNodeEditable(selectionParent))) {
+					return;
+				}
+				else if((await selectionParent.getType()).id === this.getNodeType().id) {
 					this.parentNode = selectionParent;
 					this.undoParent = false;
 				}
@@ -3651,6 +7811,7 @@ class AddBrush extends Brush {
 			this.parentNode = await this.context.mapper.insertNode(this.context.canvasPointToMap(where), "object", {
 				type: this.getNodeType(),
 				radius: 0,
+				layer: this.context.getCurrentLayer(),
 			});
 			this.undoParent = true;
 		}
@@ -3705,6 +7866,10 @@ class AreaBrush extends Brush {
 		});
 	}
 
+	editsCurrentLayer() {
+		return true;
+	}
+
 	async reset() {
 		const toRemove = [];
 		for(const x in this.tiles) {
@@ -3991,6 +8156,10 @@ class DeleteBrush extends Brush {
 		return `Delete (radius ${this.sizeInMeters()}m)`;
 	}
 
+	editsCurrentLayer() {
+		return true;
+	}
+
 	displayButton(button) {
 		button.innerText = "Delete";
 		button.title = "Delete Objects [shortcut: 'd']";
@@ -4023,7 +8192,12 @@ class DeleteBrush extends Brush {
 
 		if(this.context.isKeyDown("Shift")) {
 			const selection = await Selection.fromNodeIds(this.context, this.context.hoverSelection.parentNodeIds);
-			toRemove = Array.from(selection.getOrigins());
+			toRemove = [];
+			for(const nodeRef of selection.getOrigins()) {
+				if(await this.context.checkNodeEditable(nodeRef)) {
+					toRemove.push(nodeRef);
+				}
+			}
 		}
 		else {
 			toRemove = await asyncFrom(this.getNodesInBrush(brushPosition));
@@ -4145,6 +8319,24 @@ class TranslateEvent extends DragEvent {
 	}
 }
 
+// URL schemes that links to external documents may use; others, such as "javascript:", could run code when the link is followed.
+const linkUrlProtocols = ["http:", "https:", "mailto:"];
+
+/** Parse the URL of a link to an external document.
+ * @param text {string}
+ * @returns {URL|null} The URL, or null if the text is not a URL with a scheme allowed for links.
+ */
+function parseLinkUrl(text) {
+	let url;
+	try {
+		url = new URL(text);
+	}
+	catch(error) {
+		return null;
+	}
+	return linkUrlProtocols.includes(url.protocol) ? url : null;
+}
+
 class SelectBrush extends Brush {
 	constructor(context) {
 		super(context);
@@ -4192,7 +8384,19 @@ class SelectBrush extends Brush {
 		let ret;
 
 		if(this.context.hoveringOverSelection()) {
-			ret = new TranslateEvent(this.context, where, Array.from(this.context.selection.getOrigins()));
+			// Selecting works on any layer, but moving needs every selected object to be editable.
+			const nodeRefs = Array.from(this.context.selection.getOrigins());
+			let editable = true;
+			for(const nodeRef of nodeRefs) {
+				if(!(await this.context.checkNodeEditable(nodeRef))) {
+					editable = false;
+					break;
+				}
+			}
+
+			if(editable) {
+				ret = new TranslateEvent(this.context, where, nodeRefs);
+			}
 		}
 		else {
 			await this.context.updateSelection(new Selection(this, []));
@@ -4272,7 +8476,7 @@ class SelectBrush extends Brush {
 				container.appendChild(nameRow);
 
 				const submit = async () => {
-					await this.context.performAction(new ChangeNameAction(this.context, {nodeRef: nodeRef, name: nameInput.value}), true);
+					await this.performDetailsAction(nodeRef, new ChangeNameAction(this.context, {nodeRef: nodeRef, name: nameInput.value}));
 				};
 
 				const nameInput = document.createElement("input");
@@ -4292,6 +8496,8 @@ class SelectBrush extends Brush {
 					submit();
 				};
 				nameRow.appendChild(nameButton);
+
+				await this.displayDetails(nodeRef, container);
 			}
 			else if(originNodeRefs.length > 1) {
 				const mergeAction = new MergeAction(this.context, {nodeRefs: originNodeRefs});
@@ -4322,6 +8528,310 @@ class SelectBrush extends Brush {
 			await make();
 		});
 	}
+
+	/** Perform an action that edits the label or details of a node, unless the layer of the node cannot be edited.
+	 * @param nodeRef {NodeRef}
+	 * @param action {Action}
+	 */
+	async performDetailsAction(nodeRef, action) {
+		if(await this.context.checkNodeEditable(nodeRef)) {
+			await this.context.performAction(action, true);
+		}
+	}
+
+	/** Display the notes, tags, and custom fields of a node for editing.
+	 * Every change is an undoable action; the sidebar is redrawn after each one.
+	 * @param nodeRef {NodeRef}
+	 * @param container {HTMLElement}
+	 */
+	async displayDetails(nodeRef, container) {
+		const changeProperty = async (property, type, value) => {
+			await this.performDetailsAction(nodeRef, new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: property, type: type, value: value}));
+		};
+
+		const addSubmitButton = (row, input, submit) => {
+			input.addEventListener("keyup", (event) => {
+				if(event.key === "Enter") {
+					submit();
+					event.preventDefault();
+				}
+			});
+
+			const button = document.createElement("button");
+			button.innerText = "💾";
+			button.onclick = () => {
+				submit();
+			};
+			row.appendChild(button);
+		};
+
+		const notesLabel = document.createElement("h2");
+		notesLabel.innerText = "Notes";
+		container.appendChild(notesLabel);
+
+		const notesRow = document.createElement("div");
+		notesRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(notesRow);
+
+		const notesInput = document.createElement("textarea");
+		notesInput.setAttribute("rows", 4);
+		notesInput.setAttribute("style", "width: 100%; resize: vertical");
+		notesInput.value = (await nodeRef.getPString("notes")) || "";
+		notesInput.onchange = async () => {
+			await changeProperty("notes", "string", notesInput.value);
+		};
+		notesRow.appendChild(notesInput);
+
+		const tagsLabel = document.createElement("h2");
+		tagsLabel.innerText = "Tags";
+		container.appendChild(tagsLabel);
+
+		const tagsRow = document.createElement("div");
+		tagsRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(tagsRow);
+
+		const tagsInput = document.createElement("input");
+		tagsInput.setAttribute("size", 1);
+		tagsInput.setAttribute("placeholder", "comma, separated");
+		tagsInput.value = (await nodeRef.getTags()).join(", ");
+		tagsRow.appendChild(tagsInput);
+		addSubmitButton(tagsRow, tagsInput, async () => {
+			const tags = tagsInput.value.split(",").map((tag) => tag.trim()).filter((tag) => tag.length > 0);
+			await changeProperty("tags", "string", tags.join(","));
+		});
+
+		const fieldsLabel = document.createElement("h2");
+		fieldsLabel.innerText = "Fields";
+		container.appendChild(fieldsLabel);
+
+		const fields = await nodeRef.getFields();
+		const fieldDefinitions = fields.map((field) => ({name: field.name, type: field.type}));
+
+		for(const field of fields) {
+			const fieldRow = document.createElement("div");
+			fieldRow.setAttribute("class", "mapper1024_property_row");
+			container.appendChild(fieldRow);
+
+			const fieldName = document.createElement("span");
+			fieldName.innerText = `${field.name} `;
+			fieldRow.appendChild(fieldName);
+
+			const propertyName = NodeRef.getFieldPropertyName(field.name);
+
+			const valueInput = document.createElement("input");
+			valueInput.setAttribute("size", 1);
+			if(field.type === "number") {
+				valueInput.setAttribute("type", "number");
+				valueInput.setAttribute("step", "any");
+			}
+			valueInput.value = (field.value === null || field.value === undefined) ? "" : field.value;
+			fieldRow.appendChild(valueInput);
+			addSubmitButton(fieldRow, valueInput, async () => {
+				if(field.type === "number") {
+					await changeProperty(propertyName, "number", (valueInput.value === "") ? null : +valueInput.value);
+				}
+				else {
+					await changeProperty(propertyName, "string", valueInput.value);
+				}
+			});
+
+			const removeButton = document.createElement("button");
+			removeButton.innerText = "🗑";
+			removeButton.setAttribute("title", `Remove field "${field.name}"`);
+			removeButton.onclick = async () => {
+				const remainingDefinitions = fieldDefinitions.filter((definition) => definition.name !== field.name);
+				await this.performDetailsAction(nodeRef, new BulkAction(this.context, {actions: [
+					new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: propertyName, type: field.type, value: null}),
+					new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: "fields", type: "string", value: JSON.stringify(remainingDefinitions)}),
+				]}));
+			};
+			fieldRow.appendChild(removeButton);
+		}
+
+		const addFieldRow = document.createElement("div");
+		addFieldRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(addFieldRow);
+
+		const newNameInput = document.createElement("input");
+		newNameInput.setAttribute("size", 1);
+		newNameInput.setAttribute("placeholder", "Field");
+		addFieldRow.appendChild(newNameInput);
+
+		const newTypeSelect = document.createElement("select");
+		for(const [type, description] of [["string", "Text"], ["number", "Number"]]) {
+			const option = document.createElement("option");
+			option.value = type;
+			option.innerText = description;
+			newTypeSelect.appendChild(option);
+		}
+		addFieldRow.appendChild(newTypeSelect);
+
+		const newValueInput = document.createElement("input");
+		newValueInput.setAttribute("size", 1);
+		newValueInput.setAttribute("placeholder", "Value");
+		newTypeSelect.onchange = () => {
+			newValueInput.setAttribute("type", (newTypeSelect.value === "number") ? "number" : "text");
+		};
+		addFieldRow.appendChild(newValueInput);
+
+		const addField = async () => {
+			const name = newNameInput.value.trim();
+			const type = newTypeSelect.value;
+			if(name.length === 0 || fieldDefinitions.some((definition) => definition.name === name)) {
+				newNameInput.focus();
+				return;
+			}
+
+			let value = newValueInput.value;
+			if(type === "number") {
+				value = (value === "") ? null : +value;
+			}
+
+			await this.performDetailsAction(nodeRef, new BulkAction(this.context, {actions: [
+				new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: "fields", type: "string", value: JSON.stringify(fieldDefinitions.concat([{name: name, type: type}]))}),
+				new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: NodeRef.getFieldPropertyName(name), type: type, value: value}),
+			]}));
+		};
+
+		newNameInput.addEventListener("keyup", (event) => {
+			if(event.key === "Enter") {
+				addField();
+				event.preventDefault();
+			}
+		});
+		newValueInput.addEventListener("keyup", (event) => {
+			if(event.key === "Enter") {
+				addField();
+				event.preventDefault();
+			}
+		});
+
+		const addButton = document.createElement("button");
+		addButton.innerText = "＋";
+		addButton.setAttribute("title", "Add a field");
+		addButton.onclick = () => {
+			addField();
+		};
+		addFieldRow.appendChild(addButton);
+
+		await this.displayLinks(nodeRef, container);
+	}
+
+	/** Display the links of a node to other nodes and to external documents, for following and editing.
+	 * @param nodeRef {NodeRef}
+	 * @param container {HTMLElement}
+	 */
+	async displayLinks(nodeRef, container) {
+		const links = await nodeRef.getLinks();
+
+		const changeLinks = async (newLinks) => {
+			await this.performDetailsAction(nodeRef, new ChangePropertyAction(this.context, {nodeRef: nodeRef, property: "links", type: "string", value: JSON.stringify(newLinks)}));
+		};
+
+		const linksLabel = document.createElement("h2");
+		linksLabel.innerText = "Links";
+		container.appendChild(linksLabel);
+
+		for(const link of links) {
+			const linkRow = document.createElement("div");
+			linkRow.setAttribute("class", "mapper1024_property_row");
+			container.appendChild(linkRow);
+
+			if(link.node !== undefined) {
+				const targetRef = this.context.mapper.backend.getNodeRef(link.node);
+				const valid = await targetRef.valid();
+
+				const linkButton = document.createElement("button");
+				if(valid) {
+					linkButton.innerText = (await targetRef.getPString("name")) || `${(await targetRef.getType()).getDescription()} #${targetRef.id}`;
+					linkButton.setAttribute("title", `Go to node #${targetRef.id}`);
+					linkButton.onclick = async () => {
+						await this.context.jumpToNode(targetRef);
+					};
+				}
+				else {
+					linkButton.innerText = `#${targetRef.id} (removed)`;
+					linkButton.disabled = true;
+				}
+				linkRow.appendChild(linkButton);
+			}
+			else {
+				const url = parseLinkUrl(link.url);
+				// Links with other schemes may come from an imported map; show them without making them clickable.
+				const a = document.createElement(url ? "a" : "span");
+				if(url) {
+					a.href = url.href;
+					a.target = "_blank";
+					a.rel = "noopener noreferrer";
+				}
+				else {
+					a.setAttribute("title", "Only http, https, and mailto links can be followed");
+				}
+				a.innerText = link.url;
+				a.setAttribute("style", "overflow: hidden; text-overflow: ellipsis; white-space: nowrap");
+				linkRow.appendChild(a);
+			}
+
+			const removeButton = document.createElement("button");
+			removeButton.innerText = "🗑";
+			removeButton.setAttribute("title", "Remove link");
+			removeButton.onclick = async () => {
+				await changeLinks(links.filter((otherLink) => otherLink !== link));
+			};
+			linkRow.appendChild(removeButton);
+		}
+
+		const addLinkRow = document.createElement("div");
+		addLinkRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(addLinkRow);
+
+		const linkInput = document.createElement("input");
+		linkInput.setAttribute("size", 1);
+		linkInput.setAttribute("placeholder", "#node ID or URL");
+		addLinkRow.appendChild(linkInput);
+
+		const addLink = async () => {
+			const text = linkInput.value.trim();
+			const nodeMatch = text.match(/^#?(\d+)$/);
+
+			let link;
+			if(nodeMatch) {
+				const targetRef = this.context.mapper.backend.getNodeRef(+nodeMatch[1]);
+				// Only nodes have a node type; other entities such as edges cannot be linked to.
+				if(!(await targetRef.valid()) || (await targetRef.getPString("type")) === undefined) {
+					alert(`There is no node #${nodeMatch[1]} in this map.`);
+					return;
+				}
+				// Links to points of an object lead to the object itself.
+				link = {node: (await this.context.objectNode(targetRef)).id};
+			}
+			else {
+				const url = parseLinkUrl(text);
+				if(url === null) {
+					alert(`"${text}" is neither a node ID nor an http, https, or mailto URL.`);
+					return;
+				}
+				link = {url: url.href};
+			}
+
+			await changeLinks(links.concat([link]));
+		};
+
+		linkInput.addEventListener("keyup", (event) => {
+			if(event.key === "Enter") {
+				addLink();
+				event.preventDefault();
+			}
+		});
+
+		const addButton = document.createElement("button");
+		addButton.innerText = "＋";
+		addButton.setAttribute("title", "Add a link to another node (by ID) or to a web page");
+		addButton.onclick = () => {
+			addLink();
+		};
+		addLinkRow.appendChild(addButton);
+	}
 }
 
 class RectangleSelectBrush extends Brush {
@@ -4408,20 +8918,89 @@ class Brushbar {
 
 		this.element.appendChild(document.createElement("hr"));
 
-		this.systemButtons = document.createElement("span");
-		this.element.appendChild(this.systemButtons);
+		this.systemButtons = document.createElement("span");
+		this.element.appendChild(this.systemButtons);
+
+		this.element.appendChild(document.createElement("hr"));
+
+		if(this.context.inNormalMode()) {
+			const exportButton = document.createElement("button");
+			exportButton.setAttribute("class", "mapper1024_zoom_button");
+			exportButton.setAttribute("title", "Export [shortcut: Control+e]");
+			exportButton.innerText = "📷 Export as image...";
+			exportButton.onclick = () => {
+				this.context.openExportModal();
+			};
+			this.element.appendChild(exportButton);
+
+			const geoJsonExportButton = document.createElement("button");
+			geoJsonExportButton.setAttribute("class", "mapper1024_zoom_button");
+			geoJsonExportButton.setAttribute("title", "Download the map objects as GeoJSON, for GIS tools and web maps");
+			geoJsonExportButton.innerText = "🗺 Export as GeoJSON";
+			geoJsonExportButton.onclick = async () => {
+				const geoJson = await new GeoJsonExporter(this.context.mapper).export();
+
+				const a = document.createElement("a");
+				const url = window.URL.createObjectURL(new Blob([JSON.stringify(geoJson)], {type: "application/geo+json"}));
+				a.href = url;
+				a.download = "map.geojson";
+				a.click();
+				window.URL.revokeObjectURL(url);
+
+				this.context.focus();
+			};
+			this.element.appendChild(geoJsonExportButton);
+
+			const geoJsonImportButton = document.createElement("button");
+			geoJsonImportButton.setAttribute("class", "mapper1024_zoom_button");
+			geoJsonImportButton.setAttribute("title", "Add the features of a GeoJSON file to the map as objects");
+			geoJsonImportButton.innerText = "📥 Import GeoJSON...";
+			geoJsonImportButton.onclick = () => {
+				const input = document.createElement("input");
+				input.type = "file";
+				input.accept = ".geojson,.json,application/geo+json,application/json";
+
+				input.onchange = async () => {
+					const metersPerUnitText = prompt("Meters per unit of the GeoJSON coordinates:", "1");
+					if(metersPerUnitText === null) {
+						return;
+					}
+
+					const metersPerUnit = parseFloat(metersPerUnitText);
+					if(!(metersPerUnit > 0) || !Number.isFinite(metersPerUnit)) {
+						this.context.pushInfoMessage("The meters per unit must be a positive number");
+						this.context.focus();
+						return;
+					}
+
+					try {
+						const geoJson = JSON.parse(await input.files[0].text());
+						const importer = new GeoJsonImporter(this.context.mapper, {scale: this.context.mapper.metersToUnits(metersPerUnit)});
+						await importer.importInto(this.context, geoJson);
+					}
+					catch(error) {
+						this.context.pushInfoMessage(`Could not import the GeoJSON file: ${error}`);
+					}
 
-		this.element.appendChild(document.createElement("hr"));
+					this.context.focus();
+				};
 
-		if(this.context.inNormalMode()) {
-			const exportButton = document.createElement("button");
-			exportButton.setAttribute("class", "mapper1024_zoom_button");
-			exportButton.setAttribute("title", "Export [shortcut: Control+e]");
-			exportButton.innerText = "📷 Export as image...";
-			exportButton.onclick = () => {
-				this.context.openExportModal();
+				input.click();
 			};
-			this.element.appendChild(exportButton);
+			this.element.appendChild(geoJsonImportButton);
+
+			const cleanUpButton = document.createElement("button");
+			cleanUpButton.setAttribute("class", "mapper1024_zoom_button");
+			cleanUpButton.setAttribute("title", "Permanently delete removed parts of the map that can no longer be restored by undo, to make the map file smaller");
+			cleanUpButton.innerText = "🧹 Clean up map";
+			cleanUpButton.onclick = async () => {
+				cleanUpButton.disabled = true;
+				const deleted = await this.context.cleanUpMap();
+				cleanUpButton.innerText = `🧹 Clean up map (${deleted} removed)`;
+				cleanUpButton.disabled = false;
+				this.context.focus();
+			};
+			this.element.appendChild(cleanUpButton);
 
 			this.element.appendChild(document.createElement("hr"));
 		}
@@ -4587,7 +9166,7 @@ class Brushbar {
 		const reset = document.createElement("button");
 		reset.setAttribute("class", "mapper1024_zoom_button");
 		reset.innerText = "↺";
-		reset.setAttribute("title", "Reset zoom and pan [shortcut: Control+c]");
+		reset.setAttribute("title", "Reset zoom and pan [shortcut: Control+0]");
 		reset.onclick = async () => {
 			await this.context.resetOrientation();
 			this.context.focus();
@@ -4606,6 +9185,82 @@ class Brushbar {
 
 		this.element.appendChild(document.createElement("hr"));
 
+		{
+			const bookmarksLabel = document.createElement("div");
+			bookmarksLabel.innerText = "Bookmarks:";
+			bookmarksLabel.setAttribute("title", "Saved views of the map [shortcut: '[' and ']' to cycle through them]");
+			this.element.appendChild(bookmarksLabel);
+
+			const bookmarksList = document.createElement("div");
+			this.element.appendChild(bookmarksList);
+
+			const updateBookmarks = async () => {
+				const bookmarks = await this.context.mapper.getBookmarks();
+
+				bookmarksList.innerText = "";
+
+				for(const bookmark of bookmarks) {
+					const bookmarkRow = document.createElement("div");
+					bookmarkRow.setAttribute("class", "mapper1024_property_row");
+					bookmarksList.appendChild(bookmarkRow);
+
+					const recallButton = document.createElement("button");
+					recallButton.innerText = bookmark.name;
+					recallButton.setAttribute("title", `Go to "${bookmark.name}"`);
+					recallButton.onclick = async () => {
+						this.context.focus();
+						await this.context.recallBookmark(bookmark);
+					};
+					bookmarkRow.appendChild(recallButton);
+
+					if(this.context.inNormalMode()) {
+						const renameButton = document.createElement("button");
+						renameButton.innerText = "✎";
+						renameButton.setAttribute("title", "Rename bookmark");
+						renameButton.onclick = async () => {
+							const name = prompt("New name of the bookmark:", bookmark.name);
+							if(name !== null) {
+								await this.context.performAction(new ChangeBookmarksAction(this.context, {bookmarks: bookmarks.map((otherBookmark) => (otherBookmark === bookmark) ? merge(bookmark, {name: name}) : otherBookmark)}), true);
+							}
+							this.context.focus();
+						};
+						bookmarkRow.appendChild(renameButton);
+
+						const removeButton = document.createElement("button");
+						removeButton.innerText = "🗑";
+						removeButton.setAttribute("title", "Remove bookmark");
+						removeButton.onclick = async () => {
+							await this.context.performAction(new ChangeBookmarksAction(this.context, {bookmarks: bookmarks.filter((otherBookmark) => otherBookmark !== bookmark)}), true);
+							this.context.focus();
+						};
+						bookmarkRow.appendChild(removeButton);
+					}
+				}
+			};
+
+			if(this.context.inNormalMode()) {
+				const addBookmarkButton = document.createElement("button");
+				addBookmarkButton.setAttribute("class", "mapper1024_zoom_button");
+				addBookmarkButton.innerText = "🔖 Bookmark this view...";
+				addBookmarkButton.onclick = async () => {
+					const name = prompt("Name of the bookmark:", `Bookmark ${(await this.context.mapper.getBookmarks()).length + 1}`);
+					if(name !== null) {
+						await this.context.addBookmark(name);
+					}
+					this.context.focus();
+				};
+				this.element.appendChild(addBookmarkButton);
+			}
+
+			updateBookmarks().catch((error) => this.context.pushInfoMessage(`Could not show the bookmarks: ${error}`));
+			this.context.mapper.hooks.add("changeBookmarks", updateBookmarks);
+			this.context.hooks.add("disconnect", () => {
+				this.context.mapper.hooks.remove("changeBookmarks", updateBookmarks);
+			});
+
+			this.element.appendChild(document.createElement("hr"));
+		}
+
 		if(this.context.inControlledMode()) {
 			const size = document.createElement("span");
 
@@ -4691,30 +9346,153 @@ class Brushbar {
 				this.element.appendChild(document.createElement("hr"));
 
 				const layerButtonContainer = document.createElement("div");
-				layerButtonContainer.setAttribute("class", "mapper1024_brush_button_container");
 				this.element.appendChild(layerButtonContainer);
 
-				const layerButton = (layer) => {
+				const layerRegistry = this.context.mapper.backend.layerRegistry;
+
+				// Change the layer definitions through an undoable action.
+				const changeLayers = async (change) => {
+					const definitions = layerRegistry.getLayerDefinitions();
+					change(definitions);
+					await this.context.performAction(new ChangeLayersAction(this.context, {definitions: definitions}), true);
+					this.context.focus();
+				};
+
+				const layerRow = (layer, layers) => {
+					const row = document.createElement("div");
+					row.setAttribute("class", "mapper1024_property_row");
+
+					// Dragging a row onto another moves the layer to that position.
+					row.draggable = true;
+					row.ondragstart = (event) => {
+						event.dataTransfer.setData("text/plain", layer.id);
+					};
+					row.ondragover = (event) => {
+						event.preventDefault();
+					};
+					row.ondrop = async (event) => {
+						event.preventDefault();
+						const draggedLayer = layerRegistry.get(event.dataTransfer.getData("text/plain"));
+						if(draggedLayer && draggedLayer !== layer) {
+							const order = layers.filter((otherLayer) => otherLayer !== draggedLayer);
+							order.splice(layers.indexOf(layer), 0, draggedLayer);
+							await changeLayers((definitions) => {
+								// The list is from top to bottom.
+								order.forEach((otherLayer, i) => {
+									definitions[otherLayer.id].z = (order.length - i) * 10;
+								});
+							});
+						}
+					};
+
 					const button = document.createElement("button");
 					button.setAttribute("class", "mapper1024_brush_button");
 					button.innerText = layer.getDescription();
-					button.title = `Switch to the ${layer.getDescription()} layer [shortcut: 'l']`;
+					button.title = `Switch to the ${layer.getDescription()} layer [shortcut: 'l']; double-click to rename; drag to reorder`;
+					button.style["font-weight"] = layer.id === this.context.getCurrentLayer().id ? "bold" : "normal";
 					button.onclick = () => {
 						this.context.setCurrentLayer(layer);
 						this.context.focus();
 					};
+					button.ondblclick = async () => {
+						const name = prompt("New name of the layer:", layer.getDescription());
+						if(name !== null) {
+							await changeLayers((definitions) => {
+								definitions[layer.id].name = name;
+							});
+						}
+					};
+					row.appendChild(button);
+
+					const visibleButton = document.createElement("button");
+					visibleButton.innerText = layer.isVisible() ? "👁" : "—";
+					visibleButton.title = layer.isVisible() ? "Hide layer" : "Show layer";
+					visibleButton.onclick = async () => {
+						await changeLayers((definitions) => {
+							definitions[layer.id].visible = !layer.isVisible();
+						});
+					};
+					row.appendChild(visibleButton);
+
+					const lockButton = document.createElement("button");
+					lockButton.innerText = layer.isLocked() ? "🔒" : "🔓";
+					lockButton.title = layer.isLocked() ? "Unlock layer" : "Lock layer against editing";
+					lockButton.onclick = async () => {
+						await changeLayers((definitions) => {
+							definitions[layer.id].locked = !layer.isLocked();
+						});
+					};
+					row.appendChild(lockButton);
+
+					const opacityInput = document.createElement("input");
+					opacityInput.type = "range";
+					opacityInput.min = 0;
+					opacityInput.max = 100;
+					opacityInput.value = Math.round(layer.getOpacity() * 100);
+					opacityInput.title = "Layer opacity";
+					opacityInput.onchange = async () => {
+						await changeLayers((definitions) => {
+							definitions[layer.id].opacity = opacityInput.value / 100;
+						});
+					};
+					row.appendChild(opacityInput);
 
-					this.context.hooks.add("current_layer_change", (newLayer) => {
-						button.style["font-weight"] = layer.id === newLayer.id ? "bold" : "normal";
-					});
+					return row;
+				};
 
-					return button;
+				const updateLayerRows = () => {
+					layerButtonContainer.innerHTML = "";
+
+					// List the top layer first.
+					const layers = Array.from(layerRegistry.getLayers()).reverse();
+					for(const layer of layers) {
+						layerButtonContainer.appendChild(layerRow(layer, layers));
+					}
+
+					const newLayerRow = document.createElement("div");
+					newLayerRow.setAttribute("class", "mapper1024_property_row");
+					layerButtonContainer.appendChild(newLayerRow);
+
+					const typeSelect = document.createElement("select");
+					typeSelect.title = "Kind of the new layer, which decides what can be placed on it";
+					for(const type of ["geographical", "political", "annotation"]) {
+						const option = document.createElement("option");
+						option.value = type;
+						option.innerText = type;
+						option.selected = type === this.context.getCurrentLayer().getType();
+						typeSelect.appendChild(option);
+					}
+					newLayerRow.appendChild(typeSelect);
+
+					const newLayerButton = document.createElement("button");
+					newLayerButton.innerText = "＋ New layer";
+					newLayerButton.onclick = async () => {
+						const name = prompt("Name of the new layer:");
+						if(name !== null) {
+							let i = 1;
+							while(layerRegistry.get(`layer${i}`)) {
+								i++;
+							}
+							const id = `layer${i}`;
+
+							const topZ = Math.max(...Array.from(layerRegistry.getLayers()).map((layer) => layer.getZ()));
+							await changeLayers((definitions) => {
+								definitions[id] = {
+									type: typeSelect.value,
+									name: name,
+									z: topZ + 10,
+								};
+							});
+
+							this.context.setCurrentLayer(layerRegistry.get(id));
+						}
+					};
+					newLayerRow.appendChild(newLayerButton);
 				};
 
-				for(const layer of this.context.mapper.backend.layerRegistry.getLayers()) {
-					const button = layerButton(layer);
-					layerButtonContainer.appendChild(button);
-				}
+				updateLayerRows();
+				this.context.hooks.add("current_layer_change", updateLayerRows);
+				this.context.hooks.add("layers_change", updateLayerRows);
 
 				this.element.appendChild(document.createElement("hr"));
 			}
@@ -4766,6 +9544,331 @@ class Brushbar {
 	}
 }
 
+/** Lays out a printable poster page around a rendered map: a title, the map with a scale bar and a compass rose,
+ * and a legend of the node types in the exported area, all within page margins.
+ * Sizes are based on the physical paper size, so the page looks the same at any resolution.
+ */
+class PosterLayout {
+	/** Options may have keys:
+	 * - title: the title of the poster, or an empty string for none
+	 * - paperSize: the name of a paper size in PosterLayout.paperSizes
+	 * - orientation: "portrait" or "landscape"
+	 * - dpi: the resolution of the page in pixels per inch
+	 * - margin: the page margin in millimeters
+	 */
+	constructor(mapper, options) {
+		this.mapper = mapper;
+
+		this.options = merge({
+			title: "",
+			paperSize: "A4",
+			orientation: "portrait",
+			dpi: 300,
+			margin: 12,
+		}, options);
+	}
+
+	/** Get the size of the page.
+	 * @returns {Vector3} The width and height of the page in millimeters.
+	 */
+	getPaperSize() {
+		const [width, height] = PosterLayout.paperSizes[this.options.paperSize];
+		return (this.options.orientation === "landscape") ? new Vector3(height, width, 0) : new Vector3(width, height, 0);
+	}
+
+	/** Convert a length on paper to pixels of the page.
+	 * @param mm {number} The length in millimeters.
+	 * @returns {number}
+	 */
+	mmToPixels(mm) {
+		return Math.round(mm / 25.4 * this.options.dpi);
+	}
+
+	/** Get the node types to show in the legend: those of the visible objects in an area, from the bottom layer up.
+	 * @param box {Box3} The area of the map, in map units.
+	 * @returns {Array.<NodeType>}
+	 */
+	async getLegendNodeTypes(box) {
+		if(this.legendNodeTypes === undefined) {
+			const nodeTypes = new Map();
+			for await (const nodeRef of this.mapper.getObjectNodesTouchingArea(new Box3(new Vector3(box.a.x, box.a.y, -Infinity), new Vector3(box.b.x, box.b.y, Infinity)), 0)) {
+				const layer = await nodeRef.getLayer();
+				const nodeType = await nodeRef.getType();
+				if(layer.isVisible() && !nodeTypes.has(nodeType.id)) {
+					nodeTypes.set(nodeType.id, {nodeType: nodeType, z: layer.getZ()});
+				}
+			}
+
+			this.legendNodeTypes = Array.from(nodeTypes.values()).sort((a, b) => a.z - b.z).map((entry) => entry.nodeType);
+		}
+
+		return this.legendNodeTypes;
+	}
+
+	/** Calculate the legend layout: entries in as many columns as fit across the page.
+	 * @returns {Object} An object with keys "columns", "rows", "entryWidth", "entryHeight", and "height" (all in pixels).
+	 */
+	async getLegendLayout(box) {
+		const entryWidth = this.mmToPixels(48);
+		const entryHeight = this.mmToPixels(8);
+		const contentWidth = this.mmToPixels(this.getPaperSize().x - this.options.margin * 2);
+		const count = (await this.getLegendNodeTypes(box)).length;
+
+		const columns = Math.max(1, Math.floor(contentWidth / entryWidth));
+		const rows = Math.ceil(count / columns);
+
+		return {
+			columns: columns,
+			rows: rows,
+			entryWidth: entryWidth,
+			entryHeight: entryHeight,
+			height: (rows > 0) ? rows * entryHeight + this.mmToPixels(6) : 0,
+		};
+	}
+
+	/** Get the part of the page the map is drawn in, fitted to the shape of the exported area.
+	 * @param box {Box3} The area of the map, in map units.
+	 * @returns {Box3} The area on the page, in pixels.
+	 */
+	async getMapArea(box) {
+		const paper = this.getPaperSize();
+		const margin = this.mmToPixels(this.options.margin);
+		const titleHeight = this.options.title ? this.mmToPixels(16) : 0;
+		const legendHeight = (await this.getLegendLayout(box)).height;
+
+		const available = new Box3(new Vector3(margin, margin + titleHeight, 0), new Vector3(this.mmToPixels(paper.x) - margin, this.mmToPixels(paper.y) - margin - legendHeight, 0));
+		const availableSize = available.size();
+		const boxSize = box.size();
+
+		const scale = Math.min(availableSize.x / boxSize.x, availableSize.y / boxSize.y);
+		const size = new Vector3(Math.floor(boxSize.x * scale), Math.floor(boxSize.y * scale), 0);
+		const corner = available.a.add(availableSize.subtract(size).divideScalar(2)).map(Math.floor);
+
+		return new Box3(corner, corner.add(size));
+	}
+
+	/** Compose the poster page.
+	 * @param box {Box3} The area of the map, in map units.
+	 * @param mapCanvas {HTMLCanvasElement} The rendered map of the area.
+	 * @returns {HTMLCanvasElement} The page.
+	 */
+	async compose(box, mapCanvas) {
+		const paper = this.getPaperSize();
+		const mapArea = await this.getMapArea(box);
+		const mapSize = mapArea.size();
+
+		const canvas = document.createElement("canvas");
+		canvas.width = this.mmToPixels(paper.x);
+		canvas.height = this.mmToPixels(paper.y);
+
+		const c = canvas.getContext("2d");
+
+		c.fillStyle = "white";
+		c.fillRect(0, 0, canvas.width, canvas.height);
+
+		if(this.options.title) {
+			c.fillStyle = "black";
+			c.font = `bold ${this.mmToPixels(9)}px serif`;
+			c.textAlign = "center";
+			c.textBaseline = "middle";
+			c.fillText(this.options.title, canvas.width / 2, this.mmToPixels(this.options.margin + 7), canvas.width - this.mmToPixels(this.options.margin * 2));
+		}
+
+		c.drawImage(mapCanvas, mapArea.a.x, mapArea.a.y, mapSize.x, mapSize.y);
+
+		c.strokeStyle = "black";
+		c.lineWidth = this.mmToPixels(0.3);
+		c.strokeRect(mapArea.a.x, mapArea.a.y, mapSize.x, mapSize.y);
+
+		await this.drawScaleBar(c, box, mapArea);
+		await this.drawCompassRose(c, mapArea);
+		await this.drawLegend(c, box, mapArea);
+
+		return canvas;
+	}
+
+	/** Draw a scale bar of a round length in the bottom left corner of the map. */
+	async drawScaleBar(c, box, mapArea) {
+		const metersPerPixel = this.mapper.unitsToMeters(box.size().x / mapArea.size().x);
+
+		// The longest round length (1, 2, or 5 times a power of ten) that fits in a quarter of the map.
+		const maxMeters = metersPerPixel * mapArea.size().x / 4;
+		const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+		const meters = [5, 2, 1].map((m) => m * magnitude).find((m) => m <= maxMeters);
+		const barWidth = meters / metersPerPixel;
+
+		const formatMeters = (m) => (meters >= 1000) ? `${m / 1000}km` : `${m}m`;
+
+		const padding = this.mmToPixels(3);
+		const barHeight = this.mmToPixels(1.5);
+		const fontSize = this.mmToPixels(3);
+		const x = mapArea.a.x + padding * 2;
+		const y = mapArea.b.y - padding * 2 - barHeight;
+
+		c.globalAlpha = 0.75;
+		c.fillStyle = "white";
+		c.fillRect(x - padding, y - fontSize - padding * 1.5, barWidth + padding * 2, fontSize + barHeight + padding * 2.5);
+		c.globalAlpha = 1;
+
+		const segments = 4;
+		for(let i = 0; i < segments; i++) {
+			c.fillStyle = (i % 2 === 0) ? "black" : "white";
+			c.fillRect(x + barWidth * i / segments, y, barWidth / segments, barHeight);
+		}
+
+		c.strokeStyle = "black";
+		c.lineWidth = this.mmToPixels(0.2);
+		c.strokeRect(x, y, barWidth, barHeight);
+
+		c.fillStyle = "black";
+		c.font = `${fontSize}px sans-serif`;
+		c.textBaseline = "bottom";
+		for(const [fraction, align] of [[0, "left"], [0.5, "center"], [1, "right"]]) {
+			c.textAlign = align;
+			c.fillText(formatMeters(meters * fraction), x + barWidth * fraction, y - padding / 2);
+		}
+	}
+
+	/** Draw a compass rose in the top right corner of the map; north is always up. */
+	async drawCompassRose(c, mapArea) {
+		const radius = this.mmToPixels(6);
+		const center = new Vector3(mapArea.b.x - radius * 1.5, mapArea.a.y + radius * 1.75, 0);
+
+		c.globalAlpha = 0.75;
+		c.fillStyle = "white";
+		c.beginPath();
+		c.arc(center.x, center.y, radius * 1.3, 0, 2 * Math.PI, false);
+		c.fill();
+		c.globalAlpha = 1;
+
+		c.strokeStyle = "black";
+		c.lineWidth = this.mmToPixels(0.2);
+
+		// Four points, each split into a dark and a light half.
+		for(let i = 0; i < 4; i++) {
+			const angle = i * Math.PI / 2 - Math.PI / 2;
+			const tip = center.add(new Vector3(Math.cos(angle), Math.sin(angle), 0).multiplyScalar(radius));
+			for(const side of [-1, 1]) {
+				const base = center.add(new Vector3(Math.cos(angle + side * Math.PI / 4), Math.sin(angle + side * Math.PI / 4), 0).multiplyScalar(radius / 4));
+				c.fillStyle = (side === 1) ? "black" : "white";
+				c.beginPath();
+				c.moveTo(center.x, center.y);
+				c.lineTo(base.x, base.y);
+				c.lineTo(tip.x, tip.y);
+				c.closePath();
+				c.fill();
+				c.stroke();
+			}
+		}
+
+		c.fillStyle = "black";
+		c.font = `bold ${this.mmToPixels(3)}px serif`;
+		c.textAlign = "center";
+		c.textBaseline = "bottom";
+		c.fillText("N", center.x, center.y - radius);
+	}
+
+	/** Draw the legend below the map: a thumbnail and the description of each node type. */
+	async drawLegend(c, box, mapArea) {
+		const nodeTypes = await this.getLegendNodeTypes(box);
+		const layout = await this.getLegendLayout(box);
+		const left = this.mmToPixels(this.options.margin);
+		const top = mapArea.b.y + this.mmToPixels(6);
+		const thumbnailRadius = this.mmToPixels(2.5);
+
+		c.font = `${this.mmToPixels(3.5)}px sans-serif`;
+		c.textAlign = "left";
+		c.textBaseline = "middle";
+
+		for(let i = 0; i < nodeTypes.length; i++) {
+			const x = left + (i % layout.columns) * layout.entryWidth;
+			const y = top + Math.floor(i / layout.columns) * layout.entryHeight + layout.entryHeight / 2;
+
+			await NodeRender.drawThumbnailRadius(c, nodeTypes[i], x + thumbnailRadius, y, thumbnailRadius);
+
+			c.strokeStyle = "black";
+			c.lineWidth = this.mmToPixels(0.15);
+			c.strokeRect(x, y - thumbnailRadius, thumbnailRadius * 2, thumbnailRadius * 2);
+
+			c.fillStyle = "black";
+			c.fillText(nodeTypes[i].getDescription(), x + thumbnailRadius * 2 + this.mmToPixels(2), y, layout.entryWidth - thumbnailRadius * 2 - this.mmToPixels(4));
+		}
+	}
+
+	/** Create a single-page PDF document of the page at its paper size.
+	 * @param canvas {HTMLCanvasElement} The page, as returned by #compose().
+	 * @returns {Uint8Array}
+	 */
+	createPdf(canvas) {
+		const jpeg = base64ToBytes(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]);
+		// PDF sizes are in points.
+		const paper = this.getPaperSize();
+		const size = {x: (paper.x * 72 / 25.4).toFixed(2), y: (paper.y * 72 / 25.4).toFixed(2)};
+
+		const encoder = new TextEncoder();
+		const chunks = [];
+		const offsets = [];
+		let length = 0;
+
+		const write = (data) => {
+			if(typeof data === "string") {
+				data = encoder.encode(data);
+			}
+			chunks.push(data);
+			length += data.length;
+		};
+
+		const object = (...parts) => {
+			offsets.push(length);
+			write(`${offsets.length} 0 obj\n`);
+			for(const part of parts) {
+				write(part);
+			}
+			write("\nendobj\n");
+		};
+
+		// Text outside of ASCII must be UTF-16 with a byte order mark.
+		const textString = (text) => "<FEFF" + Array.from({length: text.length}, (_, i) => text.charCodeAt(i).toString(16).padStart(4, "0")).join("") + ">";
+
+		const content = `q ${size.x} 0 0 ${size.y} 0 0 cm /Im0 Do Q`;
+
+		write("%PDF-1.4\n");
+		object("<< /Type /Catalog /Pages 2 0 R >>");
+		object("<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+		object(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${size.x} ${size.y}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`);
+		object(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+		object(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream");
+		object(`<< /Title ${textString(this.options.title || "Map")} /Producer ${textString(`Mapper1024 v${version}`)} >>`);
+
+		const xrefOffset = length;
+		write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+		for(const offset of offsets) {
+			write(`${offset.toString().padStart(10, "0")} 00000 n \n`);
+		}
+		write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+		const pdf = new Uint8Array(length);
+		let position = 0;
+		for(const chunk of chunks) {
+			pdf.set(chunk, position);
+			position += chunk.length;
+		}
+		return pdf;
+	}
+}
+
+/** Paper sizes for posters, by name: width and height in millimeters, in portrait orientation. */
+PosterLayout.paperSizes = {
+	"A5": [148, 210],
+	"A4": [210, 297],
+	"A3": [297, 420],
+	"A2": [420, 594],
+	"A1": [594, 841],
+	"Letter": [215.9, 279.4],
+	"Legal": [215.9, 355.6],
+	"Tabloid": [279.4, 431.8],
+};
+
 class ExportUI {
 	constructor(context) {
 		this.context = context;
@@ -4781,18 +9884,88 @@ class ExportUI {
 		this.previewMapper.changeBrush(this.exportBrush);
 
 		const systemButtons = document.createElement("div");
-		systemButtons.setAttribute("class", "mapper1024_zoom_row");
 		this.previewMapper.brushbar.setSystemButtons(systemButtons);
 
+		const buttonRow = document.createElement("div");
+		buttonRow.setAttribute("class", "mapper1024_zoom_row");
+		systemButtons.appendChild(buttonRow);
+
+		const formatSelect = document.createElement("select");
+		formatSelect.setAttribute("title", "Export format");
+		for(const [value, text] of [["png", "PNG image"], ["poster-png", "Poster (PNG)"], ["poster-pdf", "Poster (PDF)"], ["svg", "SVG vector image"], ["tiled", "Tiled map for game engines"], ["heightmap", "Heightmap (grayscale PNG)"], ["heightmap-raw", "Heightmap (raw 32-bit floats)"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.innerText = text;
+			formatSelect.appendChild(option);
+		}
+		buttonRow.appendChild(formatSelect);
+
+		// Poster settings, only shown for poster formats.
+		const posterRow = document.createElement("div");
+		posterRow.setAttribute("class", "mapper1024_property_row");
+		posterRow.style.display = "none";
+		systemButtons.appendChild(posterRow);
+
+		const titleInput = document.createElement("input");
+		titleInput.setAttribute("type", "text");
+		titleInput.setAttribute("placeholder", "Title");
+		titleInput.setAttribute("title", "Title of the poster");
+		posterRow.appendChild(titleInput);
+
+		const paperSelect = document.createElement("select");
+		paperSelect.setAttribute("title", "Paper size");
+		for(const paperSize in PosterLayout.paperSizes) {
+			const option = document.createElement("option");
+			option.value = paperSize;
+			option.innerText = paperSize;
+			option.selected = paperSize === "A4";
+			paperSelect.appendChild(option);
+		}
+		posterRow.appendChild(paperSelect);
+
+		const orientationSelect = document.createElement("select");
+		orientationSelect.setAttribute("title", "Paper orientation");
+		for(const [value, text] of [["portrait", "Portrait"], ["landscape", "Landscape"]]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.innerText = text;
+			orientationSelect.appendChild(option);
+		}
+		posterRow.appendChild(orientationSelect);
+
+		formatSelect.onchange = () => {
+			posterRow.style.display = formatSelect.value.startsWith("poster-") ? "" : "none";
+		};
+
+		const exportAction = async () => {
+			if(formatSelect.value === "poster-png" || formatSelect.value === "poster-pdf") {
+				await this.exportPoster({
+					title: titleInput.value,
+					paperSize: paperSelect.value,
+					orientation: orientationSelect.value,
+				}, formatSelect.value === "poster-pdf");
+			}
+			else if(formatSelect.value === "svg") {
+				await this.exportSvg();
+			}
+			else if(formatSelect.value === "tiled") {
+				await this.exportTiled();
+			}
+			else if(formatSelect.value === "heightmap" || formatSelect.value === "heightmap-raw") {
+				await this.exportHeightmap(formatSelect.value === "heightmap-raw");
+			}
+			else {
+				await this.exportImage();
+			}
+		};
+
 		const exportButton = document.createElement("button");
 		exportButton.setAttribute("class", "mapper1024_zoom_button");
 		exportButton.setAttribute("title", "Export [Shortcut: Enter]");
 		exportButton.innerText = "📷 Export...";
 		exportButton.disabled = true;
-		exportButton.onclick = async () => {
-			await this.exportImage();
-		};
-		systemButtons.appendChild(exportButton);
+		exportButton.onclick = exportAction;
+		buttonRow.appendChild(exportButton);
 
 		this.exportBrush.hooks.add("change_box", async (box) => {
 			exportButton.disabled = !box;
@@ -4805,10 +9978,10 @@ class ExportUI {
 		cancelButton.onclick = () => {
 			this.close();
 		};
-		systemButtons.appendChild(cancelButton);
+		buttonRow.appendChild(cancelButton);
 
 		this.previewMapper.registerKeyboardShortcut((context, event) => event.key === "Escape", async () => this.close());
-		this.previewMapper.registerKeyboardShortcut((context, event) => event.key === "Enter" && !exportButton.disabled, async () => await this.exportImage());
+		this.previewMapper.registerKeyboardShortcut((context, event) => event.key === "Enter" && !exportButton.disabled, exportAction);
 
 		this.previewMapper.setScrollOffset(this.context.scrollOffset);
 		await this.previewMapper.forceZoom(this.context.zoom);
@@ -4820,39 +9993,161 @@ class ExportUI {
 		});
 	}
 
-	async exportImage() {
-		const box = this.exportBrush.absoluteCanvasBox();
+	async exportImage() {
+		const canvas = await this.renderMap(this.exportBrush.absoluteCanvasBox(), this.previewMapper.zoom);
+
+		const a = document.createElement("a");
+		a.href = canvas.toDataURL();
+		a.download = `Map export at ${new Date(Date.now()).toISOString()}.png`;
+		a.click();
+
+		this.close();
+	}
+
+	/** Render part of the map as it is displayed, without any UI.
+	 * @param box {Box3} The area to render, in absolute canvas pixels at the zoom level.
+	 * @param zoom {number} The zoom level to render at.
+	 * @returns {HTMLCanvasElement}
+	 */
+	async renderMap(box, zoom) {
+		const exportMapper = this.context.mapper.render(document.createElement("div"), {
+			mode: "export",
+			exportBox: box,
+		});
+
+		await exportMapper.forceZoom(zoom);
+		exportMapper.setScrollOffset(box.a);
+
+		let calculated = false;
+
+		await new Promise((resolve) => {
+			exportMapper.hooks.add("calculated", () => {
+				if(exportMapper.zoom === zoom) {
+					calculated = true;
+				}
+			});
+
+			exportMapper.hooks.add("drawn", () => {
+				if(calculated) {
+					resolve();
+				}
+			});
+		});
+
+		exportMapper.disconnect();
+
+		return exportMapper.canvas;
+	}
+
+	/** Export the selected area as a poster page, with the map rendered at the resolution of the page.
+	 * @param options {Object} Options for the PosterLayout.
+	 * @param pdf {boolean} Whether to export a PDF document rather than a PNG image.
+	 */
+	async exportPoster(options, pdf) {
+		const layout = new PosterLayout(this.context.mapper, options);
+		const box = this.exportBrush.box;
+
+		// Render the map in just enough detail for the page; the zoom level can only be so fine.
+		const mapArea = await layout.getMapArea(box);
+		const unitsPerPixel = box.size().x / mapArea.size().x;
+		const zoom = this.previewMapper.unitsPerPixelToZoom(unitsPerPixel);
+		const pixelBox = box.map(v => new Vector3(v.x, v.y, 0).map(c => Math.floor(c / this.previewMapper.zoomFactor(zoom))));
+		const mapCanvas = await this.renderMap(pixelBox, zoom);
+
+		const canvas = await layout.compose(box, mapCanvas);
+
+		const name = `${options.title || "Map"} poster at ${new Date(Date.now()).toISOString()}`;
+		const a = document.createElement("a");
+		if(pdf) {
+			const url = window.URL.createObjectURL(new Blob([layout.createPdf(canvas)], {type: "application/pdf"}));
+			a.href = url;
+			a.download = `${name}.pdf`;
+			a.click();
+			window.URL.revokeObjectURL(url);
+		}
+		else {
+			a.href = canvas.toDataURL();
+			a.download = `${name}.png`;
+			a.click();
+		}
+
+		this.close();
+	}
+
+	/** Export the selected area as an SVG vector image, drawn at the size it has in the preview. */
+	async exportSvg() {
+		const exporter = new SvgExporter(this.context.mapper, {
+			pixelsPerUnit: this.previewMapper.unitsToPixels(1),
+		});
+
+		const svg = await exporter.export(this.exportBrush.box);
+
+		const a = document.createElement("a");
+		const url = window.URL.createObjectURL(new Blob([svg], {type: "image/svg+xml"}));
+		a.href = url;
+		a.download = `Map export at ${new Date(Date.now()).toISOString()}.svg`;
+		a.click();
+		window.URL.revokeObjectURL(url);
+
+		this.close();
+	}
+
+	/** Export the selected area as a Tiled map, with tiles at the size they have in the preview.
+	 * Downloads the map and its tileset image as two files, which must be kept next to each other.
+	 */
+	async exportTiled() {
+		// The map names the tileset image by file name, so only use characters that browsers keep as they are when downloading.
+		const name = `map_export_${new Date(Date.now()).toISOString().replace(/[^0-9A-Za-z]/g, "-")}`;
 
-		const exportMapper = this.context.mapper.render(document.createElement("div"), {
-			mode: "export",
-			exportBox: box,
+		const exporter = new TiledExporter(this.context.mapper, {
+			pixelsPerUnit: this.previewMapper.unitsToPixels(1),
+			tilesetImageName: `${name}_tileset.png`,
 		});
 
-		await exportMapper.forceZoom(this.previewMapper.zoom);
-		exportMapper.setScrollOffset(box.a);
+		const {map, tilesetImage} = await exporter.export(this.exportBrush.box);
 
-		let calculated = false;
+		const a = document.createElement("a");
+		const url = window.URL.createObjectURL(new Blob([JSON.stringify(map)], {type: "application/json"}));
+		a.href = url;
+		a.download = `${name}.tmj`;
+		a.click();
+		window.URL.revokeObjectURL(url);
 
-		await new Promise((resolve) => {
-			exportMapper.hooks.add("calculated", () => {
-				if(exportMapper.zoom === this.previewMapper.zoom) {
-					calculated = true;
-				}
-			});
+		if(tilesetImage) {
+			const tilesetA = document.createElement("a");
+			tilesetA.href = tilesetImage.toDataURL();
+			tilesetA.download = `${name}_tileset.png`;
+			tilesetA.click();
+		}
 
-			exportMapper.hooks.add("drawn", () => {
-				if(calculated) {
-					resolve();
-				}
-			});
+		this.close();
+	}
+
+	/** Export the altitudes of the selected area in the current layer as a heightmap, with one sample per pixel of the preview.
+	 * @param raw {boolean} Whether to export raw 32-bit floats (in meters) rather than a grayscale PNG.
+	 */
+	async exportHeightmap(raw) {
+		const exporter = new HeightmapExporter(this.context.mapper, {
+			pixelsPerUnit: this.previewMapper.unitsToPixels(1),
+			layer: this.context.getCurrentLayer().id,
 		});
 
-		const a = document.createElement("a");
-		a.href = exportMapper.canvas.toDataURL();
-		a.download = `Map export at ${new Date(Date.now()).toISOString()}.png`;
-		a.click();
+		const heightmap = await exporter.export(this.exportBrush.box);
+		const name = `Map heightmap at ${new Date(Date.now()).toISOString()} (${heightmap.width}x${heightmap.height}, ${heightmap.min}m to ${heightmap.max}m)`;
 
-		exportMapper.disconnect();
+		const a = document.createElement("a");
+		if(raw) {
+			const url = window.URL.createObjectURL(new Blob([exporter.getRawData(heightmap)], {type: "application/octet-stream"}));
+			a.href = url;
+			a.download = `${name}.f32`;
+			a.click();
+			window.URL.revokeObjectURL(url);
+		}
+		else {
+			a.href = exporter.createImage(heightmap).toDataURL();
+			a.download = `${name}.png`;
+			a.click();
+		}
 
 		this.close();
 	}
@@ -4895,19 +10190,7 @@ class MegaTile {
 	 * @returns {part|null}
 	 */
 	async getDrawnNodePartAtPoint(absolutePoint, layer) {
-		// For each part in order of most recently rendered first
-		for(let i = this.parts.length - 1; i >= 0; i--) {
-			const part = this.parts[i];
-			// If this part is of a matching layer
-			if(layer.id === part.layer.id) {
-				// And if this part contains the target point
-				if(part.absolutePoint.subtract(absolutePoint).length() < part.radius) {
-					// Return this part.
-					return part;
-				}
-			}
-		}
-		return null;
+		return getDrawnNodePartAtPoint(this.parts, absolutePoint, layer);
 	}
 
 	/**
@@ -5026,6 +10309,26 @@ function style() {
 	flex: 3 1 0;
 	width: 3em;
 }
+
+.mapper1024_search {
+	position: absolute;
+	top: 0.5em;
+	left: 50%;
+	transform: translateX(-50%);
+	width: 20em;
+	background: white;
+	border: 1px solid black;
+	padding: 0.25em;
+}
+
+.mapper1024_search_results {
+	display: flex;
+	flex-direction: column;
+}
+
+.mapper1024_search_results > button {
+	text-align: left;
+}
 	`;
 	return styleElement;
 }
@@ -5142,6 +10445,21 @@ class RenderContext {
 		this.mapper.hooks.add("removeNodes", (nodeRefs) => this.recalculateNodesRemove(nodeRefs));
 		this.mapper.hooks.add("translateNodes", (nodeRefs) => this.recalculateNodesTranslate(nodeRefs));
 		this.mapper.hooks.add("update", this.requestUpdateSelection.bind(this));
+		this.mapper.hooks.add("changeNodeTypes", async () => {
+			// Any node may look different now.
+			NodeRender.clearFillStyles();
+			this.invalidateAllRenders();
+			await this.hooks.call("node_types_change");
+		});
+		this.mapper.hooks.add("changeLayers", async () => {
+			// The current layer may have been removed (e.g. by undo) or locked.
+			const currentLayer = this.mapper.backend.layerRegistry.get(this.getCurrentLayer().id);
+			if(currentLayer === undefined) {
+				this.setCurrentLayer(this.defaultLayer);
+			}
+			this.invalidateAllRenders();
+			await this.hooks.call("layers_change");
+		});
 
 		this.wasActivity = false;
 		this.lastActivity = performance.now();
@@ -5163,7 +10481,7 @@ class RenderContext {
 			if(this.mouseDragEvents[event.button] === undefined) {
 				const where = this.mouseEventToCanvasPoint(event);
 
-				if(event.button === 0) {
+				if(event.button === 0 && (!this.brush.editsCurrentLayer() || this.checkCurrentLayerEditable())) {
 					const dragEvent = await this.brush.activate(where);
 					if(dragEvent) {
 						this.mouseDragEvents[event.button] = dragEvent;
@@ -5204,6 +10522,14 @@ class RenderContext {
 			this.cancelMouseButtonPresses();
 		});
 
+		// Pasting goes through the paste event rather than Control+v, since only the event gets the clipboard without asking for permission.
+		this.canvas.addEventListener("paste", async (event) => {
+			if(this.inNormalMode()) {
+				event.preventDefault();
+				await this.paste(event.clipboardData ? event.clipboardData.getData("text/plain") : "");
+			}
+		});
+
 		this.canvas.addEventListener("keydown", async (event) => {
 			this.pressedKeys[event.key] = true;
 			for(const shortcut of this.keyboardShortcuts) {
@@ -5237,8 +10563,18 @@ class RenderContext {
 			};
 
 			const handleOrientationKeys = async () => {
-				if(this.isKeyDown("Control")) {
-					if(event.key === "c") {
+				if(event.key === "[") {
+					await this.cycleBookmarks(-1);
+					return true;
+				}
+				else if(event.key === "]") {
+					await this.cycleBookmarks(1);
+					return true;
+				}
+				else if(this.isKeyDown("Control")) {
+					if(event.key === "0") {
+						// Not the browser's zoom reset.
+						event.preventDefault();
 						await this.resetOrientation();
 						return true;
 					}
@@ -5271,6 +10607,14 @@ class RenderContext {
 				else if(this.isKeyDown("Control") && event.key === "e") {
 					this.openExportModal();
 				}
+				else if(this.isKeyDown("Control") && event.key === "c") {
+					await this.copySelection();
+				}
+				else if(this.isKeyDown("Control") && event.key === "d") {
+					// Not the browser's bookmark shortcut.
+					event.preventDefault();
+					await this.duplicateSelection();
+				}
 				else if(event.key === "1") {
 					this.changeBrush(this.brushes.peg1);
 				}
@@ -5298,19 +10642,42 @@ class RenderContext {
 					}
 				}
 				else if(event.key === "m") {
-					await this.performAction(new MergeAction(this, {nodeRefs: Array.from(this.selection.getOrigins())}), true);
+					const nodeRefs = Array.from(this.selection.getOrigins());
+					let editable = true;
+					for(const nodeRef of nodeRefs) {
+						if(!(await this.checkNodeEditable(nodeRef))) {
+							editable = false;
+							break;
+						}
+					}
+
+					if(editable) {
+						await this.performAction(new MergeAction(this, {nodeRefs: nodeRefs}), true);
+					}
 				}
 				else if(event.key === "l") {
+					// Cycle through the layers from bottom to top, skipping those that cannot be edited.
 					const layerArray = Array.from(this.mapper.backend.layerRegistry.getLayers());
 					const layerIdArray = layerArray.map(layer => layer.id);
-					this.setCurrentLayer(layerArray[(layerIdArray.indexOf(this.getCurrentLayer().id) + 1) % layerArray.length]);
+					const currentIndex = layerIdArray.indexOf(this.getCurrentLayer().id);
+					for(let i = 1; i < layerArray.length; i++) {
+						const layer = layerArray[(currentIndex + i) % layerArray.length];
+						if(layer.isVisible() && !layer.isLocked()) {
+							this.setCurrentLayer(layer);
+							break;
+						}
+					}
 				}
 				else if(event.key === "`") {
 					this.debugMode = !this.debugMode;
 				}
+				else if(event.key === "/" || (this.isKeyDown("Control") && event.key === "f")) {
+					event.preventDefault();
+					await this.openSearch();
+				}
 				else if(event.key === "n") {
 					const nodeRef = await this.hoverSelection.getParent();
-					if(nodeRef) {
+					if(nodeRef && await this.checkNodeEditable(nodeRef)) {
 						const where = (await this.getNamePosition(nodeRef)).center.subtract(this.scrollOffset);
 
 						const input = document.createElement("input");
@@ -5491,6 +10858,46 @@ class RenderContext {
 		}
 	}
 
+	/** Get the IDs of all entities that the undo and redo stacks refer to.
+	 * @returns {Set.<number>}
+	 */
+	getUndoEntityIds() {
+		const ids = new Set();
+
+		const visit = (value) => {
+			if(value instanceof EntityRef) {
+				ids.add(value.id);
+			}
+			else if(value instanceof Action) {
+				for(const key in value.options) {
+					visit(value.options[key]);
+				}
+			}
+			else if(Array.isArray(value) || value instanceof Set) {
+				for(const item of value) {
+					visit(item);
+				}
+			}
+		};
+
+		visit(this.undoStack);
+		visit(this.redoStack);
+
+		return ids;
+	}
+
+	/** Permanently delete removed parts of the map that undo and redo can no longer restore.
+	 * @returns {number} How many entities were deleted.
+	 */
+	async cleanUpMap() {
+		const deleted = await this.mapper.backend.compact(this.getUndoEntityIds());
+		if(deleted > 0) {
+			await this.mapper.hooks.call("update");
+		}
+		await this.hooks.call("cleaned_up", deleted);
+		return deleted;
+	}
+
 	msSinceLastZoomRequest() {
 		return performance.now() - this.lastZoomRequest;
 	}
@@ -5521,6 +10928,37 @@ class RenderContext {
 		return this.currentLayer;
 	}
 
+	/** Check if the current layer can be edited, and tell the user if it cannot.
+	 * @returns {boolean}
+	 */
+	checkCurrentLayerEditable() {
+		return this.checkLayerEditable(this.getCurrentLayer());
+	}
+
+	/** Check if the layer of a node can be edited, and tell the user if it cannot.
+	 * @param nodeRef {NodeRef}
+	 * @returns {boolean}
+	 */
+	async checkNodeEditable(nodeRef) {
+		return this.checkLayerEditable(await nodeRef.getLayer());
+	}
+
+	/** Check if a layer can be edited, and tell the user if it cannot.
+	 * @param layer {Layer}
+	 * @returns {boolean}
+	 */
+	checkLayerEditable(layer) {
+		if(layer.isLocked()) {
+			this.pushInfoMessage(`The ${layer.getDescription()} layer is locked`);
+			return false;
+		}
+		else if(!layer.isVisible()) {
+			this.pushInfoMessage(`The ${layer.getDescription()} layer is hidden`);
+			return false;
+		}
+		return true;
+	}
+
 	setCurrentLayer(layer) {
 		this.currentLayer = layer;
 		this.hooks.call("current_layer_change", layer);
@@ -5858,69 +11296,405 @@ class RenderContext {
 			this.wasActivity = activity;
 		}
 
-		const oldLength = this.infoMessages.length;
+		const oldLength = this.infoMessages.length;
+
+		this.infoMessages = this.infoMessages.filter(m => performance.now() - m.when < this.infoMessageTimeout);
+
+		if(this.infoMessages.length > 0 || this.infoMessages.length !== oldLength) {
+			this.requestRedraw();
+		}
+
+		// If anything's changed on the map, try to recalculate the renderings.
+		if(this.recalculateViewport || this.recalculateUpdate.length > 0 || this.recalculateRemoved.length > 0 || this.recalculateTranslated.length > 0) {
+			await this.recalculate(this.recalculateViewport, this.recalculateUpdate.splice(0, this.recalculateUpdate.length), this.recalculateRemoved.splice(0, this.recalculateRemoved.length), this.recalculateTranslated.splice(0, this.recalculateTranslated.length));
+			await this.redrawSelection();
+			this.recalculateViewport = false;
+		}
+
+		if(this.alive) {
+			setTimeout(this.recalculateLoop.bind(this), 50);
+		}
+	}
+
+	async performAction(action, addToUndoStack) {
+		const undo = await action.perform();
+		if(addToUndoStack) {
+			this.pushUndo(undo);
+		}
+		await this.hooks.call("action", action, undo, addToUndoStack);
+		return undo;
+	}
+
+	async stripDoStack(filter) {
+		this.undoStack = this.undoStack.filter(action => !filter(action));
+		this.redoStack = this.redoStack.filter(action => !filter(action));
+		await this.hooks.call("do_stripped");
+	}
+
+	hoveringOverSelection() {
+		return this.selection.exists() && this.hoverSelection.exists() && this.selection.contains(this.hoverSelection);
+	}
+
+	pushUndo(action, fromRedo) {
+		if(!action.empty()) {
+			this.undoStack.push(action);
+			if(!fromRedo) {
+				this.redoStack = [];
+			}
+		}
+		this.hooks.call("undo_pushed", action, fromRedo);
+	}
+
+	requestRecheckSelection() {
+		this.wantRecheckSelection = true;
+	}
+
+	requestUpdateSelection() {
+		this.wantUpdateSelection = true;
+	}
+
+	requestRedraw() {
+		this.wantRedraw = true;
+	}
+
+	focus() {
+		this.canvas.focus();
+	}
+
+	/** Show a search box to find objects anywhere on the map by name or details, and jump to them. */
+	async openSearch() {
+		if(this.searchElement) {
+			this.searchElement.querySelector("input").focus();
+			return;
+		}
+
+		const container = document.createElement("div");
+		container.setAttribute("class", "mapper1024_search");
+		this.searchElement = container;
+
+		const inputRow = document.createElement("div");
+		inputRow.setAttribute("class", "mapper1024_property_row");
+		container.appendChild(inputRow);
+
+		const input = document.createElement("input");
+		input.setAttribute("type", "search");
+		input.setAttribute("placeholder", "Search names, tags, and notes...");
+		inputRow.appendChild(input);
+
+		const closeButton = document.createElement("button");
+		closeButton.innerText = "🗙";
+		closeButton.setAttribute("title", "Close search [shortcut: Escape]");
+		inputRow.appendChild(closeButton);
+
+		const results = document.createElement("div");
+		results.setAttribute("class", "mapper1024_search_results");
+		container.appendChild(results);
+
+		let matches = [];
+
+		const close = () => {
+			container.remove();
+			this.searchElement = null;
+			this.focus();
+		};
+
+		const pick = async (match) => {
+			close();
+			await this.jumpToNode(match.nodeRef);
+		};
+
+		closeButton.onclick = close;
+
+		input.addEventListener("input", async () => {
+			const query = input.value;
+			const newMatches = await this.mapper.search(query);
+
+			// Only show the results of the latest search.
+			if(input.value !== query) {
+				return;
+			}
+
+			matches = newMatches;
+			results.innerHTML = "";
+
+			for(const match of matches) {
+				const description = (await match.nodeRef.getType()).getDescription();
+				const detail = (match.detail && match.detail.length > 40) ? `${match.detail.slice(0, 40)}…` : match.detail;
+
+				const button = document.createElement("button");
+				button.innerText = (match.name || `${description} #${match.nodeRef.id}`) + (detail ? ` (${detail})` : "");
+				button.setAttribute("title", description);
+				button.onclick = async () => await pick(match);
+				results.appendChild(button);
+			}
+		});
+
+		input.addEventListener("keydown", async (event) => {
+			if(event.key === "Escape") {
+				close();
+			}
+			else if(event.key === "Enter" && matches.length > 0) {
+				await pick(matches[0]);
+			}
+		});
+
+		this.parent.appendChild(container);
+		input.focus();
+	}
+
+	/** Get the object nodes of the current selection.
+	 * @returns {Array.<NodeRef>}
+	 */
+	async getSelectedObjects() {
+		const objectNodeRefs = new Map();
+		for(const nodeRef of this.selection.getOrigins()) {
+			const objectNodeRef = await this.objectNode(nodeRef);
+			if(objectNodeRef && await objectNodeRef.valid()) {
+				objectNodeRefs.set(objectNodeRef.id, objectNodeRef);
+			}
+		}
+		return Array.from(objectNodeRefs.values());
+	}
+
+	/** Copy the selected objects, both for pasting in this page and to the system clipboard for pasting into other maps. */
+	async copySelection() {
+		const nodeRefs = await this.getSelectedObjects();
+		if(nodeRefs.length === 0) {
+			this.pushInfoMessage("Nothing is selected to copy");
+			return;
+		}
+
+		copiedObjects = await this.mapper.copyObjects(nodeRefs);
+
+		try {
+			await navigator.clipboard.writeText(JSON.stringify(copiedObjects));
+		}
+		catch(error) {
+			// Pasting still works within this page.
+		}
+
+		this.pushInfoMessage(`Copied ${nodeRefs.length} object${(nodeRefs.length === 1) ? "" : "s"}`);
+	}
+
+	/** Paste objects at the cursor, from the pasted text if it has copied objects, or else from the last copy in this page.
+	 * @param text {string} The text pasted from the system clipboard.
+	 */
+	async paste(text) {
+		let objects = copiedObjects;
+
+		try {
+			const clipboardObjects = JSON.parse(text);
+			if(clipboardObjects && clipboardObjects.format === "mapper1024-objects") {
+				objects = clipboardObjects;
+			}
+		}
+		catch(error) {
+			// The clipboard does not have copied objects.
+		}
+
+		if(objects === null) {
+			this.pushInfoMessage("Nothing has been copied to paste");
+			return;
+		}
+
+		await this.pasteObjects(objects, this.canvasPointToMap(this.mousePosition));
+	}
+
+	/** Paste copies of the selected objects next to the originals, without changing what has been copied. */
+	async duplicateSelection() {
+		const nodeRefs = await this.getSelectedObjects();
+		if(nodeRefs.length === 0) {
+			this.pushInfoMessage("Nothing is selected to duplicate");
+			return;
+		}
+
+		const objects = await this.mapper.copyObjects(nodeRefs);
+		const center = new Vector3(objects.center.x, objects.center.y, 0);
+		await this.pasteObjects(objects, center.add(Vector3.UNIT.multiplyScalar(this.pixelsToUnits(32)).noZ()));
+	}
+
+	/** Paste objects as one undoable action, and select them.
+	 * @param objects {Object} Objects copied with Mapper#copyObjects().
+	 * @param point {Vector3} Where to put the center of the objects.
+	 */
+	async pasteObjects(objects, point) {
+		// Pasted objects stay on their original layer if it can be edited, and otherwise go onto the current layer.
+		if(objects && Array.isArray(objects.entities)) {
+			const layerRegistry = this.mapper.backend.layerRegistry;
+			const layerIds = new Map();
+			const entities = [];
+			for(const entity of objects.entities) {
+				if(entity.type === "node") {
+					let layerId = layerIds.get(entity.parent);
+					if(layerId === undefined) {
+						const layer = layerRegistry.get(entity.properties && entity.properties.layer);
+						if(layer && layer.isVisible() && !layer.isLocked()) {
+							layerId = layer.id;
+						}
+						else if(this.checkCurrentLayerEditable()) {
+							layerId = this.getCurrentLayer().id;
+						}
+						else {
+							return;
+						}
+					}
+
+					layerIds.set(entity.id, layerId);
+					entities.push(merge(entity, {properties: merge(entity.properties, {layer: layerId})}));
+				}
+				else {
+					entities.push(entity);
+				}
+			}
+			objects = merge(objects, {entities: entities});
+		}
+
+		const pasteAction = new PasteAction(this, {objects: objects, point: point});
+
+		try {
+			await this.performAction(pasteAction, true);
+		}
+		catch(error) {
+			this.pushInfoMessage(`Could not paste: ${error}`);
+			return;
+		}
+
+		this.changeBrush(this.brushes.select);
+		await this.updateSelection(await Selection.fromNodeRefs(this, pasteAction.nodeRefs));
+		this.requestRedraw();
+	}
+
+	/** Get the point on the map at the center of the screen.
+	 * @returns {Vector3}
+	 */
+	getViewCenter() {
+		return this.canvasPointToMap(this.screenSize().divideScalar(2)).noZ();
+	}
+
+	/** Center the view on a point of the map.
+	 * @param center {Vector3}
+	 * @param zoom {number} The zoom level to show the point at, or undefined to keep the current zoom.
+	 */
+	async jumpToPoint(center, zoom) {
+		if(zoom !== undefined) {
+			await this.forceZoom(Math.max(1, zoom));
+		}
+
+		this.setScrollOffset(this.mapPointToAbsoluteCanvas(center).subtract(this.screenSize().divideScalar(2)).map(Math.floor));
+		this.requestRedraw();
+	}
+
+	/** Smoothly pan and zoom to a point of the map.
+	 * Starting another animation stops this one.
+	 * @param center {Vector3}
+	 * @param zoom {number}
+	 * @param duration {number} The length of the animation in milliseconds.
+	 */
+	animateToPoint(center, zoom, duration=600) {
+		const startCenter = this.getViewCenter();
+		const startZoom = this.zoom;
+		const startTime = performance.now();
+		const animation = this.viewAnimation = {};
+
+		return new Promise((resolve) => {
+			const step = async () => {
+				if(this.viewAnimation !== animation || !this.alive) {
+					resolve();
+					return;
+				}
 
-		this.infoMessages = this.infoMessages.filter(m => performance.now() - m.when < this.infoMessageTimeout);
+				const progress = Math.min(1, (performance.now() - startTime) / duration);
+				const eased = (progress < 0.5) ? 2 * progress * progress : 1 - ((2 - 2 * progress) ** 2) / 2;
 
-		if(this.infoMessages.length > 0 || this.infoMessages.length !== oldLength) {
-			this.requestRedraw();
-		}
+				// Zoom levels are applied by the recalculation loop, so request each one immediately and keep panning at whatever zoom is current.
+				const stepZoom = Math.max(1, Math.round(startZoom + (zoom - startZoom) * eased));
+				if(stepZoom !== this.requestedZoom) {
+					this.requestZoomChange(stepZoom);
+					this.lastZoomRequest = 0;
+				}
 
-		// If anything's changed on the map, try to recalculate the renderings.
-		if(this.recalculateViewport || this.recalculateUpdate.length > 0 || this.recalculateRemoved.length > 0 || this.recalculateTranslated.length > 0) {
-			await this.recalculate(this.recalculateViewport, this.recalculateUpdate.splice(0, this.recalculateUpdate.length), this.recalculateRemoved.splice(0, this.recalculateRemoved.length), this.recalculateTranslated.splice(0, this.recalculateTranslated.length));
-			await this.redrawSelection();
-			this.recalculateViewport = false;
-		}
+				if(progress < 1) {
+					const stepCenter = startCenter.add(center.noZ().subtract(startCenter).multiplyScalar(eased));
+					this.setScrollOffset(this.mapPointToAbsoluteCanvas(stepCenter).subtract(this.screenSize().divideScalar(2)).map(Math.floor));
+					this.requestRedraw();
+					window.requestAnimationFrame(step);
+				}
+				else {
+					await this.jumpToPoint(center, zoom);
+					resolve();
+				}
+			};
 
-		if(this.alive) {
-			setTimeout(this.recalculateLoop.bind(this), 50);
-		}
+			window.requestAnimationFrame(step);
+		});
 	}
 
-	async performAction(action, addToUndoStack) {
-		const undo = await action.perform();
-		if(addToUndoStack) {
-			this.pushUndo(undo);
-		}
-		await this.hooks.call("action", action, undo, addToUndoStack);
-		return undo;
+	/** Save the current view as a new bookmark in the map.
+	 * @param name {string}
+	 */
+	async addBookmark(name) {
+		const center = this.getViewCenter();
+		const bookmarks = await this.mapper.getBookmarks();
+		await this.performAction(new ChangeBookmarksAction(this, {bookmarks: bookmarks.concat([{
+			name: name,
+			x: center.x,
+			y: center.y,
+			zoom: this.requestedZoom,
+		}])}), true);
+	}
+
+	/** Animate the view to a bookmark.
+	 * @param bookmark {Object} See Mapper#getBookmarks().
+	 */
+	async recallBookmark(bookmark) {
+		this.pushInfoMessage(`Bookmark: ${bookmark.name}`);
+		await this.animateToPoint(new Vector3(bookmark.x, bookmark.y, 0), bookmark.zoom);
 	}
 
-	async stripDoStack(filter) {
-		this.undoStack = this.undoStack.filter(action => !filter(action));
-		this.redoStack = this.redoStack.filter(action => !filter(action));
-		await this.hooks.call("do_stripped");
-	}
+	/** Recall the next or previous bookmark of the map, wrapping around at the ends.
+	 * @param delta {number} 1 for the next bookmark, -1 for the previous one.
+	 */
+	async cycleBookmarks(delta) {
+		const bookmarks = await this.mapper.getBookmarks();
+		if(bookmarks.length === 0) {
+			this.pushInfoMessage("There are no bookmarks in this map");
+			return;
+		}
 
-	hoveringOverSelection() {
-		return this.selection.exists() && this.hoverSelection.exists() && this.selection.contains(this.hoverSelection);
+		this.bookmarkIndex = (this.bookmarkIndex === undefined) ? ((delta > 0) ? 0 : bookmarks.length - 1) : mod(this.bookmarkIndex + delta, bookmarks.length);
+		await this.recallBookmark(bookmarks[this.bookmarkIndex]);
 	}
 
-	pushUndo(action, fromRedo) {
-		if(!action.empty()) {
-			this.undoStack.push(action);
-			if(!fromRedo) {
-				this.redoStack = [];
-			}
+	/** Show an object: center the view on it, zoom so that it fits on the screen, and select it.
+	 * @param nodeRef {NodeRef} The object node.
+	 */
+	async jumpToNode(nodeRef) {
+		let topLeftCorner = new Vector3(Infinity, Infinity, 0);
+		let bottomRightCorner = new Vector3(-Infinity, -Infinity, 0);
+		for await (const childNodeRef of nodeRef.getChildren()) {
+			const radiusVector = Vector3.UNIT.multiplyScalar(await childNodeRef.getRadius()).noZ();
+			const point = (await childNodeRef.getEffectiveCenter()).noZ();
+			topLeftCorner = Vector3.min(topLeftCorner, point.subtract(radiusVector));
+			bottomRightCorner = Vector3.max(bottomRightCorner, point.add(radiusVector));
 		}
-		this.hooks.call("undo_pushed", action, fromRedo);
-	}
 
-	requestRecheckSelection() {
-		this.wantRecheckSelection = true;
-	}
+		if(topLeftCorner.x === Infinity) {
+			const radiusVector = Vector3.UNIT.multiplyScalar(await nodeRef.getRadius()).noZ();
+			topLeftCorner = (await nodeRef.getCenter()).noZ().subtract(radiusVector);
+			bottomRightCorner = (await nodeRef.getCenter()).noZ().add(radiusVector);
+		}
 
-	requestUpdateSelection() {
-		this.wantUpdateSelection = true;
-	}
+		// Leave some room around the object.
+		const size = bottomRightCorner.subtract(topLeftCorner);
+		const screenSize = this.screenSize();
+		await this.forceZoom(Math.max(1, this.unitsPerPixelToZoom(Math.max(size.x / screenSize.x, size.y / screenSize.y) * 1.5)));
 
-	requestRedraw() {
-		this.wantRedraw = true;
-	}
+		const center = topLeftCorner.add(bottomRightCorner).divideScalar(2);
+		this.setScrollOffset(this.mapPointToAbsoluteCanvas(center).subtract(screenSize.divideScalar(2)).map(Math.floor));
 
-	focus() {
-		this.canvas.focus();
+		this.changeBrush(this.brushes.select);
+		await this.updateSelection(await Selection.fromNodeRefs(this, [nodeRef]));
+		this.requestRedraw();
 	}
 
 	isKeyDown(key) {
@@ -6054,6 +11828,18 @@ class RenderContext {
 		delete this.nodeRenders[nodeRef.id];
 	}
 
+	/** Forget all node renders and tiles, so that the entire map is rendered again. */
+	invalidateAllRenders() {
+		this.nodeRenders = {};
+		this.megaTiles = {};
+		this.nodeIdsToMegatiles = {};
+		this.drawnNodeIds = {};
+		this.labelPositions = {};
+		this.backgroundNodeCache = {};
+		this.recalculateEntireViewport();
+		this.requestRedraw();
+	}
+
 	recalculateEntireViewport() {
 		this.recalculateViewport = true;
 	}
@@ -6157,26 +11943,29 @@ class RenderContext {
 
 		const drewToMegaTiles = new Set();
 
-		// Sort all layers by Z order.
+		// All layers, sorted by Z order.
 		const nodeLayers = Array.from(this.mapper.backend.layerRegistry.getLayers());
-		nodeLayers.sort((a, b) => a.getZ() - b.getZ());
 
-		// A list of filters in order; nodes matching each filter will be rendered on the same Z level.
+		// A list of filters in order; nodes matching each filter will be rendered on the same Z level, with the opacity of their layer.
 		const filters = [];
 
-		// Add a filter for each layer in order.
+		// Add a filter for each visible layer in order.
 		for(const layer of nodeLayers) {
-			if(layer.id === "geographical") {
-				// If this is the geographical layer, render terrain objects before explicit objects.
-				filters.push(async nodeRef => (await nodeRef.getLayer()).id === layer.id && (await nodeRef.getType()).getScale() === "terrain");
-				filters.push(async nodeRef => (await nodeRef.getLayer()).id === layer.id && (await nodeRef.getType()).getScale() === "explicit");
+			if(!layer.isVisible()) {
+				continue;
+			}
+
+			if(layer.getType() === "geographical") {
+				// If this is a geographical layer, render terrain objects before explicit objects.
+				filters.push({opacity: layer.getOpacity(), filter: async nodeRef => (await nodeRef.getLayer()).id === layer.id && (await nodeRef.getType()).getScale() === "terrain"});
+				filters.push({opacity: layer.getOpacity(), filter: async nodeRef => (await nodeRef.getLayer()).id === layer.id && (await nodeRef.getType()).getScale() === "explicit"});
 			}
 			else {
-				filters.push(async nodeRef => (await nodeRef.getLayer()).id === layer.id);
+				filters.push({opacity: layer.getOpacity(), filter: async nodeRef => (await nodeRef.getLayer()).id === layer.id});
 			}
 		}
 
-		for(const filter of filters) {
+		for(const {opacity, filter} of filters) {
 			const focusTiles = {};
 
 			const drawLayer = async (layer, drawAgainIds, callbacks) => {
@@ -6209,7 +11998,9 @@ class RenderContext {
 
 							callbacks.push({
 								callback: async () => {
+									megaTile.context.globalAlpha = opacity;
 									megaTile.context.drawImage(await layer.canvas(), realPointOnLayer.x, realPointOnLayer.y, megaTileSize, megaTileSize, pointOnMegaTile.x, pointOnMegaTile.y, megaTileSize, megaTileSize);
+									megaTile.context.globalAlpha = 1;
 
 									this.nodeIdsToMegatiles[nodeId].add(megaTile);
 									megaTile.nodeIds.add(nodeId);
@@ -6410,7 +12201,8 @@ class RenderContext {
 
 		// Debug help
 		if(this.inNormalMode()) {
-			infoLine("Press 'n' to set or edit an object's name. ` to toggle debug mode.");
+			infoLine("Press 'n' to set or edit an object's name, '/' to search for a name, '[' and ']' to cycle through bookmarks. ` to toggle debug mode.");
+			infoLine("Control+c, Control+v, and Control+d copy, paste, and duplicate the selected objects.");
 		}
 		if(this.brush instanceof AddBrush) {
 			infoLine("Click to add terrain");
@@ -6661,7 +12453,7 @@ class RenderContext {
 			const labelText = await nodeRef.getPString("name");
 			if(labelText !== undefined && labelText.length > 0) {
 				const labelPositionOnCanvas = await this.getNamePosition(nodeRef);
-				const layer = (await nodeRef.getType()).getLayer();
+				const layer = await nodeRef.getLayer();
 				const layerSelected = layer.id === currentLayer.id;
 				const selected = (this.selection.hasNodeRef(nodeRef) || this.hoverSelection.hasNodeRef(nodeRef));
 				const fontSize = (selected ? 24 : labelPositionOnCanvas.size) * (layerSelected ? 1 : 0.5);
@@ -6889,6 +12681,122 @@ class RenderContext {
 	}
 }
 
+// The objects copied last in this page, to paste when the system clipboard does not have copied objects.
+let copiedObjects = null;
+
+/** Normalize text for searching: lowercase, without accents, and with runs of spaces and punctuation as single spaces.
+ * @param text {string}
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+	return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/** Get the edit distance between a string and the closest start of another string.
+ * Counts inserted, deleted, and changed letters, and swapped neighboring letters, as one edit each (optimal string alignment distance).
+ * @param a {string}
+ * @param b {string}
+ * @returns {number}
+ */
+function prefixEditDistance(a, b) {
+	let beforePrevious = null;
+	let previous = Array.from({length: b.length + 1}, (_, j) => j);
+	for(let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for(let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + ((a[i - 1] === b[j - 1]) ? 0 : 1));
+			if(i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+			}
+		}
+		beforePrevious = previous;
+		previous = current;
+	}
+	// The last row has the distances from all of a to each start of b.
+	return Math.min(...previous);
+}
+
+/** Score how well a search query matches a text, fuzzily.
+ * From best to worst: the entire text, the start of the text, the start of a word, anywhere in the text,
+ * the letters of the query in order, and finally each word of the query starting a word of the text (or the text) with a few typos.
+ * @param query {string} Normalized query (see normalizeSearchText()).
+ * @param text {string} Normalized text.
+ * @returns {number|null} The score, lower is better, or null if the text does not match at all.
+ */
+function fuzzyMatchScore(query, text) {
+	if(text === query) {
+		return 0;
+	}
+	else if(text.startsWith(query)) {
+		return 1;
+	}
+	else if(text.includes(" " + query)) {
+		return 2;
+	}
+	else if(text.includes(query)) {
+		return 3;
+	}
+
+	// All letters in order, preferring them close together.
+	let position = -1;
+	let gaps = 0;
+	for(const c of query.replace(/ /g, "")) {
+		const next = text.indexOf(c, position + 1);
+		if(next === -1) {
+			gaps = Infinity;
+			break;
+		}
+		if(position !== -1) {
+			gaps += next - position - 1;
+		}
+		position = next;
+	}
+	if(gaps < Infinity && query.length > 1) {
+		return 4 + gaps / text.length;
+	}
+
+	// Typos, allowing more of them in longer words.
+	const words = [text, ...text.split(" ")];
+	let distance = 0;
+	for(const queryWord of query.split(" ")) {
+		const wordDistance = Math.min(...words.map((word) => prefixEditDistance(queryWord, word)));
+		if(wordDistance > Math.floor(queryWord.length / 4)) {
+			return null;
+		}
+		distance += wordDistance;
+	}
+	return 5 + distance;
+}
+
+/** Version of the format of objects copied with Mapper#copyObjects(), e.g. to the system clipboard.
+ * The format follows the JSON map interchange format (see jsonMapFormatVersion) for a part of a map:
+ * - format: always "mapper1024-objects"
+ * - version: the format version; readers refuse objects with a newer version than they know
+ * - center: the center of the copied objects as an {x, y, z} object, so that they can be pasted relative to it
+ * - entities: the copied nodes (parents before their children) and the edges between them, as in the JSON map format.
+ *   IDs are those of the original map and only serve to connect the entities to each other.
+ * - nodeTypes: the definitions of the custom node types the copied nodes use (and of their custom parent types), by node type ID
+ * - nodeTypeTiles: the tile assignments of those node types, as in NodeTypeRegistry#setTileAssignments()
+ * - images: the images stored in the map that those node types use, by name, base64-encoded as in the JSON map format
+ */
+const copiedObjectsFormatVersion = 1;
+
+/** Make a random (version 4) UUID.
+ * @returns {string}
+ */
+function randomUuid() {
+	if(crypto.randomUUID) {
+		return crypto.randomUUID();
+	}
+
+	// randomUUID only exists in secure contexts.
+	const bytes = crypto.getRandomValues(new Uint8Array(16));
+	bytes[6] = (bytes[6] & 0x0f) | 0x40;
+	bytes[8] = (bytes[8] & 0x3f) | 0x80;
+	const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+	return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 /** Mapper interface
  * A connection to a database and mapper UI.
  * Instantiate Mapper and then call the render() method to insert the UI into a div element.
@@ -6909,6 +12817,10 @@ class Mapper {
 
 		this.hooks.add("update", () => { this.declareUnsavedChanges(); });
 
+		// Objects with names or details, gathered on the first search after any change to the map.
+		this.searchableObjects = null;
+		this.hooks.add("update", () => { this.searchableObjects = null; });
+
 		this.options = {
 			blendDistance: 400,
 			cleanNormalDistance: 0.5,
@@ -6957,6 +12869,75 @@ class Mapper {
 		yield* this.backend.getObjectNodesTouchingArea(box, minRadius);
 	}
 
+	/** Get all objects in the map that have a name or other details to search for.
+	 * @returns {Array.<Object>} Objects with keys "nodeRef" (the object node), "name" (possibly empty), and "details" (the object's tags, notes, and custom fields as text).
+	 */
+	async getSearchableObjects() {
+		if(this.searchableObjects === null) {
+			const everywhere = new Box3(new Vector3(-Infinity, -Infinity, -Infinity), new Vector3(Infinity, Infinity, Infinity));
+			this.searchableObjects = asyncFrom(this.getObjectNodesTouchingArea(everywhere, 0), async (nodeRef) => {
+				const details = await nodeRef.getTags();
+
+				const notes = await nodeRef.getPString("notes");
+				if(notes) {
+					details.push(notes);
+				}
+
+				for(const field of await nodeRef.getFields()) {
+					if(field.value !== null && field.value !== undefined && field.value !== "") {
+						details.push(`${field.name}: ${field.value}`);
+					}
+				}
+
+				return {
+					nodeRef: nodeRef,
+					name: (await nodeRef.getPString("name")) || "",
+					details: details,
+				};
+			}).then((objects) => objects.filter((object) => object.name || object.details.length > 0));
+		}
+
+		return await this.searchableObjects;
+	}
+
+	/** Search the names of all objects in the map, allowing for partial names and typos, and also their tags, notes, and custom fields.
+	 * Objects matching by name come first.
+	 * @param query {string}
+	 * @param limit {number} The maximum number of results.
+	 * @returns {Array.<Object>} The best matches first, as objects with keys "nodeRef" (the object node), "name" (possibly empty), and "detail" (the matching detail if the name did not match, otherwise null).
+	 */
+	async search(query, limit=10) {
+		const normalizedQuery = normalizeSearchText(query);
+		if(normalizedQuery.length === 0) {
+			return [];
+		}
+
+		const matches = [];
+		for(const object of await this.getSearchableObjects()) {
+			let score = object.name ? fuzzyMatchScore(normalizedQuery, normalizeSearchText(object.name)) : null;
+			let detail = null;
+
+			if(score === null) {
+				// Details are longer texts, so only take clear matches rather than scattered letters.
+				for(const text of object.details) {
+					const detailScore = fuzzyMatchScore(normalizedQuery, normalizeSearchText(text));
+					if(detailScore !== null && detailScore <= 3 && (score === null || detailScore + 10 < score)) {
+						score = detailScore + 10;
+						detail = text;
+					}
+				}
+			}
+
+			if(score !== null) {
+				matches.push({score: score, nodeRef: object.nodeRef, name: object.name, detail: detail});
+			}
+		}
+
+		matches.sort((a, b) => (a.score - b.score) || (a.name.length - b.name.length) || a.name.localeCompare(b.name));
+
+		return matches.slice(0, limit).map((match) => ({nodeRef: match.nodeRef, name: match.name, detail: match.detail}));
+	}
+
 	/** Get all edges attached to the specified node.
 	 * @param nodeRef {NodeRef}
 	 * @returns {AsyncIterable.<DirEdgeRef>} the edges coming from the specified node
@@ -6965,6 +12946,326 @@ class Mapper {
 		yield* this.backend.getNodeEdges(nodeRef.id);
 	}
 
+	/** Replace the custom node types of the map.
+	 * @param definitions {Object} The definitions of the custom node types, by node type ID. See NodeTypeRegistry#setCustomTypeDefinitions().
+	 */
+	async setCustomNodeTypes(definitions, transaction) {
+		await this.backend.setCustomNodeTypes(definitions, transaction);
+		await this.hooks.call("changeNodeTypes");
+		await this.hooks.call("update");
+	}
+
+	/** Replace the layer definitions of the map.
+	 * @param definitions {Object} The definitions of the layers, by layer ID. See LayerRegistry#setLayerDefinitions().
+	 */
+	async setLayers(definitions, transaction) {
+		await this.backend.setLayerDefinitions(definitions, transaction);
+		await this.hooks.call("changeLayers");
+		await this.hooks.call("update");
+	}
+
+	/** Replace the tiles assigned to node types.
+	 * @param tileAssignments {Object} See NodeTypeRegistry#setTileAssignments().
+	 */
+	async setNodeTypeTiles(tileAssignments, transaction) {
+		await this.backend.setNodeTypeTiles(tileAssignments, transaction);
+		await this.hooks.call("changeNodeTypes");
+		await this.hooks.call("update");
+	}
+
+	/** Copy objects with all of their descendants and the edges between them, so that they can be pasted into this or another map.
+	 * @param nodeRefs {Array.<NodeRef>} The object nodes to copy.
+	 * @returns {Object} The copied objects, which can be stored as JSON. See copiedObjectsFormatVersion.
+	 */
+	async copyObjects(nodeRefs) {
+		const propertiesToJson = async (entityRef) => {
+			const properties = await entityRef.getProperties();
+			for(const [propertyName, value] of Object.entries(properties)) {
+				if(value instanceof Vector3) {
+					properties[propertyName] = {x: value.x, y: value.y, z: value.z};
+				}
+			}
+			return properties;
+		};
+
+		const entities = [];
+		const nodeIds = new Set();
+		const copiedNodeRefs = [];
+
+		let topLeftCorner = new Vector3(Infinity, Infinity, 0);
+		let bottomRightCorner = new Vector3(-Infinity, -Infinity, 0);
+
+		for(const originNodeRef of nodeRefs) {
+			for await (const nodeRef of originNodeRef.getSelfAndAllDescendants()) {
+				if(nodeIds.has(nodeRef.id)) {
+					continue;
+				}
+
+				nodeIds.add(nodeRef.id);
+				copiedNodeRefs.push(nodeRef);
+
+				const parent = (nodeRef === originNodeRef) ? null : await nodeRef.getParent();
+				entities.push({
+					id: nodeRef.id,
+					type: "node",
+					nodeType: await nodeRef.getNodeType(),
+					parent: parent ? parent.id : null,
+					properties: await propertiesToJson(nodeRef),
+				});
+
+				const center = (await nodeRef.getCenter()).noZ();
+				topLeftCorner = Vector3.min(topLeftCorner, center);
+				bottomRightCorner = Vector3.max(bottomRightCorner, center);
+			}
+		}
+
+		const edgeIds = new Set();
+		for(const nodeRef of copiedNodeRefs) {
+			for await (const dirEdgeRef of nodeRef.getEdges()) {
+				const otherNodeRef = await dirEdgeRef.getDirOtherNode();
+				if(!edgeIds.has(dirEdgeRef.id) && nodeIds.has(otherNodeRef.id)) {
+					edgeIds.add(dirEdgeRef.id);
+					entities.push({
+						id: dirEdgeRef.id,
+						type: "edge",
+						nodes: [nodeRef.id, otherNodeRef.id],
+						properties: await propertiesToJson(dirEdgeRef),
+					});
+				}
+			}
+		}
+
+		const center = (copiedNodeRefs.length > 0) ? topLeftCorner.add(bottomRightCorner).divideScalar(2) : Vector3.ZERO;
+
+		// Custom node types go along, so that the objects can be pasted into maps that do not have them.
+		const nodeTypeRegistry = this.backend.nodeTypeRegistry;
+		const tileAssignments = nodeTypeRegistry.getTileAssignments();
+		const storedImageNames = new Set(await this.backend.getImageNames());
+		const nodeTypes = {};
+		const nodeTypeTiles = {};
+		const images = {};
+
+		for(const entity of entities) {
+			let nodeType = (entity.type === "node") ? nodeTypeRegistry.get(entity.properties.type) : undefined;
+			while(nodeType && nodeTypeRegistry.isCustomType(nodeType.id) && nodeTypes[nodeType.id] === undefined) {
+				nodeTypes[nodeType.id] = nodeType.def;
+				if(tileAssignments[nodeType.id] !== undefined) {
+					nodeTypeTiles[nodeType.id] = tileAssignments[nodeType.id];
+				}
+
+				for(const name of nodeType.getAllTiles()) {
+					if(storedImageNames.has(name) && images[name] === undefined) {
+						images[name] = bytesToBase64(await this.backend.getImageData(name));
+					}
+				}
+
+				nodeType = nodeType.def.parent ? nodeTypeRegistry.get(nodeType.def.parent) : undefined;
+			}
+		}
+
+		return {
+			format: "mapper1024-objects",
+			version: copiedObjectsFormatVersion,
+			center: {x: center.x, y: center.y, z: center.z},
+			entities: entities,
+			nodeTypes: nodeTypes,
+			nodeTypeTiles: nodeTypeTiles,
+			images: images,
+		};
+	}
+
+	/** Insert copies of objects copied with #copyObjects(), from this or another map.
+	 * Custom node types of the objects that this map does not have are added to it, with their tiles.
+	 * @param objects {Object} The copied objects.
+	 * @param point {Vector3} Where to put the center of the objects.
+	 * @param transaction {Object|undefined} The backend transaction to paste in, if the caller is inside one. See MapBackend#transaction().
+	 * @returns {Array.<NodeRef>} The new top-level nodes.
+	 */
+	async pasteObjects(objects, point, transaction) {
+		if(!objects || objects.format !== "mapper1024-objects" || !Array.isArray(objects.entities)) {
+			throw new Error("these are not copied Mapper1024 objects");
+		}
+
+		if(objects.version > copiedObjectsFormatVersion) {
+			throw new Error(`these objects were copied from a newer version of Mapper1024 (version ${objects.version}, but this version only supports up to ${copiedObjectsFormatVersion}); please update to paste them`);
+		}
+
+		const offset = point.noZ().subtract(new Vector3(objects.center.x, objects.center.y, 0));
+
+		// Find the node types to add, and refuse objects whose node types would be unknown.
+		const nodeTypeRegistry = this.backend.nodeTypeRegistry;
+		const copiedNodeTypes = objects.nodeTypes || {};
+		const missingNodeTypes = {};
+		for(const id in copiedNodeTypes) {
+			if(nodeTypeRegistry.get(id) === undefined) {
+				missingNodeTypes[id] = copiedNodeTypes[id];
+			}
+		}
+
+		for(const entity of objects.entities) {
+			const typeId = (entity.type === "node" && entity.properties) ? entity.properties.type : undefined;
+			if(typeof typeId === "string" && nodeTypeRegistry.get(typeId) === undefined && missingNodeTypes[typeId] === undefined) {
+				throw new Error(`these objects use the node type "${typeId}", which this map does not have`);
+			}
+		}
+
+		const setProperties = async (entityRef, properties, transaction) => {
+			for(const [propertyName, value] of Object.entries(properties || {})) {
+				if(typeof value === "string") {
+					await entityRef.setPString(propertyName, value, transaction);
+				}
+				else if(typeof value === "number") {
+					await entityRef.setPNumber(propertyName, value, transaction);
+				}
+				else if(value !== null && typeof value === "object") {
+					const v = new Vector3(value.x, value.y, value.z);
+					// Positions move with the pasted objects, like in #translateNode().
+					await entityRef.setPVector3(propertyName, (propertyName === "center" || propertyName === "eCenter") ? v.add(offset) : v, transaction);
+				}
+			}
+		};
+
+		const newNodeRefs = new Map();
+		const topNodeRefs = [];
+
+		await this.backend.transaction(async (transaction) => {
+			for(const entity of objects.entities) {
+				if(entity.type === "node") {
+					const parent = (entity.parent === null || entity.parent === undefined) ? null : newNodeRefs.get(entity.parent);
+					if(parent === undefined) {
+						throw new Error(`node ${entity.id} comes before its parent`);
+					}
+
+					const nodeRef = await this.backend.createNode(parent ? parent.id : null, entity.nodeType, transaction);
+					await setProperties(nodeRef, entity.properties, transaction);
+					newNodeRefs.set(entity.id, nodeRef);
+
+					if(parent === null) {
+						topNodeRefs.push(nodeRef);
+					}
+				}
+				else if(entity.type === "edge") {
+					const [nodeA, nodeB] = entity.nodes.map((nodeId) => newNodeRefs.get(nodeId));
+					if(nodeA === undefined || nodeB === undefined) {
+						throw new Error(`edge ${entity.id} connects nodes that were not copied`);
+					}
+
+					const edgeRef = await this.backend.createEdge(nodeA.id, nodeB.id, transaction);
+					await setProperties(edgeRef, entity.properties, transaction);
+				}
+			}
+
+			// Links between copied nodes point to the copies; links to nodes that were not copied are dropped, since their IDs belong to the original map.
+			for(const entity of objects.entities) {
+				if(entity.type === "node" && entity.properties && typeof entity.properties.links === "string") {
+					let links;
+					try {
+						links = JSON.parse(entity.properties.links);
+					}
+					catch(error) {
+						links = [];
+					}
+
+					const pastedLinks = [];
+					for(const link of Array.isArray(links) ? links : []) {
+						if(link && link.node !== undefined) {
+							const targetNodeRef = newNodeRefs.get(link.node);
+							if(targetNodeRef !== undefined) {
+								pastedLinks.push(merge(link, {node: targetNodeRef.id}));
+							}
+						}
+						else if(link && link.url !== undefined) {
+							pastedLinks.push(link);
+						}
+					}
+
+					await newNodeRefs.get(entity.id).setPString("links", JSON.stringify(pastedLinks), transaction);
+				}
+			}
+
+			// Last, since the node type registry is not rolled back with the transaction.
+			if(Object.keys(missingNodeTypes).length > 0) {
+				const copiedImages = objects.images || {};
+				for(const name in copiedImages) {
+					if(nodeTypeRegistry.getImage(name) === undefined) {
+						await this.backend.setImage(name, base64ToBytes(copiedImages[name]), transaction);
+					}
+				}
+
+				const copiedTileAssignments = objects.nodeTypeTiles || {};
+				const tileAssignments = nodeTypeRegistry.getTileAssignments();
+				for(const id in missingNodeTypes) {
+					if(copiedTileAssignments[id] !== undefined) {
+						tileAssignments[id] = copiedTileAssignments[id];
+					}
+				}
+				await this.backend.setNodeTypeTiles(tileAssignments, transaction);
+
+				await this.backend.setCustomNodeTypes(merge(nodeTypeRegistry.getCustomTypeDefinitions(), missingNodeTypes), transaction);
+			}
+		}, transaction);
+
+		if(Object.keys(missingNodeTypes).length > 0) {
+			await this.hooks.call("changeNodeTypes");
+		}
+
+		for(const nodeRef of newNodeRefs.values()) {
+			await this.hooks.call("insertNode", nodeRef);
+		}
+
+		return topNodeRefs;
+	}
+
+	/** Get the UUID of the map, stored on the global entity, which identifies the map in links and stays the same in downloaded copies.
+	 * A map without one, e.g. from an older version, gets one the first time it is asked for; this counts as a change to the map.
+	 * @returns {string}
+	 */
+	async getUuid() {
+		let uuid = await this.backend.global.getPString("uuid");
+		if(!uuid) {
+			uuid = randomUuid();
+			await this.backend.global.setPString("uuid", uuid);
+			await this.hooks.call("update");
+		}
+		return uuid;
+	}
+
+	/** Get the bookmarked views of the map, stored as JSON on the global entity.
+	 * Malformed bookmarks, e.g. from an imported map, are ignored.
+	 * @returns {Array.<Object>} Objects with keys "name", "x" and "y" (the point of the map at the center of the view), and "zoom".
+	 */
+	async getBookmarks() {
+		const json = await this.backend.global.getPString("bookmarks");
+		let bookmarks;
+		try {
+			bookmarks = json ? JSON.parse(json) : [];
+		}
+		catch(error) {
+			return [];
+		}
+		return Array.isArray(bookmarks) ? bookmarks.filter((bookmark) => bookmark && typeof bookmark.name === "string" && [bookmark.x, bookmark.y, bookmark.zoom].every(Number.isFinite)) : [];
+	}
+
+	/** Replace the bookmarked views of the map.
+	 * @param bookmarks {Array.<Object>} See #getBookmarks().
+	 */
+	async setBookmarks(bookmarks, transaction) {
+		await this.backend.global.setPString("bookmarks", JSON.stringify(bookmarks), transaction);
+		await this.hooks.call("changeBookmarks");
+		await this.hooks.call("update");
+	}
+
+	/** Store an image in the map, to be used as a tile.
+	 * Calls the "changeNodeTypes" hook, since node types may already use a tile with that name.
+	 * @param name {string}
+	 * @param data {Uint8Array|undefined} The PNG data of the image, or undefined to delete the image.
+	 */
+	async setImage(name, data, transaction) {
+		await this.backend.setImage(name, data, transaction);
+		await this.hooks.call("changeNodeTypes");
+		await this.hooks.call("update");
+	}
+
 	/** Render Mapper into a div element
 	 * @returns {RenderContext}
 	 * Example: const renderContext = mapper.render(document.getElementById("mapper_div"))
@@ -6973,27 +13274,34 @@ class Mapper {
 		return new RenderContext(element, this, options);
 	}
 
+	/** Insert a new node.
+	 * @param point {Vector3} The center of the node.
+	 * @param nodeType {string} The base type of the node, e.g. "object" or "point".
+	 * @param options {Object} With keys "type" (the NodeType), "radius", "parent" (optional NodeRef), "layer" (optional Layer; defaults to the layer of the node type), and "transaction" (the backend transaction of the caller, if any).
+	 * @returns {NodeRef}
+	 */
 	async insertNode(point, nodeType, options) {
-		const nodeRef = await this.backend.createNode(options.parent ? options.parent.id : null, nodeType);
-		await nodeRef.setCenter(point);
-		await nodeRef.setEffectiveCenter(point);
-		await nodeRef.setType(options.type);
-		await nodeRef.setLayer(this.backend.layerRegistry.get(options.type.getLayer()));
-		await nodeRef.setRadius(options.radius);
+		const transaction = options.transaction;
+		const nodeRef = await this.backend.createNode(options.parent ? options.parent.id : null, nodeType, transaction);
+		await nodeRef.setCenter(point, transaction);
+		await nodeRef.setEffectiveCenter(point, transaction);
+		await nodeRef.setType(options.type, transaction);
+		await nodeRef.setLayer(options.layer || this.backend.layerRegistry.get(options.type.getLayer()), transaction);
+		await nodeRef.setRadius(options.radius, transaction);
 		await this.hooks.call("insertNode", nodeRef);
 		return nodeRef;
 	}
 
-	async translateNode(originNodeRef, offset) {
+	async translateNode(originNodeRef, offset, transaction) {
 		const nodeRefs = await asyncFrom(originNodeRef.getSelfAndAllDescendants());
 		for(const nodeRef of nodeRefs) {
-			await nodeRef.setCenter((await nodeRef.getCenter()).add(offset));
-			await nodeRef.setEffectiveCenter((await nodeRef.getEffectiveCenter()).add(offset));
+			await nodeRef.setCenter((await nodeRef.getCenter()).add(offset), transaction);
+			await nodeRef.setEffectiveCenter((await nodeRef.getEffectiveCenter()).add(offset), transaction);
 		}
 		await this.hooks.call("translateNodes", nodeRefs);
 	}
 
-	async removeNodes(nodeRefs) {
+	async removeNodes(nodeRefs, transaction) {
 		let nodeIds = new Set(nodeRefs.map((nodeRef) => nodeRef.id));
 		for(const nodeRef of nodeRefs) {
 			for await (const childNodeRef of nodeRef.getAllDescendants()) {
@@ -7009,13 +13317,13 @@ class Mapper {
 			if(parent && !nodeIds.has(parent.id)) {
 				parentNodeIds.add(parent.id);
 			}
-			await nodeRef.remove();
+			await nodeRef.remove(transaction);
 		}
 
 		for(const nodeId of parentNodeIds) {
 			const nodeRef = this.backend.getNodeRef(nodeId);
 			if(!(await nodeRef.hasChildren())) {
-				await nodeRef.remove();
+				await nodeRef.remove(transaction);
 				nodeRefsWithChildren.push(nodeRef);
 			}
 		}
@@ -7025,25 +13333,25 @@ class Mapper {
 		return nodeRefsWithChildren;
 	}
 
-	async unremoveNodes(nodeRefs) {
+	async unremoveNodes(nodeRefs, transaction) {
 		for(const nodeRef of nodeRefs) {
-			await nodeRef.unremove();
+			await nodeRef.unremove(transaction);
 			await this.hooks.call("insertNode", nodeRef);
 		}
 	}
 
-	async removeEdges(edgeRefs) {
+	async removeEdges(edgeRefs, transaction) {
 		for(const edgeRef of edgeRefs) {
 			for await (const nodeRef of edgeRef.getNodes()) {
 				await this.hooks.call("updateNode", nodeRef);
 			}
-			await edgeRef.remove();
+			await edgeRef.remove(transaction);
 		}
 	}
 
-	async unremoveEdges(edgeRefs) {
+	async unremoveEdges(edgeRefs, transaction) {
 		for(const edgeRef of edgeRefs) {
-			await edgeRef.unremove();
+			await edgeRef.unremove(transaction);
 			for await (const nodeRef of edgeRef.getNodes()) {
 				await this.hooks.call("updateNode", nodeRef);
 			}
@@ -7051,4 +13359,4 @@ class Mapper {
 	}
 }
 
-export { Box3, HookContainer, Line3, MapBackend, Mapper, Path, SqlJsMapBackend, Vector3, asyncFrom, dirAngles, dirKeys, dirs, merge, mod, normalizedDirs, version, weightedRandom };
+export { Box3, GeoJsonExporter, GeoJsonImporter, HeightmapExporter, HookContainer, IndexedDbMapStore, Line3, MapBackend, Mapper, MemoryMapBackend, Path, SqlJsFileMapBackend, SqlJsMapBackend, SvgExporter, TiledExporter, Vector3, asyncFrom, dirAngles, dirKeys, dirs, merge, mod, normalizedDirs, version, weightedRandom };